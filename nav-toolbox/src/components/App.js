@@ -4,6 +4,9 @@ import htm from 'htm';
 
 import Header from './Layout/Header.js';
 import Tabs from './Layout/Tabs.js';
+import TransportBar from './Controls/TransportBar.js';
+import { ClockContext } from '../hooks/useGameLoop.js';
+import { DEFAULT_CLOCK } from '../utils/clock.js';
 
 // Import Tab Views (Placeholders for now)
 import Level1 from './TabViews/Level1.js';
@@ -18,6 +21,9 @@ const html = htm.bind(h);
 export default function App() {
     const [activeTab, setActiveTab] = useState(0);
 
+    // One transport for every tab's simulation clock
+    const [clock, setClock] = useState(DEFAULT_CLOCK);
+
     const tabs = [
         { id: 0, label: '1. Sensorimotor', Component: Level1 },
         { id: 1, label: '2. Spatial Primitives', Component: Level2 },
@@ -32,10 +38,14 @@ export default function App() {
     // Persist tab selection if desired, or simplified
 
     return html`
-        <${Header} />
+        <${Header}>
+            <${TransportBar} clock=${clock} onChange=${setClock} />
+        </${Header}>
         <${Tabs} tabs=${tabs} activeTab=${activeTab} onTabChange=${setActiveTab} />
         <main class="content-area">
-            <${ActiveComponent} />
+            <${ClockContext.Provider} value=${clock}>
+                <${ActiveComponent} />
+            </${ClockContext.Provider}>
         </main>
     `;
 }
@@ -0,0 +1,84 @@
+import { h } from 'preact';
+import htm from 'htm';
+import { trueCalibration } from '../../sim/level2.js';
+
+const html = htm.bind(h);
+
+const DEG = Math.PI / 180;
+const W = 320;
+const H = 90;
+
+// Each term in the units of the odometry Tune panel
+const TERMS = [
+    { key: 'scale', sd: 'sdScale', index: 0, label: 'Wheel scale error', unit: '%', scale: 100, color: '#38bdf8' },
+    { key: 'bias', sd: 'sdBias', index: 1, label: 'Heading bias', unit: '°/100px', scale: 100 / DEG, color: '#fbbf24' },
+];
+
+// Estimate over sim time with its ±1σ band, and the true value dashed
+function TermChart({ history, term, estimate, sd, truth }) {
+    const t0 = history.length ? history[0].t : 0;
+    const t1 = history.length ? Math.max(t0 + 1, history[history.length - 1].t) : 1;
+    const pts = history.map(e => ({
+        t: e.t,
+        v: e[term.key] * term.scale,
+        sd: e[term.sd] * term.scale,
+    }));
+    const span = Math.max(Math.abs(truth) * 1.5, ...pts.map(p => Math.abs(p.v) + p.sd), 0.1);
+    const x = (t) => (t - t0) / (t1 - t0) * W;
+    const y = (v) => H / 2 - v / span * (H / 2);
+    const band = pts.length
+        ? [...pts.map(p => `${x(p.t)},${y(p.v + p.sd)}`), ...pts.slice().reverse().map(p => `${x(p.t)},${y(p.v - p.sd)}`)].join(' ')
+        : '';
+
+    return html`
+        <div>
+            <div style="font-size: 11px; color:#cbd5e1; margin-bottom: 2px;">
+                ${term.label}: <b style="color:${term.color};">${estimate.toFixed(2)} ± ${sd.toFixed(2)}</b>
+                <span style="opacity:0.7;"> ${term.unit} (true ${truth.toFixed(2)})</span>
+            </div>
+            <svg width=${W} height=${H + 14} style="display:block; background: rgba(15,23,42,0.6); border-radius: 8px;">
+                <line x1="0" y1=${y(0)} x2=${W} y2=${y(0)} stroke="#334155" />
+                <line x1="0" y1=${y(truth)} x2=${W} y2=${y(truth)} stroke="#e2e8f0" stroke-dasharray="5 4" opacity="0.7" />
+                ${band && html`<polygon points=${band} fill=${term.color} opacity="0.18" />`}
+                ${pts.length > 0 && html`
+                    <polyline points=${pts.map(p => `${x(p.t)},${y(p.v)}`).join(' ')} fill="none" stroke=${term.color} stroke-width="2" />
+                `}
+                <text x="4" y=${H + 11} fill="#94a3b8" font-size="10">${t0.toFixed(0)} s</text>
+                <text x=${W - 4} y=${H + 11} fill="#94a3b8" font-size="10" text-anchor="end">${t1.toFixed(0)} s</text>
+            </svg>
+        </div>
+    `;
+}
+
+/**
+ * Self-calibration panel: the learned wheel scale error and heading bias over the run,
+ * against the values the odometry model really has.
+ */
+export default function CalibrationPanel({ calib, history, odoParams, onToggle, onForget }) {
+    const truth = trueCalibration(odoParams);
+
+    return html`
+        <div style="display:flex; gap: 16px; align-items:flex-start; flex-wrap: wrap; font-size: 12px; color:#cbd5e1;">
+            <div style="display:flex; flex-direction: column; gap: 6px; max-width: 260px;">
+                <div style="display:flex; gap: 6px;">
+                    <button class="control-btn ${calib.learning ? 'active' : ''}" onClick=${onToggle}>Learn calibration</button>
+                    <button class="control-btn" onClick=${onForget}>Forget</button>
+                </div>
+                <div style="opacity: 0.85; line-height: 1.4;">
+                    Each landmark fix (and compass reading) shows how far the wheels were off. The residuals
+                    refine an estimate of the scale error and heading bias, which corrects the dead
+                    reckoning of every later run, the odometry run included.
+                </div>
+            </div>
+            ${TERMS.map(term => html`
+                <${TermChart}
+                    history=${history}
+                    term=${term}
+                    estimate=${calib[term.key] * term.scale}
+                    sd=${Math.sqrt(calib.P[term.index][term.index]) * term.scale}
+                    truth=${truth[term.key] * term.scale}
+                />
+            `)}
+        </div>
+    `;
+}
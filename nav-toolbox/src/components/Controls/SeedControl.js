@@ -0,0 +1,29 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import htm from 'htm';
+import { parseSeed, randomSeed } from '../../utils/random.js';
+
+const html = htm.bind(h);
+
+// Shows the seed a run was drawn from; type one in (Enter) to replay that run exactly.
+export default function SeedControl({ seed, onSeedChange, style = '' }) {
+    const [text, setText] = useState(String(seed));
+
+    useEffect(() => { setText(String(seed)); }, [seed]);
+
+    const apply = () => onSeedChange(parseSeed(text));
+
+    return html`
+        <div style="display:flex; gap:6px; align-items:center; font-size:12px; color:#cbd5e1; ${style}">
+            <span>Seed</span>
+            <input
+                value=${text}
+                onInput=${(e) => setText(e.currentTarget.value)}
+                onKeyDown=${(e) => { e.stopPropagation(); if (e.key === 'Enter') apply(); }}
+                style="width: 96px; background:#0f172a; color:#f8fafc; border:1px solid #334155; border-radius:4px; padding:2px 6px; font-family: monospace;"
+            />
+            <button class="control-btn" onClick=${apply} title="Restart the run from this seed">Replay</button>
+            <button class="control-btn" onClick=${() => onSeedChange(randomSeed())} title="Draw a fresh seed">New</button>
+        </div>
+    `;
+}
@@ -0,0 +1,62 @@
+import { h } from 'preact';
+import { useRef } from 'preact/hooks';
+import htm from 'htm';
+
+const html = htm.bind(h);
+
+// Scrubber over a tab's recorded run (see hooks/useRecorder.js).
+// onShow(frame): display a recorded frame; onResume(frame): continue live from it.
+export default function Timeline({ recorder, onShow, onResume, seed = null, style = '' }) {
+    const fileRef = useRef(null);
+    const { size, playhead, loadedSeed, error } = recorder.status;
+
+    const live = playhead === null;
+    const pos = live ? Math.max(0, size - 1) : playhead;
+    const fmt = (t) => `${t.toFixed(2)}s`;
+
+    const seek = (i) => {
+        const f = recorder.seek(i);
+        if (f) onShow(f);
+    };
+
+    const resume = () => {
+        const f = recorder.goLive();
+        if (f) onResume(f);
+    };
+
+    const load = async (e) => {
+        const file = e.currentTarget.files[0];
+        e.currentTarget.value = '';
+        if (!file) return;
+        const f = await recorder.importRun(file);
+        if (f) onShow(f);
+    };
+
+    return html`
+        <div style="display:flex; gap:8px; align-items:center; font-size:12px; color:#cbd5e1; ${style}">
+            <span style="font-weight: 700; color: ${live ? '#4ade80' : '#fbbf24'}; min-width: 48px;">
+                ${live ? '● LIVE' : '❚❚ REPLAY'}
+            </span>
+            <input
+                type="range"
+                min="0"
+                max=${Math.max(0, size - 1)}
+                value=${pos}
+                disabled=${size === 0}
+                onInput=${(e) => seek(Number(e.currentTarget.value))}
+                onKeyDown=${(e) => e.stopPropagation()}
+                style="flex: 1; min-width: 120px;"
+                title="Drag to scrub through the recorded run"
+            />
+            <span style="font-family: monospace; min-width: 120px;">
+                ${fmt(recorder.frameTime(pos))} / ${fmt(recorder.frameTime(size - 1))}
+            </span>
+            <button class="control-btn ${live ? 'active' : ''}" onClick=${resume} title="Continue live from the frame shown">Live</button>
+            <button class="control-btn" onClick=${() => recorder.exportRun(loadedSeed ?? seed)} disabled=${size === 0}>Export</button>
+            <button class="control-btn" onClick=${() => fileRef.current.click()}>Load</button>
+            <input ref=${fileRef} type="file" accept=".json,application/json" style="display:none;" onChange=${load} />
+            ${loadedSeed !== null && html`<span style="color:#94a3b8;">run seed ${loadedSeed}</span>`}
+            ${error && html`<span style="color:#f87171;">${error}</span>`}
+        </div>
+    `;
+}
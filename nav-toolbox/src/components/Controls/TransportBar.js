@@ -0,0 +1,37 @@
+import { h } from 'preact';
+import htm from 'htm';
+import { SPEEDS } from '../../utils/clock.js';
+
+const html = htm.bind(h);
+
+// Pause / resume / single-step and playback speed for whichever tab is showing.
+export default function TransportBar({ clock, onChange }) {
+    const set = (patch) => onChange({ ...clock, ...patch });
+
+    // Stepping only makes sense from a frozen frame, so it pauses first
+    const stepOnce = () => set({ paused: true, stepRequest: clock.stepRequest + 1 });
+
+    return html`
+        <div style="display:flex; gap:6px; align-items:center; font-size:12px; color:#cbd5e1;">
+            <button
+                class="control-btn ${clock.paused ? 'active' : ''}"
+                onClick=${() => set({ paused: !clock.paused })}
+                title="Freeze or resume the simulation"
+                style="min-width: 72px;"
+            >
+                ${clock.paused ? 'Resume' : 'Pause'}
+            </button>
+            <button class="control-btn" onClick=${stepOnce} title="Advance one 1/60 s step">Step</button>
+            <span style="margin-left: 6px;">Speed</span>
+            ${SPEEDS.map(s => html`
+                <button
+                    class="control-btn ${clock.speed === s ? 'active' : ''}"
+                    onClick=${() => set({ speed: s })}
+                    style="padding: 0.25rem 0.5rem;"
+                >
+                    ${s}x
+                </button>
+            `)}
+        </div>
+    `;
+}
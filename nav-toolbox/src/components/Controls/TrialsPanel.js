@@ -0,0 +1,141 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import htm from 'htm';
+import { TRIAL_MODES, createBatch, stepBatch, batchTotal, trialsToCsv } from '../../sim/trials.js';
+import { HOME_DETECT_R } from '../../sim/level2.js';
+import { summarize, histogram } from '../../utils/stats.js';
+
+const html = htm.bind(h);
+
+const MODE_COLORS = { ODOMETRY: '#f87171', COMPASS: '#4ade80', LANDMARK: '#a855f7', SNAPSHOT: '#f472b6' };
+const SIZES = [20, 50, 100, 200];
+const BINS = 16;
+const SCATTER_R = 200; // px around HOME shown in the scatter plot
+
+const METRICS = [
+    { key: 'missedBy', label: 'Homing error (px)', of: r => r.missedBy },
+    { key: 'returnLength', label: 'Return path length (px)', of: r => r.returnLength },
+];
+
+function downloadCsv(text, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Overlaid per-mode histograms (outlines) on shared bins
+function Histogram({ batch, metric }) {
+    const W = 300;
+    const H = 110;
+    const all = TRIAL_MODES.flatMap(m => batch.results[m].map(metric.of));
+    const hi = all.length ? Math.max(...all) * 1.0001 : 1;
+    const hists = TRIAL_MODES.map(m => [m, histogram(batch.results[m].map(metric.of), BINS, 0, hi)]);
+    const top = Math.max(1, ...hists.flatMap(([, hg]) => hg.counts));
+    const bw = W / BINS;
+
+    return html`
+        <svg width=${W} height=${H + 16} style="display:block;">
+            ${hists.map(([m, hg]) => html`
+                <polyline
+                    points=${hg.counts.flatMap((c, i) => [`${i * bw},${H - H * c / top}`, `${(i + 1) * bw},${H - H * c / top}`]).join(' ')}
+                    fill="none" stroke=${MODE_COLORS[m]} stroke-width="2" opacity="0.9"
+                />
+            `)}
+            <line x1="0" y1=${H} x2=${W} y2=${H} stroke="#475569" />
+            <text x="0" y=${H + 13} fill="#94a3b8" font-size="10">0</text>
+            <text x=${W} y=${H + 13} fill="#94a3b8" font-size="10" text-anchor="end">${hi.toFixed(0)}</text>
+        </svg>
+    `;
+}
+
+// Where each home vector ran out, around HOME (centre); the circle is the detection range
+function Scatter({ batch }) {
+    const S = 220;
+    const k = S / 2 / SCATTER_R;
+    const clampR = (v) => Math.max(-SCATTER_R, Math.min(SCATTER_R, v));
+    return html`
+        <svg width=${S} height=${S} style="display:block; background: rgba(15,23,42,0.6); border-radius: 8px;">
+            <line x1=${S / 2} y1="0" x2=${S / 2} y2=${S} stroke="#334155" />
+            <line x1="0" y1=${S / 2} x2=${S} y2=${S / 2} stroke="#334155" />
+            <circle cx=${S / 2} cy=${S / 2} r=${HOME_DETECT_R * k} fill="none" stroke="#22c55e" stroke-dasharray="3,3" />
+            ${TRIAL_MODES.flatMap(m => batch.results[m].map(r => html`
+                <circle cx=${S / 2 + clampR(r.end.x) * k} cy=${S / 2 + clampR(r.end.y) * k} r="2.5" fill=${MODE_COLORS[m]} opacity="0.75" />
+            `))}
+            <text x="6" y=${S - 6} fill="#94a3b8" font-size="10">±${SCATTER_R} px around HOME</text>
+        </svg>
+    `;
+}
+
+// Batch runner: N outbound/return trials per mode, run a few per tick so the page stays live.
+export default function TrialsPanel({ seed, odoParams, obstacles, onClose }) {
+    const [n, setN] = useState(50);
+    const [batch, setBatch] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    useEffect(() => {
+        if (!running) return undefined;
+        if (batch.done >= batchTotal(batch)) {
+            setRunning(false);
+            return undefined;
+        }
+        const id = setTimeout(() => setBatch(b => stepBatch(b, 2)), 0);
+        return () => clearTimeout(id);
+    }, [running, batch]);
+
+    const start = () => {
+        setBatch(createBatch(n, seed, odoParams, obstacles));
+        setRunning(true);
+    };
+
+    const fmt = (v) => (Number.isFinite(v) ? v.toFixed(0) : '–');
+
+    return html`
+        <div style="display:flex; flex-direction:column; gap:8px; font-size:12px; color:#cbd5e1;">
+            <div style="display:flex; gap:8px; align-items:center; flex-wrap: wrap;">
+                <b style="color:#facc15;">Monte Carlo</b>
+                <span>trials per mode:</span>
+                ${SIZES.map(s => html`
+                    <button class="control-btn ${n === s ? 'active' : ''}" disabled=${running} onClick=${() => setN(s)}>${s}</button>
+                `)}
+                <button class="control-btn" onClick=${running ? () => setRunning(false) : start}>${running ? 'Stop' : 'Run'}</button>
+                <button
+                    class="control-btn"
+                    disabled=${!batch || batch.done === 0}
+                    onClick=${() => downloadCsv(trialsToCsv(batch), `level2-trials-${batch.seed}.csv`)}
+                >Export CSV</button>
+                ${batch && html`<span style="font-family: monospace;">${batch.done}/${batchTotal(batch)} (seeds ${batch.seed}…${batch.seed + batch.n - 1}, current odometry settings and rocks)</span>`}
+                <button class="control-btn" style="margin-left:auto;" onClick=${onClose}>Close</button>
+            </div>
+
+            ${batch && html`
+                <div style="display:flex; gap:16px; align-items:flex-start; flex-wrap: wrap;">
+                    ${METRICS.map(metric => html`
+                        <div>
+                            <div style="font-weight:700; margin-bottom:4px;">${metric.label}</div>
+                            <${Histogram} batch=${batch} metric=${metric} />
+                            <table style="font-family: monospace; border-spacing: 8px 1px; margin-left: -8px;">
+                                <tr><td></td><td>n</td><td>mean</td><td>p10</td><td>p50</td><td>p90</td></tr>
+                                ${TRIAL_MODES.map(m => {
+                                    const st = summarize(batch.results[m].map(metric.of));
+                                    return html`
+                                        <tr>
+                                            <td style="color:${MODE_COLORS[m]}; font-weight:700;">${m}</td>
+                                            <td>${st.n}</td><td>${fmt(st.mean)}</td><td>${fmt(st.p10)}</td><td>${fmt(st.p50)}</td><td>${fmt(st.p90)}</td>
+                                        </tr>
+                                    `;
+                                })}
+                            </table>
+                        </div>
+                    `)}
+                    <div>
+                        <div style="font-weight:700; margin-bottom:4px;">Where the home vector ran out</div>
+                        <${Scatter} batch=${batch} />
+                    </div>
+                </div>
+            `}
+        </div>
+    `;
+}
@@ -3,15 +3,16 @@ import htm from 'htm';
 
 const html = htm.bind(h);
 
-export default function Header() {
+export default function Header({ children }) {
     return html`
         <header>
             <div>
                 <h1>Navigation Toolbox</h1>
                 <p class="subtitle">Navigation emerges from four interacting representational levels (sensorimotor to symbolic) working bidirectionally.</p>
             </div>
-            <div style="font-size: 0.8em; color: #64748b;">
-                Interactive Demo
+            <div style="display: flex; align-items: center; gap: 1rem;">
+                ${children}
+                <span style="font-size: 0.8em; color: #64748b;">Interactive Demo</span>
             </div>
         </header>
     `;
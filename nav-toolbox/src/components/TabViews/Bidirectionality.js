@@ -1,403 +1,92 @@
 import { h } from 'preact';
-import { useState, useEffect, useRef, useCallback } from 'preact/hooks';
+import { useState, useRef, useCallback } from 'preact/hooks';
 import htm from 'htm';
 import { useGameLoop } from '../../hooks/useGameLoop.js';
+import { useRecorder } from '../../hooks/useRecorder.js';
+import { createRng, randomSeed } from '../../utils/random.js';
+import SeedControl from '../Controls/SeedControl.js';
+import Timeline from '../Controls/Timeline.js';
+import {
+  WORLD_H, L1, L2, VANTAGE, BEACON, SHIFT_Y, V_SENSE_RADIUS, CONF_THRESH, MODES,
+  createState, step, beginDemoPhase, setDemoEnabled, setRunning, restartRun, demoInfo, inVantage,
+} from '../../sim/bidirectionality.js';
 
 const html = htm.bind(h);
 
-// ---------- Helpers ----------
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
-function wrapPi(a) {
-  while (a > Math.PI) a -= 2 * Math.PI;
-  while (a < -Math.PI) a += 2 * Math.PI;
-  return a;
-}
-function angleDiff(a, b) { return wrapPi(a - b); }
-
-// Gaussian noise (Box–Muller)
-function randn() {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-}
-
-// ---------- World ----------
-const WORLD_W = 400;
-const WORLD_H = 300;
-
-// Two identical landmarks (goal destinations) far away on the right
-const L1 = { x: 340, y: 80, label: 'L1' };
-const L2 = { x: 340, y: 220, label: 'L2' };
-
-// Vantage region in the middle
-const VANTAGE = { x: 200, y: 150, label: 'V' };
-
-// Unique beacon for disambiguation measurement
-const BEACON = { x: 320, y: 60, label: 'B' };
-
-// Starting pose
-const START = { x: 60, y: 150, theta: 0 };
-
-// Hypothesis ambiguity modeled as vertical shift
-const SHIFT_Y = 140;
-
-// Vantage sensing radius
-const V_SENSE_RADIUS = 55;
-
-// Confidence threshold
-const CONF_THRESH = 0.40;
-
-// Motion params (slower)
-const SPEED = 62;      // px/sec (was 90)
-const TURN_RATE = 3.0; // rad/sec (was 3.5)
-
-// Modes (only two)
-const MODES = [
-  { id: 'BIDIR', label: 'Bidirectional (Active)' },
-  { id: 'STUBBORN', label: 'No belief updates (Stubborn)' },
-];
-
-// For stubborn weak-prior dithering
-const STUB_DITHER_PERIOD = 1.6;
-
-// ---------- Demo script ----------
-const DEMO_GOAL_RADIUS = 16;
-const DEMO_HOLD_AFTER_GOAL = 1.8;
-
-// Two phases only
-const DEMO = [
-  {
-    prior: 'STRONG_WRONG',
-    mode: 'STUBBORN',
-    title: 'No bidirectionality (stubborn)',
-    line: 'Strong wrong prior → commits to L2 and ignores evidence.',
-    result: 'Result: ends at L2 (wrong) and never corrects.',
-    goal: 'L2',
-  },
-  {
-    prior: 'STRONG_WRONG',
-    mode: 'BIDIR',
-    title: 'Bidirectional perception–action loop',
-    line: 'Verify at V → update belief → reach L1 even with a wrong prior.',
-    result: 'Result: ends at L1 (correct) after updating at V.',
-    goal: 'L1',
-  },
-];
 
 export default function Bidirectionality() {
-  const [priorMode, setPriorMode] = useState('WEAK'); // WEAK | STRONG_CORRECT | STRONG_WRONG
-  const [simMode, setSimMode] = useState('BIDIR');    // BIDIR | STUBBORN
-  const [running, setRunning] = useState(false);
-
-  const [robot, setRobot] = useState({ ...START });
-  const [belief, setBelief] = useState([0.5, 0.5]); // [w1,w2]
-
-  const [action, setAction] = useState('IDLE');
-  const [measInfo, setMeasInfo] = useState(null); // {meas,sigma,pred1,pred2,err1,err2,winner,inVantage}
-  const [tElapsed, setTElapsed] = useState(0);
-
-  // Demo UI
-  const [demoEnabled, setDemoEnabled] = useState(true);
-  const [demoTitle, setDemoTitle] = useState('');
-  const [demoLine, setDemoLine] = useState('');
-  const [demoPhase, setDemoPhase] = useState(0);
-
-  // refs for stable loop
-  const robotRef = useRef(robot);
-  const beliefRef = useRef(belief);
-  const priorRef = useRef(priorMode);
-  const simModeRef = useRef(simMode);
-  const runningRef = useRef(running);
-  const actionRef = useRef(action);
-  const measRef = useRef(measInfo);
-  const demoEnabledRef = useRef(demoEnabled);
-
-  const elapsedRef = useRef(0);
-  const senseTimerRef = useRef(0);
-
-  // Stubborn dithering state (for WEAK prior)
-  const stubTimerRef = useRef(0);
-  const stubSideRef = useRef(0); // 0 -> L1, 1 -> L2
-
-  // Verification latch for BIDIR (forces “go to V first” so the loop is visible)
-  const verifyRef = useRef({ needsVerify: true });
-
-  // Demo progression refs
-  const demoRef = useRef({ phase: 0, reached: false, hold: 0 });
-
-  useEffect(() => { robotRef.current = robot; }, [robot]);
-  useEffect(() => { beliefRef.current = belief; }, [belief]);
-  useEffect(() => { priorRef.current = priorMode; }, [priorMode]);
-  useEffect(() => { simModeRef.current = simMode; }, [simMode]);
-  useEffect(() => { runningRef.current = running; }, [running]);
-  useEffect(() => { actionRef.current = action; }, [action]);
-  useEffect(() => { measRef.current = measInfo; }, [measInfo]);
-  useEffect(() => { demoEnabledRef.current = demoEnabled; }, [demoEnabled]);
-
-  const computeInitialBelief = (mode) => {
-    if (mode === 'WEAK') return [0.5, 0.5];
-    if (mode === 'STRONG_CORRECT') return [0.9, 0.1];
-    // Strong wrong but recoverable
-    return [0.15, 0.85];
-  };
-
-  const reset = useCallback((newPrior = priorRef.current, newSimMode = simModeRef.current) => {
-    setRunning(false);
-    runningRef.current = false;
-
-    setPriorMode(newPrior);
-    priorRef.current = newPrior;
-
-    setSimMode(newSimMode);
-    simModeRef.current = newSimMode;
-
-    const r = { ...START };
-    robotRef.current = r;
-    setRobot(r);
-
-    const b = computeInitialBelief(newPrior);
-    beliefRef.current = b;
-    setBelief(b);
-
-    setAction('IDLE');
-    actionRef.current = 'IDLE';
-
-    setMeasInfo(null);
-    measRef.current = null;
-
-    elapsedRef.current = 0;
-    senseTimerRef.current = 0;
-
-    // reset verification latch
-    verifyRef.current = { needsVerify: true };
-
-    // randomize which way “stubborn-weak” starts dithering
-    stubTimerRef.current = 0;
-    stubSideRef.current = (Math.random() < 0.5) ? 0 : 1;
-
-    setTElapsed(0);
-  }, []);
-
-  const start = useCallback(() => {
-    setRunning(true);
-    runningRef.current = true;
-  }, []);
-
-  const pause = useCallback(() => {
-    setRunning(false);
-    runningRef.current = false;
+  // Seeded randomness: every reset restarts the stream, so a seed names one run exactly
+  const [seed, setSeed] = useState(randomSeed);
+  const rngRef = useRef(null);
+  if (rngRef.current === null) rngRef.current = createRng(seed);
+
+  // Headless core state (sim/bidirectionality.js); the component only renders it.
+  // Starts in demo mode: stubborn + strong wrong prior
+  const simRef = useRef(null);
+  if (simRef.current === null) simRef.current = createState(rngRef.current, true);
+  const [sim, setSim] = useState(simRef.current);
+
+  // Records every tick, so the run can be scrubbed back to where the belief flipped
+  const recorder = useRecorder('bidirectionality');
+
+  const showFrame = useCallback((frame) => {
+    simRef.current = frame.sim;
+    setSim(frame.sim);
   }, []);
 
-  const beginDemoPhase = useCallback((idx) => {
-    const phase = DEMO[idx];
-
-    demoRef.current = { phase: idx, reached: false, hold: 0 };
-    setDemoPhase(idx);
-    setDemoTitle(phase.title);
-    setDemoLine(phase.line);
-
-    reset(phase.prior, phase.mode);
-    start();
-  }, [reset, start]);
-
-  // Start in demo mode: stubborn + strong wrong prior
-  useEffect(() => {
-    if (demoEnabled) beginDemoPhase(0);
-    else reset('WEAK', 'BIDIR');
-  }, [demoEnabled, beginDemoPhase, reset]);
-
-  useGameLoop((dtMs) => {
-    if (!runningRef.current) return;
-
-    const dt = dtMs / 1000;
-    if (dt <= 0 || dt > 0.25) return;
-
-    let r = { ...robotRef.current };
-    let b = [...beliefRef.current];
-
-    const mode = simModeRef.current;
-
-    // -----------------------------
-    // TOP-DOWN: choose target
-    // -----------------------------
-    const w1 = b[0], w2 = b[1];
-    const confident = Math.abs(w1 - w2) >= CONF_THRESH;
-
-    let target = VANTAGE;
-    let nextAction = 'GO_TO_V (active localization)';
-
-    if (mode === 'BIDIR') {
-      // Verify at V once, then commit.
-      if (verifyRef.current.needsVerify) {
-        target = VANTAGE;
-        nextAction = 'GO_TO_V (verify)';
-      } else if (confident) {
-        target = (w1 >= w2) ? L1 : L2;
-        nextAction = (w1 >= w2) ? 'GO_TO_L1 (belief commit)' : 'GO_TO_L2 (belief commit)';
-      } else {
-        target = VANTAGE;
-        nextAction = 'GO_TO_V (active localization)';
-      }
-    }
-
-    if (mode === 'STUBBORN') {
-      // Stubborn: never updates belief, action follows the prior.
-      if (priorRef.current === 'STRONG_CORRECT') {
-        target = L1;
-        nextAction = 'GO_TO_L1 (stubborn prior)';
-      } else if (priorRef.current === 'STRONG_WRONG') {
-        target = L2;
-        nextAction = 'GO_TO_L2 (stubborn prior)';
-      } else {
-        // WEAK: dither forever
-        stubTimerRef.current += dt;
-        if (stubTimerRef.current > STUB_DITHER_PERIOD) {
-          stubTimerRef.current = 0;
-          stubSideRef.current = 1 - stubSideRef.current;
-        }
-        target = (stubSideRef.current === 0) ? L1 : L2;
-        nextAction = 'DITHER (weak prior; no updates)';
-      }
-    }
-
-    if (nextAction !== actionRef.current) {
-      actionRef.current = nextAction;
-      setAction(nextAction);
-    }
-
-    // -----------------------------
-    // MOVE
-    // -----------------------------
-    const dx = target.x - r.x;
-    const dy = target.y - r.y;
-    const dist = Math.hypot(dx, dy);
-
-    if (dist > 2.5) {
-      const desired = Math.atan2(dy, dx);
-      const dth = angleDiff(desired, r.theta);
-      const step = clamp(dth, -TURN_RATE * dt, TURN_RATE * dt);
-      r.theta = wrapPi(r.theta + step);
-
-      r.x += Math.cos(r.theta) * (SPEED * dt);
-      r.y += Math.sin(r.theta) * (SPEED * dt);
-
-      r.x = clamp(r.x, 10, WORLD_W - 10);
-      r.y = clamp(r.y, 10, WORLD_H - 10);
-    }
-
-    // -----------------------------
-    // BOTTOM-UP: measurement update
-    // -----------------------------
-    const dV = Math.hypot(VANTAGE.x - r.x, VANTAGE.y - r.y);
-    const inVantage = dV <= V_SENSE_RADIUS;
-
-    // Only BIDIR updates belief
-    const allowBottomUp = (mode !== 'STUBBORN');
-
-    senseTimerRef.current += dt;
-    const SENSE_PERIOD = 0.35;
-
-    // In BIDIR: update ONLY at V
-    const shouldSense =
-      allowBottomUp &&
-      senseTimerRef.current >= SENSE_PERIOD &&
-      (mode === 'BIDIR' && inVantage);
-
-    if (shouldSense) {
-      senseTimerRef.current = 0;
-
-      // sigma model (good at V)
-      const sigma = clamp(0.045 + 0.15 * (dV / V_SENSE_RADIUS), 0.045, 0.20);
-
-      // Measurement: bearing to BEACON
-      const trueBear = wrapPi(Math.atan2(BEACON.y - r.y, BEACON.x - r.x) - r.theta);
-      const meas = wrapPi(trueBear + randn() * sigma);
-
-      // Predictions under H1/H2
-      const pred1 = wrapPi(Math.atan2(BEACON.y - r.y, BEACON.x - r.x) - r.theta);
-      const ghostY = clamp(r.y + SHIFT_Y, 10, WORLD_H - 10);
-      const pred2 = wrapPi(Math.atan2(BEACON.y - ghostY, BEACON.x - r.x) - r.theta);
-
-      const err1 = Math.abs(angleDiff(meas, pred1));
-      const err2 = Math.abs(angleDiff(meas, pred2));
-
-      const lh1 = Math.exp(-0.5 * (err1 / sigma) * (err1 / sigma));
-      const lh2 = Math.exp(-0.5 * (err2 / sigma) * (err2 / sigma));
-
-      // Temper updates
-      const alpha = 0.85;
-      let nw1 = b[0] * Math.pow(lh1, alpha);
-      let nw2 = b[1] * Math.pow(lh2, alpha);
-      const s = nw1 + nw2;
-
-      if (s > 1e-9) {
-        nw1 /= s;
-        nw2 /= s;
-        b = [nw1, nw2];
-      }
-
-      // Once we’ve sensed at V and become confident, allow commitment
-      const nowConfident = Math.abs(b[0] - b[1]) >= CONF_THRESH;
-      if (mode === 'BIDIR' && verifyRef.current.needsVerify && nowConfident) {
-        verifyRef.current.needsVerify = false;
-      }
-
-      const winner = (err1 <= err2) ? 'H1 (Near L1)' : 'H2 (Near L2)';
-      const info = { meas, sigma, pred1, pred2, err1, err2, winner, inVantage };
-      setMeasInfo(info);
-      measRef.current = info;
-    } else {
-      // In STUBBORN mode, keep measurement panel clean
-      if (mode === 'STUBBORN' && measRef.current !== null) {
-        setMeasInfo(null);
-        measRef.current = null;
-      }
+  const resumeFrom = useCallback((frame) => {
+    showFrame(frame);
+    rngRef.current.setState(frame.rng);
+  }, [showFrame]);
+
+  const apply = useCallback((fn) => {
+    // Acting on a replayed frame continues live from it
+    const frame = recorder.goLive();
+    if (frame) resumeFrom(frame);
+
+    simRef.current = fn(simRef.current);
+    setSim(simRef.current);
+  }, [recorder.goLive, resumeFrom]);
+
+  const restart = useCallback((fn) => {
+    recorder.reset();
+    apply(fn);
+  }, [recorder.reset, apply]);
+
+  const start = useCallback(() => apply(s => setRunning(s, true)), [apply]);
+  const pause = useCallback(() => apply(s => setRunning(s, false)), [apply]);
+  const restartDemo = useCallback(() => restart(s => beginDemoPhase(s, 0, rngRef.current)), [restart]);
+  const toggleDemo = useCallback((enabled) => restart(s => setDemoEnabled(s, enabled, rngRef.current)), [restart]);
+
+  // New seed: replay the current run (or demo phase) from the start
+  const changeSeed = useCallback((newSeed) => {
+    setSeed(newSeed);
+    rngRef.current = createRng(newSeed);
+    restart(s => restartRun(s, rngRef.current));
+  }, [restart]);
+
+  useGameLoop((dt) => {
+    if (recorder.replaying()) {
+      const frame = recorder.advance();
+      if (frame && frame.sim !== simRef.current) showFrame(frame);
+      return;
     }
 
-    // Save back
-    robotRef.current = r;
-    beliefRef.current = b;
-
-    setRobot(r);
-    setBelief(b);
-
-    elapsedRef.current += dt;
-    setTElapsed(elapsedRef.current);
-
-    // -----------------------------
-    // Demo progression (2 phases)
-    // -----------------------------
-    if (demoEnabledRef.current) {
-      const idx = demoRef.current.phase;
-      const phase = DEMO[idx];
-
-      const dL1 = Math.hypot(L1.x - r.x, L1.y - r.y);
-      const dL2 = Math.hypot(L2.x - r.x, L2.y - r.y);
-      const dGoal = (phase.goal === 'L1') ? dL1 : dL2;
-
-      if (!demoRef.current.reached && dGoal <= DEMO_GOAL_RADIUS) {
-        demoRef.current.reached = true;
-        demoRef.current.hold = 0;
-        setDemoLine(phase.result);
-      }
-
-      if (demoRef.current.reached) {
-        demoRef.current.hold += dt;
-        if (demoRef.current.hold >= DEMO_HOLD_AFTER_GOAL) {
-          const next = (idx + 1) % DEMO.length;
-          beginDemoPhase(next);
-          return;
-        }
-      }
-    }
-
-    // Safety auto loop when NOT in demo
-    if (!demoEnabledRef.current && elapsedRef.current > 28) {
-      reset(priorRef.current, simModeRef.current);
-    }
+    const next = step(simRef.current, dt, rngRef.current);
+    if (next === simRef.current) return;
+    simRef.current = next;
+    setSim(next);
+    recorder.record(next, rngRef.current);
   });
 
+  const { robot, belief, measInfo, action, simMode, running } = sim;
+  const tElapsed = sim.elapsed;
+  const demoEnabled = sim.demo.enabled;
+  const demo = demoInfo(sim);
+  const demoTitle = demo ? demo.step.title : '';
+  const demoLine = demo ? demo.step.text : '';
+
   // ---------- Viz ----------
   const w1 = belief[0], w2 = belief[1];
   const resolved = Math.abs(w1 - w2) >= CONF_THRESH;
@@ -417,7 +106,7 @@ export default function Bidirectionality() {
   const p2Y = robot.y + Math.sin(robot.theta + pred2) * (rayLen * 0.85);
 
   const modeLabel = MODES.find(m => m.id === simMode)?.label ?? simMode;
-  const inVantageNow = (Math.hypot(VANTAGE.x - robot.x, VANTAGE.y - robot.y) <= V_SENSE_RADIUS);
+  const inVantageNow = inVantage(robot);
 
   const demoOverlay = demoEnabled && (demoTitle || demoLine);
 
@@ -437,21 +126,23 @@ export default function Bidirectionality() {
       backdrop-filter: blur(6px);
       z-index: 20;
       ">
+      <${SeedControl} seed=${seed} onSeedChange=${changeSeed} />
+
       <button class="control-btn ${running ? '' : 'active'}" onClick=${running ? pause : start}>
         ${running ? 'Pause' : 'Run'}
       </button>
 
       ${demoEnabled
       ? html`
-            <button class="control-btn" onClick=${() => beginDemoPhase(0)}>
+            <button class="control-btn" onClick=${restartDemo}>
               Restart demo
             </button>
-            <button class="control-btn active" onClick=${() => setDemoEnabled(false)}>
+            <button class="control-btn active" onClick=${() => toggleDemo(false)}>
               Exit demo
             </button>
           `
       : html`
-            <button class="control-btn active" onClick=${() => setDemoEnabled(true)}>
+            <button class="control-btn active" onClick=${() => toggleDemo(true)}>
               Start demo
             </button>
           `}
@@ -573,8 +264,8 @@ export default function Bidirectionality() {
             ${simMode === 'BIDIR' && html`
               <div style="margin-top: 10px; font-size: 11px; color: #cbd5e1;">
                 <strong>Verify-first:</strong>
-                <span style="color:${verifyRef.current.needsVerify ? '#facc15' : '#4ade80'};">
-                  ${verifyRef.current.needsVerify ? 'ON (go to V)' : 'DONE'}
+                <span style="color:${sim.needsVerify ? '#facc15' : '#4ade80'};">
+                  ${sim.needsVerify ? 'ON (go to V)' : 'DONE'}
                 </span>
               </div>
             `}
@@ -589,12 +280,14 @@ export default function Bidirectionality() {
               <div><strong>Association winner:</strong> <span style="color:#facc15;">${measInfo ? measInfo.winner : '—'}</span></div>
               <div><strong>σ:</strong> ${measInfo ? measInfo.sigma.toFixed(3) : '—'} rad</div>
               <div><strong>Time:</strong> ${tElapsed.toFixed(1)}s</div>
-              ${demoEnabled && html`<div><strong>Demo phase:</strong> ${demoPhase + 1} / ${DEMO.length}</div>`}
+              ${demo && html`<div><strong>Demo phase:</strong> ${demo.chapter.index + 1} / ${demo.chapter.count}</div>`}
             </div>
           </div>
         </div>
       </div>
 
+      <${Timeline} recorder=${recorder} onShow=${showFrame} onResume=${resumeFrom} seed=${seed} style="padding: 8px 0;" />
+
       <div class="caption-area" style="min-height: 110px;">
         <h3 style="margin-bottom:6px;">Bidirectionality (loop vs no-loop)</h3>
         <ul style="margin-top:0;">
@@ -2,113 +2,210 @@ import { h } from 'preact';
 import { useState, useRef } from 'preact/hooks';
 import htm from 'htm';
 import { useGameLoop } from '../../hooks/useGameLoop.js';
+import { VEHICLES, sensorPoses, stepVehicle } from '../../utils/braitenberg.js';
+import { lightVector, sampleField, DEFAULT_FALLOFF } from '../../utils/lightField.js';
+import { stepPanel, TRACKER } from '../../utils/solarTracker.js';
 
 const html = htm.bind(h);
 
+const WORLD_W = 400;
+const WORLD_H = 250;
+
+const SUN_Y = 40;
+const SUN_INTENSITY = 1.6;
+
+// Intensity presets for user-placed lamps
+const LAMP_PRESETS = [
+    { label: 'Dim', intensity: 0.6 },
+    { label: 'Medium', intensity: 1.2 },
+    { label: 'Bright', intensity: 2.0 },
+];
+
+const HEATMAP_CELL = 16;
+
+// Scene C bounds for the vehicle
+const ARENA_C = { x0: 272, x1: 394, y0: 64, y1: 228 };
+const VEHICLE_START = { x: 333, y: 180, theta: -Math.PI / 2 };
+
+// Scene B: tracking panel vs a fixed, upward-facing panel
+const TRACKER_POS = { x: 175, y: 150 };
+const FIXED_POS = { x: 235, y: 150 };
+const PANEL_REST = -Math.PI / 2; // normal pointing straight up
+const INITIAL_PANELS = {
+    tracker: { angle: PANEL_REST, error: 0, power: 0, harvested: 0 },
+    fixed: { angle: PANEL_REST, error: 0, power: 0, harvested: 0 },
+};
+
+const SUN_SPEED = 100; // px/s
+
+// Everything the game loop advances; kept in one object so several fixed steps
+// can run per frame without reading stale state
+const INITIAL_WORLD = {
+    sunX: 50,
+    panels: INITIAL_PANELS,
+    robotPos: { ...VEHICLE_START },
+    readings: { sL: 0, sR: 0, mL: 0, mR: 0 }, // Scene C: last sensor/motor readings for display
+};
+
+// Client (mouse) coords -> SVG viewBox coords
+function toSvgPoint(svg, e) {
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: p.x, y: p.y };
+}
+
 export default function Level1() {
     const sunAngleDisplayRef = useRef(0);
-    const [robotPos, setRobotPos] = useState({ x: 100, y: 150, theta: 0 });
 
-    // Shared state for visualization only (refs used for smoothness/perf if needed, but state is fine for simple low count)
-    // We use a ref for the sun loop to avoid full re-renders just for the sun pos if possible, 
-    // but React is fast enough. Let's use state for simplicity of logic.
-    const [sunX, setSunX] = useState(50);
-    const [energy, setEnergy] = useState(0);
+    // Animated state lives in a ref for the loop; the state copy drives rendering
+    const worldRef = useRef(INITIAL_WORLD);
+    const [world, setWorld] = useState(INITIAL_WORLD);
+
+    // Scene C: selected wiring
+    const [vehicleId, setVehicleId] = useState('2b');
+
+    // Light field: the sweeping sun plus any number of user-placed lamps
+    const [sunOn, setSunOn] = useState(true);
+    const [lamps, setLamps] = useState([]); // [{ id, x, y, intensity }]
+    const [lampPreset, setLampPreset] = useState(1);
+    const [showHeatmap, setShowHeatmap] = useState(false);
+
+    const svgRef = useRef(null);
+    const dragRef = useRef(null); // id of lamp being dragged
+    const nextLampIdRef = useRef(1);
+
+    const buildLights = (sx) => {
+        const lights = lamps.map(l => ({ x: l.x, y: l.y, intensity: l.intensity, falloff: DEFAULT_FALLOFF }));
+        if (sunOn) lights.push({ x: sx, y: SUN_Y, intensity: SUN_INTENSITY, falloff: DEFAULT_FALLOFF });
+        return lights;
+    };
+
+    // --- Lamp placement: click empty space to add (and drag), drag a lamp to move, right-click to remove ---
+    const onCanvasPointerDown = (e) => {
+        if (e.button !== 0) return;
+        const p = toSvgPoint(svgRef.current, e);
+        const id = nextLampIdRef.current++;
+        setLamps(ls => [...ls, { id, x: p.x, y: p.y, intensity: LAMP_PRESETS[lampPreset].intensity }]);
+        dragRef.current = id;
+    };
+
+    const onLampPointerDown = (e, id) => {
+        if (e.button !== 0) return;
+        e.stopPropagation();
+        dragRef.current = id;
+    };
+
+    const onPointerMove = (e) => {
+        if (dragRef.current === null) return;
+        const p = toSvgPoint(svgRef.current, e);
+        const x = Math.max(0, Math.min(WORLD_W, p.x));
+        const y = Math.max(0, Math.min(WORLD_H, p.y));
+        setLamps(ls => ls.map(l => (l.id === dragRef.current ? { ...l, x, y } : l)));
+    };
+
+    const onPointerUp = () => { dragRef.current = null; };
+
+    const removeLamp = (e, id) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setLamps(ls => ls.filter(l => l.id !== id));
+    };
+
+    const resetVehicle = () => {
+        worldRef.current = { ...worldRef.current, robotPos: { ...VEHICLE_START } };
+        setWorld(worldRef.current);
+    };
 
     useGameLoop((dt) => {
+        const { sunX, panels, robotPos } = worldRef.current;
+
         // 1. Move Sun
         // Sun moves from left (20) to right (380) then resets
-        let newSunX = sunX + 0.1 * dt;
+        let newSunX = sunX + SUN_SPEED * dt;
         if (newSunX > 380) newSunX = 20;
-        setSunX(newSunX);
-
-        // Sun Position (Fixed Y for top)
-        const sunPos = { x: newSunX, y: 50 };
 
         // 2. Scene A: Sunflower (Centers on Sun)
         // Calculated in render
 
         // 3. Scene B: Solar Panel (Aligns + Energy)
-        // Calculated in render, Energy varies
-        // Panel is at x=150, y=150
-        const panelPos = { x: 133, y: 150 };
-        const angleToSun = Math.atan2(sunPos.y - panelPos.y, sunPos.x - panelPos.x);
-        // optimal angle is pointing towards sun.
-        // Let's say panel angle is trying to match angleToSun. 
-        // Simple P-controller or instant for "Sensorimotor" (direct connection)
-        // Level 1 implies rigid connection usually. Let's make it instant or slightly lagged.
-        // Let's calculate alignment for energy:
-        // alignment = cos(error). If perfect, 1.
-        // We render it pointing at sun.
-        setEnergy(Math.max(0, Math.sin(newSunX / 400 * Math.PI))); // Fake energy curve based on sun height/pos
-
-        // 4. Scene C: Braitenberg Vehicle (Light seeking)
-        // Robot at robotPos.
-        // Sensors L and R.
-        // Vehicle 2a (Fear) or 2b (Aggression/Love)? "Light seeking" -> Aggression (2b: crossed connections)
-        // Closer sensor drives opposite wheel faster -> turns towards source.
-
-        // Simulating naive light seeking:
-        const rPos = robotPos;
-        const speed = 0.05 * dt;
-
-        // Simple steering logic: Look at sun.
-        const targetAngle = Math.atan2(sunPos.y - rPos.y, sunPos.x - rPos.x);
-        let angleDiff = targetAngle - rPos.theta;
-
-        // Normalize angle
-        while (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
-        while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
-
-        // Turn
-        const turnRate = 0.005 * dt;
-        let newTheta = rPos.theta + Math.sign(angleDiff) * Math.min(Math.abs(angleDiff), turnRate);
-
-        // Move forward if roughly facing
-        const moveSpeed = (1 - Math.abs(angleDiff) / Math.PI) * speed * 0.5; // slow down when turning
-
-        const newRx = rPos.x + Math.cos(newTheta) * moveSpeed;
-        const newRy = rPos.y + Math.sin(newTheta) * moveSpeed;
-
-        // Clamp robot boundaries (Scene C is rightmost third, approx 266-400)
-        // Normalized scenes: A(0-133), B(133-266), C(266-400)
-        // Actually lets split 0-400 width.
-        // Scene A center: 66, Scene B center: 200, Scene C center: 333
-        // Robot constrained to box around 333
-
-        let clampedX = Math.max(280, Math.min(380, newRx));
-        let clampedY = Math.max(120, Math.min(230, newRy));
-
-        // Reset if sun resets or robot stuck
-        if (newSunX < 25) {
-            // Reset robot roughly
-            clampedX = 333;
-            clampedY = 180;
-            newTheta = -Math.PI / 2;
+        // The tracker slews toward the light with a rate-limited P-controller;
+        // both panels collect irradiance * cos(alignment error), integrated over time.
+        // Energy counters restart every "day" (each sun sweep).
+        const lights = buildLights(newSunX);
+        const newDay = sunOn && newSunX < sunX;
+        const harvested = (p) => (newDay ? { ...p, harvested: 0 } : p);
+        const newPanels = {
+            tracker: stepPanel(harvested(panels.tracker), lights, TRACKER_POS, dt, true),
+            fixed: stepPanel(harvested(panels.fixed), lights, FIXED_POS, dt, false),
+        };
+
+        // 4. Scene C: Braitenberg Vehicle (Taxis)
+        // No bearing to the sun: each photosensor only reports how much light it sees,
+        // and the wiring matrix turns those readings straight into wheel speeds.
+        const next = stepVehicle(robotPos, VEHICLES[vehicleId], lights, dt);
+
+        // Scene C arena (rightmost third)
+        let clampedX = Math.max(ARENA_C.x0, Math.min(ARENA_C.x1, next.x));
+        let clampedY = Math.max(ARENA_C.y0, Math.min(ARENA_C.y1, next.y));
+        let newTheta = next.theta;
+
+        // Reset when the sun wraps around (lamps only: let it run, traps are the point)
+        if (sunOn && newSunX < 25) {
+            clampedX = VEHICLE_START.x;
+            clampedY = VEHICLE_START.y;
+            newTheta = VEHICLE_START.theta;
         }
 
-        setRobotPos({ x: clampedX, y: clampedY, theta: newTheta });
+        worldRef.current = {
+            sunX: newSunX,
+            panels: newPanels,
+            robotPos: { x: clampedX, y: clampedY, theta: newTheta },
+            readings: { sL: next.sL, sR: next.sR, mL: next.mL, mR: next.mR },
+        };
+        setWorld(worldRef.current);
     });
 
-    // Helper calculate rotation for Scene A & B
-    const sunPos = { x: sunX, y: 40 };
+    const { sunX, panels, robotPos, readings } = world;
+
+    // Helper calculate rotation for Scene A
+    const lights = buildLights(sunX);
 
-    // ScA: Sunflower at 66, 150
+    // ScA: Sunflower at 66, 150 - bends along the net light vector
     const flowerPos = { x: 66, y: 150 };
-    const flowerAngle = Math.atan2(sunPos.y - flowerPos.y, sunPos.x - flowerPos.x);
+    const flowerAngle = lightVector(lights, flowerPos).angle;
+
+    // ScB: instantaneous power as % of rated, and tracking gain over the fixed panel
+    const powerPct = (p) => Math.max(0, Math.min(100, p.power / TRACKER.ratedPower * 100));
+    const trackGain = panels.fixed.harvested > 1e-6
+        ? (panels.tracker.harvested / panels.fixed.harvested - 1) * 100
+        : 0;
+
+    // ScC: sensor positions (world frame) for drawing
+    const sensors = sensorPoses(robotPos);
+    const vehicle = VEHICLES[vehicleId];
 
-    // ScB: Panel at 200, 150
-    const panelPos = { x: 200, y: 150 };
-    const panelAngle = Math.atan2(sunPos.y - panelPos.y, sunPos.x - panelPos.x);
-    // Energy metric: based on angle alignment (which is perfect here) and distance/angle overhead
-    // Let's make energy max when sun is directly overhead (x=200)
-    const dist = Math.sqrt(Math.pow(sunPos.x - 200, 2) + Math.pow(sunPos.y - 150, 2));
-    const energyLevel = Math.max(0, 100 - (Math.abs(sunPos.x - 200) * 0.5));
+    const heatCells = showHeatmap ? sampleField(lights, WORLD_W, WORLD_H, HEATMAP_CELL) : [];
 
     return html`
         <div class="split-view" style="flex-direction: column;">
             <div class="canvas-container">
-                <svg viewBox="0 0 400 250" style="width: 100%; height: 100%;">
+                <svg
+                    ref=${svgRef}
+                    viewBox="0 0 ${WORLD_W} ${WORLD_H}"
+                    style="width: 100%; height: 100%; cursor: crosshair;"
+                    onPointerDown=${onCanvasPointerDown}
+                    onPointerMove=${onPointerMove}
+                    onPointerUp=${onPointerUp}
+                    onPointerLeave=${onPointerUp}
+                    onContextMenu=${(e) => e.preventDefault()}
+                >
+                    <!-- Heatmap of the combined light field (what the sensors sample) -->
+                    ${heatCells.map(c => html`
+                        <rect x=${c.x} y=${c.y} width=${c.w} height=${c.h} fill="#fbbf24" opacity=${Math.min(0.6, c.value * 0.3)} pointer-events="none" />
+                    `)}
+
                     <!-- Background separators -->
                     <line x1="133" y1="0" x2="133" y2="250" stroke="#334155" stroke-dasharray="4" />
                     <line x1="266" y1="0" x2="266" y2="250" stroke="#334155" stroke-dasharray="4" />
@@ -119,9 +216,24 @@ export default function Level1() {
                     <text x="333" y="240" fill="#94a3b8" font-size="10" text-anchor="middle">Scene C: Taxis</text>
 
                     <!-- Sun -->
-                    <circle cx=${sunX} cy="40" r="15" fill="#fbbf24" stroke="#f59e0b" stroke-width="2">
-                        <animate attributeName="r" values="15;16;15" dur="2s" repeatCount="indefinite" />
-                    </circle>
+                    ${sunOn && html`
+                        <circle cx=${sunX} cy=${SUN_Y} r="15" fill="#fbbf24" stroke="#f59e0b" stroke-width="2" pointer-events="none">
+                            <animate attributeName="r" values="15;16;15" dur="2s" repeatCount="indefinite" />
+                        </circle>
+                    `}
+
+                    <!-- Lamps (drag to move, right-click to remove) -->
+                    ${lamps.map(l => html`
+                        <g
+                            transform="translate(${l.x}, ${l.y})"
+                            style="cursor: grab;"
+                            onPointerDown=${(e) => onLampPointerDown(e, l.id)}
+                            onContextMenu=${(e) => removeLamp(e, l.id)}
+                        >
+                            <circle r=${5 + 4 * l.intensity} fill="#fde68a" opacity="0.25" />
+                            <circle r="5" fill="#fde68a" stroke="#f59e0b" stroke-width="1.5" />
+                        </g>
+                    `)}
 
                     <!-- Scene A: Sunflower -->
                     <g transform="translate(66, 150) rotate(${flowerAngle * 180 / Math.PI + 90})">
@@ -132,28 +244,70 @@ export default function Level1() {
                         <rect x="-2" y="-18" width="4" height="10" fill="#8b5cf6" />
                     </g>
                     
-                    <!-- Scene B: Solar Panel -->
-                    <g transform="translate(200, 150)">
-                         <!-- Base -->
-                        <rect x="-5" y="20" width="10" height="30" fill="#475569" />
-                        <!-- Panel Pivot -->
-                        <g transform="rotate(${panelAngle * 180 / Math.PI + 90})">
-                             <rect x="-20" y="-5" width="40" height="10" fill="#38bdf8" stroke="white" stroke-width="1" />
-                        </g>
-                        <!-- Meter -->
-                        <rect x="-20" y="60" width="40" height="6" fill="#1e293b" />
-                        <rect x="-20" y="60" width=${energyLevel * 0.4} height="6" fill="#4ade80" />
-                        <text x="0" y="80" fill="white" font-size="8" text-anchor="middle">${Math.round(energyLevel)}%</text>
-                    </g>
+                    <!-- Scene B: Tracking vs fixed solar panel -->
+                    ${[
+                        { key: 'tracker', pos: TRACKER_POS, label: 'Tracking', color: '#38bdf8' },
+                        { key: 'fixed', pos: FIXED_POS, label: 'Fixed', color: '#64748b' },
+                    ].map(({ key, pos, label, color }) => {
+                        const p = panels[key];
+                        return html`
+                            <g transform="translate(${pos.x}, ${pos.y})">
+                                <!-- Base -->
+                                <rect x="-4" y="12" width="8" height="26" fill="#475569" />
+                                <!-- Panel Pivot -->
+                                <g transform="rotate(${p.angle * 180 / Math.PI + 90})">
+                                    <rect x="-16" y="-4" width="32" height="8" fill=${color} stroke="white" stroke-width="1" />
+                                </g>
+                                <!-- Meter: instantaneous power -->
+                                <rect x="-20" y="46" width="40" height="6" fill="#1e293b" />
+                                <rect x="-20" y="46" width=${powerPct(p) * 0.4} height="6" fill="#4ade80" />
+                                <text x="0" y="62" fill="white" font-size="7" text-anchor="middle">${label}: ${Math.round(powerPct(p))}%</text>
+                                <text x="0" y="71" fill="#94a3b8" font-size="7" text-anchor="middle">${Math.round(p.harvested)} J</text>
+                            </g>
+                        `;
+                    })}
+                    <text x="205" y="232" fill="#4ade80" font-size="7" text-anchor="middle">
+                        Tracking gain: ${trackGain >= 0 ? '+' : ''}${Math.round(trackGain)}% · error ${Math.round(Math.abs(panels.tracker.error) * 180 / Math.PI)}°
+                    </text>
 
-                    <!-- Scene C: Robot -->
+                    <!-- Scene C: Braitenberg vehicle -->
                     <g transform="translate(${robotPos.x}, ${robotPos.y}) rotate(${robotPos.theta * 180 / Math.PI})">
-                        <polygon points="-10,-10 10,0 -10,10" fill="#f87171" />
-                        <circle cx="5" cy="-5" r="2" fill="yellow" />
-                        <circle cx="5" cy="5" r="2" fill="yellow" />
+                        <rect x="-9" y="-8" width="18" height="16" rx="3" fill="#f87171" />
+                        <!-- Wheels: brightness = motor output -->
+                        <rect x="-6" y="-11" width="10" height="3" fill="#f8fafc" opacity=${0.25 + 0.75 * readings.mL} />
+                        <rect x="-6" y="8" width="10" height="3" fill="#f8fafc" opacity=${0.25 + 0.75 * readings.mR} />
                     </g>
+                    <!-- Sensors: brightness = reading -->
+                    <circle cx=${sensors.left.x} cy=${sensors.left.y} r="2.5" fill="yellow" opacity=${0.25 + 0.75 * Math.min(1, readings.sL)} />
+                    <circle cx=${sensors.right.x} cy=${sensors.right.y} r="2.5" fill="yellow" opacity=${0.25 + 0.75 * Math.min(1, readings.sR)} />
+
+                    <text x="333" y="56" fill="#94a3b8" font-size="7" text-anchor="middle">
+                        L ${readings.sL.toFixed(2)} / R ${readings.sR.toFixed(2)} → wheels ${readings.mL.toFixed(2)} / ${readings.mR.toFixed(2)}
+                    </text>
 
                 </svg>
+
+            </div>
+
+            <div style="display:flex; gap:8px; justify-content:space-between; flex-wrap: wrap; padding: 0 0 1rem 0;">
+                <div style="display:flex; gap:8px; align-items:center;">
+                    <button class="control-btn ${sunOn ? 'active' : ''}" onClick=${() => setSunOn(v => !v)}>Sun</button>
+                    <span style="font-size: 0.8rem; color: #94a3b8;">New lamp:</span>
+                    ${LAMP_PRESETS.map((p, i) => html`
+                        <button class="control-btn ${lampPreset === i ? 'active' : ''}" onClick=${() => setLampPreset(i)}>${p.label}</button>
+                    `)}
+                    <button class="control-btn" onClick=${() => setLamps([])}>Clear lamps</button>
+                    <button class="control-btn ${showHeatmap ? 'active' : ''}" onClick=${() => setShowHeatmap(v => !v)}>Heatmap</button>
+                </div>
+                <div style="display:flex; gap:8px; align-items:center;">
+                    <span style="font-size: 0.8rem; color: #94a3b8;">Vehicle:</span>
+                    ${Object.keys(VEHICLES).map(id => html`
+                        <button class="control-btn ${vehicleId === id ? 'active' : ''}" onClick=${() => setVehicleId(id)}>
+                            ${VEHICLES[id].label}
+                        </button>
+                    `)}
+                    <button class="control-btn" onClick=${resetVehicle}>Reset vehicle</button>
+                </div>
             </div>
             <div class="caption-area">
                 <h3>Level 1: Sensorimotor</h3>
@@ -161,6 +315,9 @@ export default function Level1() {
                     <li><strong>Hardware-level connection:</strong> Sensor inputs directly drive motor outputs.</li>
                     <li><strong>No Representation:</strong> The agent has no memory, no map, and no concept of "space".</li>
                     <li><strong>Examples:</strong> Sunflower tracking sun (Tropism), Solar panels (Tracking), Braitenberg vehicles (Taxis).</li>
+                    <li><strong>Vehicle ${vehicle.label}:</strong> ${vehicle.desc}</li>
+                    <li><strong>Tracker:</strong> A P-controller with a slew-rate limit; energy = irradiance × cos(alignment error), summed over the day and compared with a fixed panel.</li>
+                    <li><strong>Light field:</strong> Click to add a lamp, drag to move it, right-click to remove. With competing lamps a reactive agent can get trapped or oscillate between them.</li>
                     <li><strong>Robotics Parallel:</strong> Reactive collision avoidance, line following.</li>
                 </ul>
             </div>
@@ -2,415 +2,264 @@ import { h } from 'preact';
 import { useState, useRef, useEffect, useCallback } from 'preact/hooks';
 import htm from 'htm';
 import { useGameLoop } from '../../hooks/useGameLoop.js';
+import { useRecorder } from '../../hooks/useRecorder.js';
+import { createRng, randomSeed } from '../../utils/random.js';
+import { ODOMETRY_PARAMS, ODOMETRY_PRESETS, presetOf } from '../../utils/odometry.js';
+import { covarianceEllipse } from '../../utils/ekf.js';
+import {
+  WORLD_W, WORLD_H, HOME, HOME_R, LANDMARKS, LANDMARK_RANGE, MAGNETIC_ZONES, HOME_DETECT_R, SCRIPT,
+  createState, step, currentStep, setOdometry, sceneOf,
+  startSandbox, stopSandbox, setSandboxMode, setDriveInput, addWaypoint, triggerHoming, spiralPoint,
+  HOME_SNAPSHOT, snapshotAt, snapshotHomingVector, DEFAULT_OBSTACLES, setObstacles, toggleObstacle,
+  setCalibrationLearning, forgetCalibration,
+} from '../../sim/level2.js';
+import SeedControl from '../Controls/SeedControl.js';
+import Timeline from '../Controls/Timeline.js';
+import TrialsPanel from '../Controls/TrialsPanel.js';
+import CalibrationPanel from '../Controls/CalibrationPanel.js';
 
 const html = htm.bind(h);
 
-// ---------- Constants & Tuning ----------
-const WORLD_W = 1000;
-const WORLD_H = 720;
-const MARGIN = 40;
-
-// Move HOME to bottom-right to allow for longer walking paths (better drift visibility)
-const HOME = { x: WORLD_W - 140, y: WORLD_H - 120 };
-const HOME_R = 22;
-
-const LANDMARK = { x: 210, y: 170 };
-const LANDMARK_LOCK_R = 18;
-const LANDMARK_RANGE = 140;
-
-const SPEED = 90;
-const TURN_RATE = 3.6;
-
-// Trails: make them readable and persistent
-const TRAIL_MAX = 900;
-const TRAIL_SAMPLE_DT = 0.045; // ~22 Hz sampling
+// Render-only tuning (the simulation itself lives in sim/level2.js)
 const ODO_TRAIL_OPACITY = 0.85; // stronger visibility
 const REAL_TRAIL_OPACITY = 0.70;
 
-// ---------- Helpers ----------
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
-function wrapPi(a) {
-  while (a > Math.PI) a -= 2 * Math.PI;
-  while (a < -Math.PI) a += 2 * Math.PI;
-  return a;
-}
-function angleDiff(a, b) { return wrapPi(a - b); }
-function randn() {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-}
 function radToDeg(r) { return r * 180 / Math.PI; }
+function wrapPi(a) { return Math.atan2(Math.sin(a), Math.cos(a)); }
 
-// ---------- THE DEMO SCRIPT (Director) ----------
-const DEMO_SEQUENCE = [
-  {
-    id: 'INTRO',
-    duration: 1.8,
-    phase: 'IDLE',
-    mode: 'ODOMETRY',
-    title: "Level 2: Spatial Primitives",
-    desc: "The 'Navigation Toolbox': basic building blocks of spatial cognition.",
-    showGhost: true,
-  },
-
-  // --- SCENARIO 1: ODOMETRY (Path Integration) ---
-  {
-    id: 'ODO_OUT',
-    duration: 7.0,
-    phase: 'OUTBOUND',
-    mode: 'ODOMETRY',
-    resetOnEnter: true,
-    title: "Primitive: Path Integration (Odometry)",
-    desc: "Blue = reality. Red dashed = belief. Watch belief drift during the walk.",
-    showGhost: true,
-  },
-  {
-    id: 'ODO_RET',
-    duration: 7.0,
-    phase: 'RETURN',
-    mode: 'ODOMETRY',
-    title: "Return via Odometry",
-    desc: "Failure mode: without external cues, accumulated error can send you to the wrong 'Home'.",
-    showGhost: true,
-  },
-  {
-    id: 'ODO_HOLD',
-    duration: 2.2,
-    phase: 'HOLD',
-    mode: 'ODOMETRY',
-    title: "Hold: Notice the Drift",
-    desc: "This pause exists because humans require time to visually process things.",
-    showGhost: true,
-  },
-  {
-    id: 'TO_COMPASS',
-    duration: 1.4,
-    phase: 'RESET',
-    mode: 'ODOMETRY',
-    title: "Switching to Compass…",
-    desc: "Keeping the odometry trail visible during the transition (because that’s the point).",
-    showGhost: true,
-    fadeTrails: true,
-  },
-
-  // --- SCENARIO 2: COMPASS ---
-  {
-    id: 'COM_OUT',
-    duration: 6.0,
-    phase: 'OUTBOUND',
-    mode: 'COMPASS',
-    resetOnEnter: true,
-    title: "Primitive: Direction Sense (Compass)",
-    desc: "Compass gives a stable reference (North), so headings are consistent.",
-    showGhost: false,
-  },
-  {
-    id: 'COM_RET',
-    duration: 6.2,
-    phase: 'RETURN',
-    mode: 'COMPASS',
-    title: "Return via Compass",
-    desc: "Using the home bearing (direction), you can travel a clean straight line.",
-    showGhost: false,
-  },
-  {
-    id: 'COM_HOLD',
-    duration: 1.8,
-    phase: 'HOLD',
-    mode: 'COMPASS',
-    title: "Hold: What the Compass Actually Does",
-    desc: "It anchors direction. Distance still comes from movement, not magic.",
-    showGhost: false,
-  },
-  {
-    id: 'TO_LANDMARK',
-    duration: 1.4,
-    phase: 'RESET',
-    mode: 'COMPASS',
-    title: "Switching to Landmark…",
-    desc: "",
-    showGhost: false,
-    fadeTrails: true,
-  },
-
-  // --- SCENARIO 3: LANDMARK ---
-  {
-    id: 'LM_OUT',
-    duration: 7.2,
-    phase: 'OUTBOUND',
-    mode: 'LANDMARK',
-    resetOnEnter: true,
-    title: "Primitive: Landmark Beaconing",
-    desc: "Foraging again (error accumulates). The landmark acts like a corrective cue.",
-    showGhost: true,
-  },
-  {
-    id: 'LM_RET',
-    duration: 9.0,
-    phase: 'RETURN',
-    mode: 'LANDMARK',
-    title: "Return via Landmark",
-    desc: "1) Beacon to landmark. 2) Re-calibrate (flash). 3) Go Home using corrected belief.",
-    showGhost: true,
-  },
-  {
-    id: 'LM_HOLD',
-    duration: 2.0,
-    phase: 'HOLD',
-    mode: 'LANDMARK',
-    title: "Hold: Landmark Correction",
-    desc: "That flash marks the moment belief is snapped back to reality.",
-    showGhost: true,
-  },
-  {
-    id: 'LOOP_RESET',
-    duration: 1.2,
-    phase: 'RESET',
-    mode: 'LANDMARK',
-    title: "Looping…",
-    desc: "",
-    showGhost: true,
-    fadeTrails: true,
-  }
+const MODES = [
+  { key: 'ODOMETRY', label: 'Odometry', code: 'Digit1' },
+  { key: 'COMPASS', label: 'Compass', code: 'Digit2' },
+  { key: 'LANDMARK', label: 'Landmark', code: 'Digit3' },
+  { key: 'SNAPSHOT', label: 'Snapshot', code: 'Digit4' },
 ];
 
-export default function Level2Auto() {
-  // --- Simulation State ---
-  const [agent, setAgent] = useState({ x: HOME.x, y: HOME.y, theta: -Math.PI * 0.75 });
-
-  // odoEst: internal belief of displacement from home
-  const [odoEst, setOdoEst] = useState({ x: 0, y: 0 });
-
-  const [trail, setTrail] = useState([]);
-  const [odoTrail, setOdoTrail] = useState([]);
-
-  // --- Sequencer State (render-facing) ---
-  const [stepIdx, setStepIdx] = useState(0);
-  const [stepTime, setStepTime] = useState(0);
-
-  // --- Visual Effects ---
-  const [flash, setFlash] = useState(0);
-  const [isBeaconing, setIsBeaconing] = useState(false);
-
-  // Refs for stable loop access
-  const stateRef = useRef({
-    agent: { x: HOME.x, y: HOME.y, theta: -Math.PI * 0.75 },
-    odo: { x: 0, y: 0 },
-    trail: [],
-    odoTrail: [],
-    drift: { bx: 0, by: 0 },
-    lmLocked: false,
-    foodIdx: 0,
-    foods: [],
-
-    // better trail sampling
-    trailAcc: 0,
-
-    // for compass UI
-    desiredAngle: -Math.PI * 0.75,
-    homeBearing: 0,
-  });
-
-  const seqRef = useRef({
-    idx: 0,
-    t: 0,
-  });
-
-  // Initialize random food locations
-  useEffect(() => {
-    const foods = [];
-    for (let i = 0; i < 6; i++) {
-      foods.push({
-        x: MARGIN + Math.random() * (WORLD_W * 0.40),
-        y: MARGIN + Math.random() * (WORLD_H * 0.40),
-      });
-    }
-    stateRef.current.foods = foods;
-
-    resetSim();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
-
-  // Logic to reset the simulation between scenes
-  const resetSim = useCallback(() => {
-    const s = stateRef.current;
-    s.agent = { x: HOME.x, y: HOME.y, theta: -Math.PI * 0.75 };
-    s.odo = { x: 0, y: 0 };
-    s.trail = [{ x: HOME.x, y: HOME.y }];
-    s.odoTrail = [{ x: HOME.x, y: HOME.y }];
-    s.drift = { bx: 0, by: 0 };
-    s.lmLocked = false;
-    s.foodIdx = 0;
-    s.trailAcc = 0;
-    s.desiredAngle = s.agent.theta;
-    s.homeBearing = 0;
-
-    setFlash(0);
-    setIsBeaconing(false);
-
-    setAgent({ ...s.agent });
-    setOdoEst({ ...s.odo }); // important for visual consistency on resets
-    setTrail([...s.trail]);
-    setOdoTrail([...s.odoTrail]);
-  }, []);
-
-  useGameLoop((dtRaw) => {
-    const dt = clamp(dtRaw > 1 ? dtRaw / 1000 : dtRaw, 0, 0.05);
-
-    // 1) MANAGE DEMO TIMELINE
-    let idx = seqRef.current.idx;
-    let t = seqRef.current.t + dt;
-
-    const cur = DEMO_SEQUENCE[idx];
+// Snapshot homing vector field (fixed: the snapshot is taken at HOME), one arrow per grid cell
+const FIELD_STEP = 50;
+const SNAPSHOT_FIELD = [];
+for (let y = FIELD_STEP / 2; y < WORLD_H; y += FIELD_STEP) {
+  for (let x = FIELD_STEP / 2; x < WORLD_W; x += FIELD_STEP) {
+    const v = snapshotHomingVector({ x, y });
+    SNAPSHOT_FIELD.push({ x, y, angle: Math.atan2(v.y, v.x) });
+  }
+}
 
-    if (t > cur.duration) {
-      const nextIdx = (idx + 1) % DEMO_SEQUENCE.length;
-      idx = nextIdx;
-      t = 0;
+// Panorama strip: bearing -180..180° across, each landmark as wide as it looks
+const PANORAMA_W = 240;
+function panoramaX(bearing) { return (bearing + Math.PI) / (2 * Math.PI) * PANORAMA_W; }
+
+// Sandbox driving keys: turn left / right, throttle
+const TURN_KEYS = { ArrowLeft: -1, KeyA: -1, ArrowRight: 1, KeyD: 1 };
+const THROTTLE_KEYS = { ArrowUp: 1, KeyW: 1 };
+
+// Client (mouse) coords -> SVG viewBox coords
+function toSvgPoint(svg, e) {
+  const pt = svg.createSVGPoint();
+  pt.x = e.clientX;
+  pt.y = e.clientY;
+  const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+  return { x: clamp(p.x, 0, WORLD_W), y: clamp(p.y, 0, WORLD_H) };
+}
 
-      seqRef.current.idx = idx;
-      setStepIdx(idx);
+// Distance from the true position to where a belief (relative to HOME) puts the agent
+function beliefError(agent, odo) {
+  return Math.hypot(HOME.x + odo.x - agent.x, HOME.y + odo.y - agent.y);
+}
 
-      const nextStep = DEMO_SEQUENCE[idx];
-      if (nextStep.resetOnEnter) resetSim();
-    }
+export default function Level2Auto() {
+  // Seeded randomness: food placement, steering jitter and odometry noise all draw from here
+  const [seed, setSeed] = useState(randomSeed);
+  const [replayCount, setReplayCount] = useState(0);
+  const rngRef = useRef(null);
 
-    seqRef.current.t = t;
-    setStepTime(t);
+  // --- Simulation State (headless core; the component only renders it) ---
+  const [sim, setSim] = useState(() => createState(createRng(seed)));
+  const simRef = useRef(sim);
 
-    const curStep = DEMO_SEQUENCE[idx];
+  // Every tick is recorded so the run can be scrubbed back to e.g. where the ghost diverged
+  const recorder = useRecorder('level2');
 
-    // Pause physics if non-motion phases
-    const paused = (curStep.phase === 'IDLE' || curStep.phase === 'HOLD' || curStep.phase === 'RESET');
-    if (paused) {
-      if (flash > 0) setFlash(f => Math.max(0, f - dt * 2));
-      return;
-    }
+  const showFrame = useCallback((frame) => {
+    simRef.current = frame.sim;
+    setSim(frame.sim);
+  }, []);
 
-    // 2) SIMULATION LOGIC
-    const s = stateRef.current;
-    let desiredAngle = s.agent.theta;
-    let beaconActive = false;
+  const resumeFrom = useCallback((frame) => {
+    showFrame(frame);
+    rngRef.current.setState(frame.rng);
+  }, [showFrame]);
 
-    // --- OUTBOUND (Foraging) ---
-    if (curStep.phase === 'OUTBOUND') {
-      const target = s.foods[s.foodIdx];
-      const d = Math.hypot(target.x - s.agent.x, target.y - s.agent.y);
-      if (d < 18) s.foodIdx = (s.foodIdx + 1) % s.foods.length;
+  const changeSeed = useCallback((newSeed) => {
+    setSeed(newSeed);
+    setReplayCount(n => n + 1); // replay even if the seed is unchanged
+  }, []);
 
-      desiredAngle = Math.atan2(target.y - s.agent.y, target.x - s.agent.x) + randn() * 0.25;
+  // (Re)start the whole demo from the current seed: same seed -> same foods, same drift
+  // (the odometry error settings and the rocks are kept)
+  useEffect(() => {
+    const rng = createRng(seed);
+    rngRef.current = rng;
+    simRef.current = createState(rng, SCRIPT, simRef.current.odoParams, simRef.current.obstacles);
+    setSim(simRef.current);
+    recorder.reset();
+  }, [seed, replayCount]);
+
+  // User edits (odometry settings, sandbox input); while scrubbing they continue live from there
+  const applySim = useCallback((fn) => {
+    if (recorder.replaying()) {
+      const frame = recorder.goLive();
+      if (frame) resumeFrom(frame);
     }
+    simRef.current = fn(simRef.current);
+    setSim(simRef.current);
+  }, [recorder, resumeFrom]);
+
+  // Odometry error model settings
+  const [tuning, setTuning] = useState(false);
+  // Monte Carlo batch of trials (runs headless, beside the live view)
+  const [trials, setTrials] = useState(false);
+  // Odometry self-calibration chart
+  const [calibrating, setCalibrating] = useState(false);
+  const changeOdometry = useCallback((odoParams) => {
+    applySim(s => setOdometry(s, odoParams));
+  }, [applySim]);
+
+  // --- Sandbox: the user drives, then sends the agent home ---
+  const svgRef = useRef(null);
+  const heldKeys = useRef(new Set());
+
+  const toggleSandbox = useCallback(() => {
+    applySim(s => (s.sandbox ? stopSandbox(s, rngRef.current) : startSandbox(s)));
+  }, [applySim]);
+
+  const restartSandbox = useCallback(() => {
+    applySim(s => startSandbox(s, s.sandbox.mode));
+  }, [applySim]);
+
+  // Rocks: while placing, a click adds one or removes the one clicked
+  const [placing, setPlacing] = useState(false);
+  const placingRef = useRef(placing);
+  placingRef.current = placing;
+
+  const onCanvasClick = useCallback((e) => {
+    if (!svgRef.current) return;
+    const p = toSvgPoint(svgRef.current, e);
+    if (placingRef.current) applySim(s => setObstacles(s, toggleObstacle(s.obstacles, p)));
+    else if (simRef.current.sandbox) applySim(s => addWaypoint(s, p));
+  }, [applySim]);
 
-    // --- RETURN (Homing) ---
-    if (curStep.phase === 'RETURN') {
-      const mode = curStep.mode;
-
-      if (mode === 'COMPASS') {
-        desiredAngle = Math.atan2(HOME.y - s.agent.y, HOME.x - s.agent.x);
-      } else if (mode === 'ODOMETRY') {
-        desiredAngle = Math.atan2(-s.odo.y, -s.odo.x);
-      } else if (mode === 'LANDMARK') {
-        const dLm = Math.hypot(s.agent.x - LANDMARK.x, s.agent.y - LANDMARK.y);
-
-        if (!s.lmLocked) {
-          desiredAngle = Math.atan2(LANDMARK.y - s.agent.y, LANDMARK.x - s.agent.x);
-          beaconActive = true;
-
-          if (dLm < LANDMARK_LOCK_R + 6) {
-            s.lmLocked = true;
-            s.odo.x = s.agent.x - HOME.x;
-            s.odo.y = s.agent.y - HOME.y;
-            setFlash(1.0);
-          }
-        } else {
-          desiredAngle = Math.atan2(-s.odo.y, -s.odo.x);
-        }
+  useEffect(() => {
+    const driveFromKeys = () => {
+      let turn = 0;
+      let throttle = 0;
+      for (const code of heldKeys.current) {
+        turn += TURN_KEYS[code] || 0;
+        throttle = Math.max(throttle, THROTTLE_KEYS[code] || 0);
       }
+      applySim(s => setDriveInput(s, clamp(turn, -1, 1), throttle));
+    };
+
+    const onDown = (e) => {
+      if (!simRef.current.sandbox || e.target.tagName === 'INPUT') return;
+      if (TURN_KEYS[e.code] !== undefined || THROTTLE_KEYS[e.code] !== undefined) {
+        e.preventDefault();
+        if (e.repeat) return;
+        heldKeys.current.add(e.code);
+        driveFromKeys();
+        return;
+      }
+      if (e.repeat) return;
+      const mode = MODES.find(m => m.code === e.code);
+      if (mode) { e.preventDefault(); applySim(s => setSandboxMode(s, mode.key)); return; }
+      if (e.code === 'KeyH') { e.preventDefault(); applySim(triggerHoming); return; }
+      if (e.code === 'KeyR') { e.preventDefault(); restartSandbox(); }
+    };
+
+    const onUp = (e) => {
+      if (!heldKeys.current.delete(e.code) || !simRef.current.sandbox) return;
+      e.preventDefault();
+      driveFromKeys();
+    };
+
+    window.addEventListener('keydown', onDown, { passive: false });
+    window.addEventListener('keyup', onUp, { passive: false });
+    return () => {
+      window.removeEventListener('keydown', onDown);
+      window.removeEventListener('keyup', onUp);
+    };
+  }, [applySim, restartSandbox]);
+
+  useGameLoop((dt) => {
+    if (!rngRef.current) return;
+
+    if (recorder.replaying()) {
+      const frame = recorder.advance();
+      if (frame && frame.sim !== simRef.current) showFrame(frame);
+      return;
     }
 
-    s.desiredAngle = desiredAngle;
-    s.homeBearing = Math.atan2(HOME.y - s.agent.y, HOME.x - s.agent.x);
-
-    setIsBeaconing(beaconActive);
-    if (flash > 0) setFlash(f => Math.max(0, f - dt * 2));
-
-    // Soft Wall Avoidance
-    const probeX = s.agent.x + Math.cos(desiredAngle) * 42;
-    const probeY = s.agent.y + Math.sin(desiredAngle) * 42;
-    const wallX = clamp(probeX, MARGIN, WORLD_W - MARGIN);
-    const wallY = clamp(probeY, MARGIN, WORLD_H - MARGIN);
-
-    if (wallX !== probeX || wallY !== probeY) {
-      desiredAngle = Math.atan2(WORLD_H / 2 - s.agent.y, WORLD_W / 2 - s.agent.x);
-      s.desiredAngle = desiredAngle;
-    }
-
-    // Move Agent
-    const dTh = angleDiff(desiredAngle, s.agent.theta);
-    s.agent.theta = wrapPi(s.agent.theta + clamp(dTh, -TURN_RATE * dt, TURN_RATE * dt));
-
-    const prevX = s.agent.x;
-    const prevY = s.agent.y;
-
-    const dHome = Math.hypot(s.agent.x - HOME.x, s.agent.y - HOME.y);
-    const canAutoStop = (curStep.mode === 'COMPASS' || (curStep.mode === 'LANDMARK' && s.lmLocked));
-    const speedNow = (curStep.phase === 'RETURN' && canAutoStop && dHome < 14) ? 0 : SPEED;
-
-    s.agent.x = clamp(s.agent.x + Math.cos(s.agent.theta) * speedNow * dt, MARGIN, WORLD_W - MARGIN);
-    s.agent.y = clamp(s.agent.y + Math.sin(s.agent.theta) * speedNow * dt, MARGIN, WORLD_H - MARGIN);
-
-    // Update Odometry (with BIAS + NOISE)
-    const dX = s.agent.x - prevX;
-    const dY = s.agent.y - prevY;
-
-    const DRIFT_WIND = 1.7;
-    s.drift.bx += (randn() * 1.3 + DRIFT_WIND) * dt;
-    s.drift.by += (randn() * 1.3 + DRIFT_WIND) * dt;
-
-    const errorActive = (curStep.mode === 'ODOMETRY' || curStep.mode === 'LANDMARK');
-    const noiseScale = errorActive ? 1.0 : 0.0;
-
-    s.odo.x += dX + (s.drift.bx * dt * noiseScale);
-    s.odo.y += dY + (s.drift.by * dt * noiseScale);
-
-    // Trails (time-based sampling)
-    s.trailAcc += dt;
-    if (s.trailAcc >= TRAIL_SAMPLE_DT) {
-      s.trailAcc = 0;
-
-      s.trail.push({ x: s.agent.x, y: s.agent.y });
-      if (s.trail.length > TRAIL_MAX) s.trail.shift();
-
-      s.odoTrail.push({ x: HOME.x + s.odo.x, y: HOME.y + s.odo.y });
-      if (s.odoTrail.length > TRAIL_MAX) s.odoTrail.shift();
-    }
-
-    // Sync React State
-    setAgent({ ...s.agent });
-    setOdoEst({ ...s.odo });
-    setTrail([...s.trail]);
-    setOdoTrail([...s.odoTrail]);
+    simRef.current = step(simRef.current, dt, rngRef.current);
+    setSim(simRef.current);
+    recorder.record(simRef.current, rngRef.current);
   });
 
   // --- Rendering ---
-  const curStep = DEMO_SEQUENCE[stepIdx];
-
-  const ghostPos = { x: HOME.x + odoEst.x, y: HOME.y + odoEst.y };
-  const showGhost = (curStep.showGhost !== false) && curStep.mode !== 'COMPASS';
+  // Current script step (scenarios/level2.json); its 'set' is the scene being shown
+  const curStep = currentStep(sim);
+  const scene = sceneOf(sim);
+  const sb = sim.sandbox;
+  const stepIdx = sim.director.step;
+  const stepTime = sim.director.t;
+  const stepProgress = !sb && curStep.duration ? clamp(stepTime / curStep.duration, 0, 1) : 0;
+  const { agent, trail, odoTrail, flash, isBeaconing } = sim;
+
+  const ghostPos = { x: HOME.x + sim.odo.x, y: HOME.y + sim.odo.y };
+  // Belief uncertainty: 1σ and 2σ ellipses of the EKF-predicted position covariance
+  const ellipse1 = covarianceEllipse(sim.odoCov, 1);
+  const ellipse2 = covarianceEllipse(sim.odoCov, 2);
+  const preset = presetOf(sim.odoParams);
+  const beacon = LANDMARKS.find(lm => lm.id === sim.beaconId);
+  const errors = {
+    full: beliefError(agent, sim.odo),
+    heading: radToDeg(Math.abs(wrapPi(sim.odo.theta - agent.theta))),
+    headingOnly: beliefError(agent, sim.odoHeadingOnly),
+    distanceOnly: beliefError(agent, sim.odoDistanceOnly),
+  };
+  const showGhost = scene.showGhost !== false;
 
   // Fade trails during RESET so the transition feels intentional
-  const fade = curStep.fadeTrails ? clamp(1 - (stepTime / curStep.duration), 0, 1) : 1;
-
-  const s = stateRef.current;
-  const desiredAngle = s.desiredAngle || agent.theta;
-  const homeBearing = s.homeBearing || 0;
+  const fade = scene.fadeTrails ? 1 - stepProgress : 1;
+
+  const desiredAngle = sim.desiredAngle || agent.theta;
+  const homeBearing = sim.homeBearing || 0;
+
+  // Caption: the script step's, or the sandbox's
+  let title = curStep.title;
+  let text = curStep.text;
+  if (sb) {
+    const modeLabel = MODES.find(m => m.key === sb.mode).label;
+    title = `Sandbox: drive yourself, then home via ${modeLabel}`;
+    if (sb.phase === 'DRIVE') {
+      text = 'Arrows / WASD drive, clicks add waypoints. 1 / 2 / 3 / 4 pick Odometry, Compass, Landmark or Snapshot; H sends the agent home, R starts over.';
+    } else if (sb.phase === 'RETURN') {
+      text = `Homing via ${modeLabel}…`;
+    } else {
+      const r = sb.result;
+      const found = !r.found ? 'The search gave up.'
+        : r.searchTime > 0 ? `Searching found home after ${r.searchTime.toFixed(1)} s.`
+          : 'Home was in sight.';
+      text = `The home vector ended ${r.error.toFixed(0)} px from home after driving ${r.driven.toFixed(0)} px (${(100 * r.error / Math.max(1, r.driven)).toFixed(1)}%), ${r.slips} slip${r.slips === 1 ? '' : 's'}. ${found} Press R to drive again.`;
+    }
+  }
 
-  const showPauseOverlay = (curStep.phase === 'HOLD' || curStep.phase === 'RESET' || curStep.phase === 'IDLE');
+  const showPauseOverlay = sb ? sb.phase === 'DONE' : !!curStep.overlay;
 
   const headingRot = radToDeg(agent.theta) + 90;
   const bearingRot = radToDeg(homeBearing) + 90;
+  const compassRot = radToDeg(sim.compassReading) + 90;
+  // Where the agent believes home is, seen from where it really is
+  const believedHome = { x: agent.x - sim.odo.x, y: agent.y - sim.odo.y };
   const desiredRot = radToDeg(desiredAngle) + 90;
 
   return html`
@@ -432,10 +281,10 @@ export default function Level2Auto() {
       <div style="width: 100%; text-align: center; margin-bottom: 8px; flex: 0 0 auto;">
         <div style="display:flex; flex-direction:column; gap:4px;">
           <div style="font-size: 18px; font-weight: 800; color: #facc15; line-height: 1.12;">
-            ${curStep.title}
+            ${title}
           </div>
           <div style="font-size: 13px; color: #cbd5e1; max-width: 1100px; margin: 0 auto; line-height: 1.25;">
-            ${curStep.desc}
+            ${text}
           </div>
         </div>
       </div>
@@ -455,16 +304,23 @@ export default function Level2Auto() {
             border: 1px solid rgba(148,163,184,0.18);
           "
         >
-          <svg viewBox="0 0 ${WORLD_W} ${WORLD_H}" style="width: 100%; height: 100%; display:block;">
+          <svg
+            ref=${svgRef}
+            viewBox="0 0 ${WORLD_W} ${WORLD_H}"
+            style="width: 100%; height: 100%; display:block; cursor: ${placing || (sb && sb.phase === 'DRIVE') ? 'crosshair' : 'default'};"
+            onClick=${onCanvasClick}
+          >
             <!-- HOME -->
             <circle cx=${HOME.x} cy=${HOME.y} r=${HOME_R} fill="#22c55e" opacity=${0.16 * fade} />
             <circle cx=${HOME.x} cy=${HOME.y} r="6" fill="#22c55e" opacity=${1 * fade} />
             <text x=${HOME.x} y=${HOME.y + 36} fill="#22c55e" font-size="14" text-anchor="middle" font-weight="800" opacity=${fade}>HOME</text>
 
-            <!-- LANDMARK -->
-            <circle cx=${LANDMARK.x} cy=${LANDMARK.y} r="10" fill="#a855f7" opacity=${1 * fade} />
-            <circle cx=${LANDMARK.x} cy=${LANDMARK.y} r=${LANDMARK_RANGE} fill="none" stroke="#a855f7" stroke-dasharray="6,6" opacity=${0.22 * fade} stroke-width="2" />
-            <text x=${LANDMARK.x} y=${LANDMARK.y - 18} fill="#a855f7" font-size="14" text-anchor="middle" opacity=${fade}>LANDMARK</text>
+            <!-- LANDMARKS (dashed circle = sensing range) -->
+            ${LANDMARKS.map(lm => html`
+              <circle cx=${lm.x} cy=${lm.y} r="10" fill="#a855f7" opacity=${1 * fade} />
+              <circle cx=${lm.x} cy=${lm.y} r=${LANDMARK_RANGE} fill="none" stroke="#a855f7" stroke-dasharray="6,6" opacity=${(scene.mode === 'LANDMARK' ? 0.3 : 0.15) * fade} stroke-width="2" />
+              <text x=${lm.x} y=${lm.y - 18} fill="#a855f7" font-size="14" text-anchor="middle" opacity=${fade}>LANDMARK ${lm.id}</text>
+            `)}
 
             <!-- North indicator on the main map -->
             <g transform="translate(${WORLD_W - 70}, ${WORLD_H - 70})" opacity=${0.9 * fade}>
@@ -474,10 +330,49 @@ export default function Level2Auto() {
               <text x="0" y="40" fill="#cbd5e1" font-size="12" text-anchor="middle" font-weight="700">NORTH</text>
             </g>
 
-            <!-- Food targets -->
-            <g opacity=${0.9 * fade}>
-              ${stateRef.current.foods.map((f, i) => html`
-                <circle cx=${f.x} cy=${f.y} r=${i === stateRef.current.foodIdx ? 7 : 5} fill=${i === stateRef.current.foodIdx ? "#facc15" : "rgba(250,204,21,0.55)"} />
+            <!-- Magnetic disturbances: the compass reads wrong inside these -->
+            ${scene.mode === 'COMPASS' && MAGNETIC_ZONES.map(z => html`
+              <circle cx=${z.x} cy=${z.y} r=${z.r} fill="rgba(251,146,60,0.08)" stroke="#fb923c" stroke-dasharray="4,6" stroke-width="2" opacity=${fade} />
+              <text x=${z.x} y=${z.y + 4} fill="#fb923c" font-size="12" text-anchor="middle" font-weight="700" opacity=${0.8 * fade}>
+                MAGNETIC ${z.deflection > 0 ? '+' : ''}${radToDeg(z.deflection).toFixed(0)}°
+              </text>
+            `)}
+
+            <!-- Snapshot mode: homing vector field, and the landmarks as the agent sees them -->
+            ${scene.mode === 'SNAPSHOT' && html`
+              <g opacity=${0.35 * fade}>
+                ${SNAPSHOT_FIELD.map(f => html`
+                  <g transform="translate(${f.x}, ${f.y}) rotate(${radToDeg(f.angle)})">
+                    <line x1="-9" y1="0" x2="9" y2="0" stroke="#f472b6" stroke-width="2" />
+                    <polygon points="12,0 6,-4 6,4" fill="#f472b6" />
+                  </g>
+                `)}
+              </g>
+              ${scene.phase === 'RETURN' && LANDMARKS.map(lm => html`
+                <line x1=${agent.x} y1=${agent.y} x2=${lm.x} y2=${lm.y} stroke="#f472b6" stroke-width="1" opacity=${0.35 * fade} />
+              `)}
+            `}
+
+            <!-- Rocks -->
+            ${sim.obstacles.map(o => html`
+              <circle cx=${o.x} cy=${o.y} r=${o.r} fill="#475569" stroke=${placing ? '#facc15' : '#64748b'} stroke-width="2" />
+            `)}
+
+            <!-- Food targets (the sandbox has waypoints instead) -->
+            ${sb && sb.waypoints.length > 0 && html`
+              <polyline
+                points=${[agent, ...sb.waypoints].map(p => `${p.x},${p.y}`).join(' ')}
+                fill="none"
+                stroke="#facc15"
+                stroke-width="2"
+                stroke-dasharray="4,6"
+                opacity="0.7"
+              />
+              ${sb.waypoints.map(p => html`<circle cx=${p.x} cy=${p.y} r="5" fill="#facc15" />`)}
+            `}
+            <g opacity=${0.9 * fade} display=${sb ? 'none' : 'inline'}>
+              ${sim.foods.map((f, i) => html`
+                <circle cx=${f.x} cy=${f.y} r=${i === sim.foodIdx ? 7 : 5} fill=${i === sim.foodIdx ? "#facc15" : "rgba(250,204,21,0.55)"} />
               `)}
             </g>
 
@@ -505,7 +400,7 @@ export default function Level2Auto() {
                 stroke-linejoin="round"
               />
 
-              ${curStep.phase === 'RETURN' && html`
+              ${scene.phase === 'RETURN' && html`
                 <line
                   x1=${agent.x} y1=${agent.y}
                   x2=${ghostPos.x} y2=${ghostPos.y}
@@ -524,26 +419,34 @@ export default function Level2Auto() {
                 >Drift error</text>
               `}
 
-              <g transform="translate(${ghostPos.x}, ${ghostPos.y}) rotate(${radToDeg(agent.theta)})" opacity=${1 * fade}>
+              <g transform="translate(${ghostPos.x}, ${ghostPos.y}) rotate(${radToDeg(ellipse1.angle)})" opacity=${fade}>
+                <ellipse rx=${ellipse2.rx} ry=${ellipse2.ry} fill="rgba(248,113,113,0.06)" stroke="#f87171" stroke-width="1.5" stroke-dasharray="4,5" opacity="0.6" />
+                <ellipse rx=${ellipse1.rx} ry=${ellipse1.ry} fill="rgba(248,113,113,0.12)" stroke="#f87171" stroke-width="2" opacity="0.85" />
+                ${ellipse2.rx > 30 && html`
+                  <text x=${ellipse2.rx + 4} y="4" fill="#f87171" font-size="11" opacity="0.8">2σ</text>
+                `}
+              </g>
+
+              <g transform="translate(${ghostPos.x}, ${ghostPos.y}) rotate(${radToDeg(sim.odo.theta)})" opacity=${1 * fade}>
                 <circle r="10" fill="none" stroke="#f87171" stroke-width="3" />
                 <line x1="0" y1="0" x2="14" y2="0" stroke="#f87171" stroke-width="3" />
                 <text y="-16" fill="#f87171" font-size="12" text-anchor="middle" font-weight="800">BELIEF</text>
               </g>
             `}
 
-            <!-- Compass mode: show bearing line to HOME -->
-            ${curStep.mode === 'COMPASS' && curStep.phase === 'RETURN' && html`
+            <!-- Compass mode: the believed bearing (and distance) to HOME -->
+            ${scene.mode === 'COMPASS' && scene.phase === 'RETURN' && html`
               <line
                 x1=${agent.x} y1=${agent.y}
-                x2=${HOME.x} y2=${HOME.y}
+                x2=${believedHome.x} y2=${believedHome.y}
                 stroke="#4ade80"
                 stroke-width="3"
                 stroke-dasharray="10,7"
                 opacity=${0.65 * fade}
               />
               <text
-                x=${(agent.x + HOME.x) / 2}
-                y=${(agent.y + HOME.y) / 2 - 14}
+                x=${(agent.x + believedHome.x) / 2}
+                y=${(agent.y + believedHome.y) / 2 - 14}
                 fill="#4ade80"
                 font-size="13"
                 text-anchor="middle"
@@ -552,11 +455,11 @@ export default function Level2Auto() {
               >Home bearing</text>
             `}
 
-            <!-- Landmark beacon line -->
-            ${isBeaconing && html`
+            <!-- Landmark beacon line: heading for the nearest landmark to get a fix -->
+            ${isBeaconing && beacon && html`
               <line
                 x1=${agent.x} y1=${agent.y}
-                x2=${LANDMARK.x} y2=${LANDMARK.y}
+                x2=${beacon.x} y2=${beacon.y}
                 stroke="#facc15"
                 stroke-width="4"
                 stroke-dasharray="10,7"
@@ -564,6 +467,36 @@ export default function Level2Auto() {
               />
             `}
 
+            <!-- Range/bearing sightings of the landmarks in view -->
+            ${scene.mode === 'LANDMARK' && LANDMARKS.filter(lm => sim.inView.includes(lm.id)).map(lm => html`
+              <line
+                x1=${agent.x} y1=${agent.y}
+                x2=${lm.x} y2=${lm.y}
+                stroke="#a855f7"
+                stroke-width="2"
+                opacity=${0.8 * fade}
+              />
+            `)}
+
+            <!-- Systematic search: the spiral so far (around the believed home) and the detection range -->
+            ${sim.search && sim.search.phi > 0 && html`
+              <polyline
+                points=${Array.from({ length: Math.ceil(sim.search.phi / 0.2) + 1 }, (_, i) => spiralPoint(Math.min(i * 0.2, sim.search.phi)))
+                  .map(p => `${HOME.x + p.x},${HOME.y + p.y}`).join(' ')}
+                fill="none"
+                stroke="#f87171"
+                stroke-width="1.5"
+                stroke-dasharray="3,5"
+                opacity=${0.5 * fade}
+              />
+            `}
+            ${sim.search && !sim.search.found && html`
+              <circle cx=${agent.x} cy=${agent.y} r=${HOME_DETECT_R} fill="none" stroke="#22c55e" stroke-width="2" stroke-dasharray="4,4" opacity=${0.6 * fade} />
+              <text x=${agent.x} y=${agent.y + HOME_DETECT_R + 16} fill="#22c55e" font-size="12" font-weight="800" text-anchor="middle" opacity=${fade}>
+                SEARCHING ${sim.search.t.toFixed(1)} s
+              </text>
+            `}
+
             <!-- Recalibration flash -->
             ${flash > 0 && html`
               <circle
@@ -583,7 +516,7 @@ export default function Level2Auto() {
                 font-weight="900"
                 text-anchor="middle"
                 opacity=${flash}
-              >RE-CALIBRATED</text>
+              >LANDMARK FIX</text>
             `}
 
             <!-- AGENT -->
@@ -601,7 +534,7 @@ export default function Level2Auto() {
               left: 0;
               height: 6px;
               background: #facc15;
-              width: ${(stepTime / curStep.duration) * 100}%;
+              width: ${stepProgress * 100}%;
               transition: width 0.08s linear;
               opacity: 0.95;
             "
@@ -622,11 +555,11 @@ export default function Level2Auto() {
             "
           >
             PHASE:
-            <span style="margin-left: 6px; color: ${curStep.phase === 'RETURN' ? '#4ade80' : (curStep.phase === 'OUTBOUND' ? '#facc15' : '#cbd5e1')}; font-weight: 900;">
-              ${curStep.phase}
+            <span style="margin-left: 6px; color: ${scene.phase === 'RETURN' ? '#4ade80' : (scene.phase === 'OUTBOUND' ? '#facc15' : '#cbd5e1')}; font-weight: 900;">
+              ${scene.phase}
             </span>
-            <span style="margin-left: 10px; opacity: 0.85;">MODE: <b>${curStep.mode}</b></span>
-            <span style="margin-left: 10px; opacity: 0.85;">${stepIdx + 1}/${DEMO_SEQUENCE.length}</span>
+            <span style="margin-left: 10px; opacity: 0.85;">MODE: <b>${scene.mode}</b></span>
+            <span style="margin-left: 10px; opacity: 0.85;">${sb ? 'SANDBOX' : `${stepIdx + 1}/${SCRIPT.steps.length}`}</span>
           </div>
 
           <!-- Legend -->
@@ -649,14 +582,31 @@ export default function Level2Auto() {
             "
           >
             <span><span style="color:#38bdf8; font-weight:900;">Blue</span> = real path</span>
-            <span><span style="color:#f87171; font-weight:900;">Red dashed</span> = belief (odometry)</span>
+            <span><span style="color:#f87171; font-weight:900;">Red dashed</span> = belief (odometry), ellipses = 1σ / 2σ uncertainty</span>
             <span><span style="color:#22c55e; font-weight:900;">Green</span> = home / bearings</span>
-            <span><span style="color:#a855f7; font-weight:900;">Purple</span> = landmark</span>
+            <span><span style="color:#94a3b8; font-weight:900;">Grey</span> = rocks</span>
+            <span><span style="color:#a855f7; font-weight:900;">Purple</span> = landmarks (solid line = sighting)</span>
             <span><span style="color:#facc15; font-weight:900;">Yellow</span> = beacon / correction</span>
+            ${scene.mode === 'SNAPSHOT' && html`<span><span style="color:#f472b6; font-weight:900;">Pink arrows</span> = snapshot homing vectors</span>`}
+          </div>
+
+          <!-- Seed (replay a run exactly) -->
+          <div
+            style="
+              position: absolute;
+              bottom: 14px;
+              right: 12px;
+              background: rgba(0,0,0,0.45);
+              padding: 8px 10px;
+              border-radius: 12px;
+              border: 1px solid rgba(148,163,184,0.18);
+            "
+          >
+            <${SeedControl} seed=${seed} onSeedChange=${changeSeed} />
           </div>
 
           <!-- Compass widget -->
-          ${curStep.mode === 'COMPASS' && html`
+          ${scene.mode === 'COMPASS' && html`
             <div style="position:absolute; top: 12px; right: 12px; background: rgba(0,0,0,0.55); border: 1px solid rgba(148,163,184,0.18); border-radius: 14px; padding: 10px;">
               <svg width="140" height="140" viewBox="0 0 150 150">
                 <circle cx="75" cy="75" r="62" fill="rgba(17,24,39,0.5)" stroke="rgba(203,213,225,0.5)" stroke-width="2"/>
@@ -676,6 +626,11 @@ export default function Level2Auto() {
                   <line x1="0" y1="0" x2="0" y2="-40" stroke="#4ade80" stroke-width="4" stroke-dasharray="6,6" />
                 </g>
 
+                <!-- Compass reading (orange) -->
+                <g transform="translate(75,75) rotate(${compassRot})" opacity="0.9">
+                  <line x1="0" y1="0" x2="0" y2="-50" stroke="#fb923c" stroke-width="2" />
+                </g>
+
                 <!-- Actual heading (white) -->
                 <g transform="translate(75,75) rotate(${headingRot})" opacity="0.95">
                   <line x1="0" y1="0" x2="0" y2="-34" stroke="white" stroke-width="4" />
@@ -685,12 +640,71 @@ export default function Level2Auto() {
               </svg>
               <div style="text-align:center; font-size: 11px; color:#cbd5e1; margin-top: 6px;">
                 <span style="color:#facc15; font-weight:900;">Yellow</span>: desired ·
-                <span style="color:#4ade80; font-weight:900;"> Green</span>: home ·
+                <span style="color:#4ade80; font-weight:900;"> Green</span>: home (believed) ·
+                <span style="color:#fb923c; font-weight:900;"> Orange</span>: compass ·
                 <span style="color:white; font-weight:900;"> White</span>: heading
               </div>
             </div>
           `}
 
+          <!-- Snapshot widget: the stored panorama (outline) against the current view (filled) -->
+          ${scene.mode === 'SNAPSHOT' && html`
+            <div style="position:absolute; top: 12px; right: 12px; background: rgba(0,0,0,0.55); border: 1px solid rgba(148,163,184,0.18); border-radius: 14px; padding: 10px; font-size: 11px; color:#cbd5e1;">
+              <svg width=${PANORAMA_W} height="44" style="display:block;">
+                <line x1="0" y1="22" x2=${PANORAMA_W} y2="22" stroke="#334155" />
+                ${snapshotAt(agent).map((v, i) => {
+                  const stored = HOME_SNAPSHOT[i];
+                  const sw = Math.max(3, stored.size / (2 * Math.PI) * PANORAMA_W);
+                  const vw = Math.max(3, v.size / (2 * Math.PI) * PANORAMA_W);
+                  return html`
+                    <rect x=${panoramaX(stored.bearing) - sw / 2} y="8" width=${sw} height="28" fill="none" stroke="#f472b6" stroke-width="1.5" />
+                    <rect x=${panoramaX(v.bearing) - vw / 2} y="12" width=${vw} height="20" fill="#a855f7" opacity="0.85" />
+                    <text x=${panoramaX(v.bearing)} y="43" fill="#cbd5e1" font-size="9" text-anchor="middle">${LANDMARKS[i].id}</text>
+                  `;
+                })}
+              </svg>
+              <div style="text-align:center; margin-top: 4px;">
+                <span style="color:#f472b6; font-weight:900;">Outline</span>: snapshot at home ·
+                <span style="color:#a855f7; font-weight:900;"> Filled</span>: current view
+              </div>
+            </div>
+          `}
+
+          <!-- Odometry error model settings -->
+          ${tuning && html`
+            <div
+              style="
+                position: absolute;
+                top: 56px;
+                left: 12px;
+                background: rgba(0,0,0,0.65);
+                padding: 10px 12px;
+                border-radius: 12px;
+                font-size: 12px;
+                color: #cbd5e1;
+                border: 1px solid rgba(148,163,184,0.18);
+                display: grid;
+                grid-template-columns: auto 140px 64px;
+                gap: 4px 10px;
+                align-items: center;
+              "
+            >
+              ${ODOMETRY_PARAMS.map(p => html`
+                <span>${p.label}</span>
+                <input
+                  type="range"
+                  min=${p.min}
+                  max=${p.max}
+                  step=${p.step}
+                  value=${sim.odoParams[p.key]}
+                  onInput=${(e) => changeOdometry({ ...sim.odoParams, [p.key]: Number(e.currentTarget.value) })}
+                  onKeyDown=${(e) => e.stopPropagation()}
+                />
+                <span style="font-family: monospace;">${sim.odoParams[p.key]} <span style="opacity:0.7;">${p.unit}</span></span>
+              `)}
+            </div>
+          `}
+
           <!-- Pause / reset overlay -->
           ${showPauseOverlay && html`
             <div
@@ -715,16 +729,71 @@ export default function Level2Auto() {
                 "
               >
                 <div style="font-size: 14px; color:#cbd5e1; letter-spacing: 0.8px; font-weight: 900;">
-                  ${curStep.phase === 'HOLD' ? 'HOLD' : (curStep.phase === 'RESET' ? 'RESET' : 'IDLE')}
+                  ${scene.phase || ''}
                 </div>
                 <div style="margin-top: 6px; font-size: 13px; color:#e2e8f0;">
-                  ${curStep.desc || ""}
+                  ${text || ""}
                 </div>
               </div>
             </div>
           `}
         </div>
       </div>
+
+      <div style="flex: 0 0 auto; width: 100%; max-width: 1500px; margin: 8px auto 0; display:flex; gap:8px; align-items:center; flex-wrap: wrap; font-size: 12px; color:#cbd5e1;">
+        <button class="control-btn ${sb ? 'active' : ''}" onClick=${toggleSandbox}>${sb ? 'Back to demo' : 'Drive yourself'}</button>
+        ${sb && html`
+          ${MODES.map(m => html`
+            <button
+              class="control-btn ${sb.mode === m.key ? 'active' : ''}"
+              disabled=${sb.phase !== 'DRIVE'}
+              onClick=${() => applySim(s => setSandboxMode(s, m.key))}
+            >${m.label}</button>
+          `)}
+          <button class="control-btn" disabled=${sb.phase !== 'DRIVE'} onClick=${() => applySim(triggerHoming)}>Go home (H)</button>
+          <button class="control-btn" onClick=${restartSandbox}>Restart (R)</button>
+        `}
+        <span>Odometry:</span>
+        ${Object.entries(ODOMETRY_PRESETS).map(([key, p]) => html`
+          <button class="control-btn ${preset === key ? 'active' : ''}" onClick=${() => changeOdometry(p.params)}>${p.label}</button>
+        `)}
+        <button class="control-btn ${tuning ? 'active' : ''}" onClick=${() => setTuning(v => !v)}>${preset ? 'Tune' : 'Tune (custom)'}</button>
+        <button class="control-btn ${trials ? 'active' : ''}" onClick=${() => setTrials(v => !v)}>Monte Carlo</button>
+        <button class="control-btn ${calibrating ? 'active' : ''}" onClick=${() => setCalibrating(v => !v)}>Self-calibration</button>
+        <span>Rocks:</span>
+        <button class="control-btn ${placing ? 'active' : ''}" onClick=${() => setPlacing(v => !v)} title="Click the arena to add a rock, click a rock to remove it">Place</button>
+        <button class="control-btn" onClick=${() => applySim(s => setObstacles(s, []))}>Clear</button>
+        <button class="control-btn" onClick=${() => applySim(s => setObstacles(s, DEFAULT_OBSTACLES))}>Default</button>
+        <span style="margin-left: auto; font-family: monospace;" title="How far the belief is off, and how far it would be with only one kind of error">
+          belief off by <b style="color:#f87171;">${errors.full.toFixed(0)} px</b> (1σ ${ellipse1.rx.toFixed(0)} px), heading ${errors.heading.toFixed(1)}°
+          · odometry with heading errors only: ${errors.headingOnly.toFixed(0)} px
+          · distance errors only: ${errors.distanceOnly.toFixed(0)} px
+          · slips: ${sim.slips}
+          ${sim.search && html` · home vector missed by ${sim.search.missedBy.toFixed(0)} px, searched ${(sim.search.time ?? sim.search.t).toFixed(1)} s`}
+        </span>
+      </div>
+
+      ${trials && html`
+        <div style="flex: 0 0 auto; width: 100%; max-width: 1500px; margin: 8px auto 0; background: rgba(0,0,0,0.45); border: 1px solid rgba(148,163,184,0.18); border-radius: 12px; padding: 10px 12px; box-sizing: border-box;">
+          <${TrialsPanel} seed=${seed} odoParams=${sim.odoParams} obstacles=${sim.obstacles} onClose=${() => setTrials(false)} />
+        </div>
+      `}
+
+      ${calibrating && html`
+        <div style="flex: 0 0 auto; width: 100%; max-width: 1500px; margin: 8px auto 0; background: rgba(0,0,0,0.45); border: 1px solid rgba(148,163,184,0.18); border-radius: 12px; padding: 10px 12px; box-sizing: border-box;">
+          <${CalibrationPanel}
+            calib=${sim.calib}
+            history=${sim.calibHistory}
+            odoParams=${sim.odoParams}
+            onToggle=${() => applySim(s => setCalibrationLearning(s, !s.calib.learning))}
+            onForget=${() => applySim(forgetCalibration)}
+          />
+        </div>
+      `}
+
+      <div style="flex: 0 0 auto; width: 100%; max-width: 1500px; margin: 8px auto 0;">
+        <${Timeline} recorder=${recorder} onShow=${showFrame} onResume=${resumeFrom} seed=${seed} />
+      </div>
     </div>
   `;
 }
@@ -1,549 +1,522 @@
 import { h } from 'preact';
-import { useState, useEffect, useRef, useMemo } from 'preact/hooks';
+import { useState, useRef, useMemo } from 'preact/hooks';
 import htm from 'htm';
 import { useGameLoop } from '../../hooks/useGameLoop.js';
-import { findPath } from '../../utils/astar.js';
+import { useRecorder } from '../../hooks/useRecorder.js';
+import Timeline from '../Controls/Timeline.js';
+import Level3Slam from './Level3Slam.js';
+import { occupancyProbability } from '../../utils/occupancy.js';
+import { ALGORITHMS, HEURISTICS, findPath, searchTrace } from '../../utils/astar.js';
+import {
+    WORLD_W, WORLD_H, DEFAULT_WORLD, MAP_GRID, SENSE_R,
+    createState, step, startDemo, stopDemo, currentMessage, startPos,
+    planPath, passableNodes, addNode, moveNode, removeNode, toggleEdge, addObstacle, removeObstacle,
+    editWorld, setStart, setGoal, startRun, forgetRoute, scratchExpanded,
+} from '../../sim/level3.js';
 
 const html = htm.bind(h);
 
-// Define Graph Nodes
-const GRAPH_NODES = {
-    'start': { x: 50, y: 50, neighbors: ['n1', 'n2'] },
-    'n1': { x: 150, y: 50, neighbors: ['start', 'n3'] },
-    'n2': { x: 50, y: 150, neighbors: ['start', 'n4'] },
-    'n3': { x: 250, y: 50, neighbors: ['n1', 'n5', 'center'] },
-    'n4': { x: 50, y: 250, neighbors: ['n2', 'n6'] },
-    'center': { x: 200, y: 150, neighbors: ['n3', 'n6', 'n5'] },
-    'n5': { x: 350, y: 50, neighbors: ['n3', 'goal_A'] },
-    'n6': { x: 200, y: 250, neighbors: ['n4', 'center', 'goal_B'] },
-    'goal_A': { x: 350, y: 150, neighbors: ['n5'] },
-    'goal_B': { x: 200, y: 280, neighbors: ['n6'] }
-};
-
-// Update neighbors reverse connections
-GRAPH_NODES['n5'].neighbors = ['n3', 'goal_A'];
-GRAPH_NODES['n6'].neighbors = ['n4', 'center', 'goal_B'];
-
-// Start Position
-const START_POS = { x: 50, y: 50 };
-
-// Demo phases configuration
-const DEMO_PHASES = {
-    IDLE: 'IDLE',
-    // Phase 1: Vector to goal_A, then return to start
-    VECTOR_TO_GOAL: 'VECTOR_TO_GOAL',
-    VECTOR_RETURN_TO_START: 'VECTOR_RETURN_TO_START',
-    // Phase 2: Goal moves, vector gets stuck
-    VECTOR_GOAL_MOVING: 'VECTOR_GOAL_MOVING',
-    VECTOR_TO_NEW_GOAL: 'VECTOR_TO_NEW_GOAL',
-    VECTOR_STUCK_WAIT: 'VECTOR_STUCK_WAIT',
-    // Phase 3: Route demonstration
-    RESET_FOR_ROUTE: 'RESET_FOR_ROUTE',
-    ROUTE_TO_GOAL: 'ROUTE_TO_GOAL',
-    GOAL_MOVED_ROUTE: 'GOAL_MOVED_ROUTE',
-    ROUTE_WRONG_GOAL: 'ROUTE_WRONG_GOAL',
-    ROUTE_WRONG_WAIT: 'ROUTE_WRONG_WAIT',
-    // Phase 4: Map demonstration
-    RESET_FOR_MAP: 'RESET_FOR_MAP',
-    MAP_TO_GOAL_A: 'MAP_TO_GOAL_A',
-    GOAL_MOVED_MAP: 'GOAL_MOVED_MAP',
-    MAP_TO_GOAL_B: 'MAP_TO_GOAL_B',
-    DEMO_COMPLETE: 'DEMO_COMPLETE'
-};
+// Editor tools: what a click on the canvas does
+const TOOLS = [
+    { id: 'node', label: 'Nodes', hint: 'Click empty space to add a node, drag a node to move it, right-click to delete it.' },
+    { id: 'edge', label: 'Edges', hint: 'Click two nodes to connect them (or disconnect them if they already are).' },
+    { id: 'obstacle', label: 'Obstacles', hint: 'Drag on empty space to draw a wall, right-click a wall to remove it.' },
+    { id: 'start', label: 'Start', hint: 'Click a node to start there.' },
+    { id: 'goal', label: 'Goal', hint: 'Click a node to move the goal there.' },
+];
+
+const MIN_OBSTACLE = 6; // px; smaller drags are ignored
+
+const MODE_COLORS = { VECTOR: '#3b82f6', ROUTE: '#f59e0b', MAP: '#10b981', EXPLORE: '#8b5cf6' };
+
+// Search visualiser: seconds per expansion while playing
+const SEARCH_STEP_DT = 0.6;
+const DEFAULT_SEARCH = { algorithm: 'astar', heuristic: 'euclidean', weight: 1 };
+
+// Occupancy grid overlay: unknown cells are grey fog that fades as they are mapped free,
+// occupied cells turn light grey
+function cellStyle(l) {
+    const p = occupancyProbability(l);
+    if (p <= 0.5) return { fill: '#475569', opacity: 0.9 * p };
+    return { fill: '#e2e8f0', opacity: 0.45 + (p - 0.5) };
+}
 
-// Messages for each phase
-const PHASE_MESSAGES = {
-    [DEMO_PHASES.IDLE]: 'Click "Start Demo" to begin the automated demonstration',
-    [DEMO_PHASES.VECTOR_TO_GOAL]: '🎯 VECTOR MODE: Moving directly toward the goal...',
-    [DEMO_PHASES.VECTOR_RETURN_TO_START]: '🎯 VECTOR MODE: Goal reached! Returning to start...',
-    [DEMO_PHASES.VECTOR_GOAL_MOVING]: '⚠️ Goal is moving to a new position...',
-    [DEMO_PHASES.VECTOR_TO_NEW_GOAL]: '🎯 VECTOR MODE: Trying to reach the new goal directly...',
-    [DEMO_PHASES.VECTOR_STUCK_WAIT]: '❌ STUCK! Vector mode cannot navigate around obstacles!',
-    [DEMO_PHASES.RESET_FOR_ROUTE]: '🔄 Resetting for Route demonstration...',
-    [DEMO_PHASES.ROUTE_TO_GOAL]: '📍 ROUTE MODE: Following a memorized sequence of waypoints...',
-    [DEMO_PHASES.GOAL_MOVED_ROUTE]: '⚠️ Goal moved to a new position!',
-    [DEMO_PHASES.ROUTE_WRONG_GOAL]: '📍 ROUTE MODE: Still following memorized route... going to OLD goal position!',
-    [DEMO_PHASES.ROUTE_WRONG_WAIT]: '❌ Route mode went to the wrong place! It cannot adapt to goal changes.',
-    [DEMO_PHASES.RESET_FOR_MAP]: '🔄 Resetting for Map demonstration...',
-    [DEMO_PHASES.MAP_TO_GOAL_A]: '🗺️ MAP MODE: Using A* pathfinding to reach the goal...',
-    [DEMO_PHASES.GOAL_MOVED_MAP]: '⚠️ Goal moved! Map mode recalculates the path...',
-    [DEMO_PHASES.MAP_TO_GOAL_B]: '✅ MAP MODE: With a map, we know where the goal is and can plan a new route!',
-    [DEMO_PHASES.DEMO_COMPLETE]: '🎉 Demo complete! Map mode adapts to changes. Click "Start Demo" to replay.'
+const EMPTY_WORLD = {
+    nodes: { start: { x: 40, y: 40, neighbors: [] }, goal: { x: 360, y: 220, neighbors: [] } },
+    obstacles: [],
+    startId: 'start',
 };
 
-export default function Level3() {
-    const [agent, setAgent] = useState({ ...START_POS, theta: 0 });
-    const [goalId, setGoalId] = useState('goal_A');
-    const [mode, setMode] = useState('VECTOR');
-    const [plannedPath, setPlannedPath] = useState([]);
-    const [currentPathIndex, setCurrentPathIndex] = useState(0);
-    const [isRunning, setIsRunning] = useState(false);
-    const [demoPhase, setDemoPhase] = useState(DEMO_PHASES.IDLE);
-    const [isStuck, setIsStuck] = useState(false);
-
-    // 'goal' | 'start' | 'hold'
-    const [vectorTarget, setVectorTarget] = useState('goal');
-
-    const stuckTimerRef = useRef(null);
-    const phaseTimerRef = useRef(null);
-
-    const goalPos = GRAPH_NODES[goalId];
-
-    const obstacles = [
-        { x: 100, y: 100, w: 20, h: 100 },
-    ];
-
-    // Clear timers
-    const clearTimers = () => {
-        if (stuckTimerRef.current) {
-            clearTimeout(stuckTimerRef.current);
-            stuckTimerRef.current = null;
-        }
-        if (phaseTimerRef.current) {
-            clearTimeout(phaseTimerRef.current);
-            phaseTimerRef.current = null;
-        }
-    };
+// Client (mouse) coords -> SVG viewBox coords, clamped to the world
+function toSvgPoint(svg, e) {
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: Math.max(0, Math.min(WORLD_W, p.x)), y: Math.max(0, Math.min(WORLD_H, p.y)) };
+}
 
-    // Calculate path for MAP/ROUTE mode (only when NOT running demo)
-    const recalculatePath = (targetId, forceMode = null) => {
-        const currentMode = forceMode || mode;
-        if (currentMode === 'MAP') {
-            const p = findPath(GRAPH_NODES, 'start', targetId);
-            setPlannedPath(p || []);
-            setCurrentPathIndex(0);
-        } else if (currentMode === 'ROUTE') {
-            setPlannedPath(['start', 'n1', 'n3', 'n5', 'goal_A']);
-            setCurrentPathIndex(0);
-        } else {
-            setPlannedPath([]);
-        }
-    };
+function rectFrom(a, b) {
+    return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), w: Math.abs(b.x - a.x), h: Math.abs(b.y - a.y) };
+}
 
-    useEffect(() => {
-        if (isRunning) return;
-        recalculatePath(goalId);
-    }, [goalId, mode]);
+function MazeView() {
+    // Headless core state (sim/level3.js); the component only renders it
+    const simRef = useRef(createState());
+    const [sim, setSim] = useState(simRef.current);
 
-    // Reset agent to start
-    const resetAgent = () => {
-        setAgent({ ...START_POS, theta: 0 });
-        setCurrentPathIndex(0);
-        setIsStuck(false);
-    };
+    // Records every tick that changes the sim (the demo is deterministic, so no rng)
+    const recorder = useRecorder('level3');
 
-    // Check if agent reached goal
-    const hasReachedGoal = (targetId) => {
-        const target = GRAPH_NODES[targetId];
-        return Math.hypot(target.x - agent.x, target.y - agent.y) < 10;
+    const showFrame = (frame) => {
+        simRef.current = frame.sim;
+        setSim(frame.sim);
     };
 
-    // Check if agent at start
-    const hasReachedStart = () => {
-        return Math.hypot(START_POS.x - agent.x, START_POS.y - agent.y) < 10;
+    const apply = (fn) => {
+        simRef.current = fn(simRef.current);
+        setSim(simRef.current);
     };
 
-    // Check if agent reached end of path
-    const hasReachedPathEnd = () => {
-        if (plannedPath.length === 0) return false;
-        const lastNode = GRAPH_NODES[plannedPath[plannedPath.length - 1]];
-        return Math.hypot(lastNode.x - agent.x, lastNode.y - agent.y) < 10;
+    const onStartDemo = () => { recorder.reset(); setEditing(false); apply(startDemo); };
+    const onStopDemo = () => { recorder.reset(); apply(stopDemo); };
+
+    // --- Maze editor ---
+    const [editing, setEditing] = useState(false);
+    const [tool, setTool] = useState('node');
+    const [edgeFrom, setEdgeFrom] = useState(null); // first node of an edge being made
+    const [draft, setDraft] = useState(null); // obstacle being drawn: { a, b }
+    const svgRef = useRef(null);
+    const dragRef = useRef(null); // id of node being dragged
+
+    // Editing a replayed frame continues live from it
+    const edit = (fn) => {
+        if (recorder.replaying()) {
+            const frame = recorder.goLive();
+            if (frame) simRef.current = frame.sim;
+        }
+        apply(fn);
     };
+    const editMaze = (fn) => edit(s => editWorld(s, fn(s.world)));
 
-    // Start demo
-    const startDemo = () => {
-        clearTimers();
-        resetAgent();
-        setGoalId('goal_A');
-        setMode('VECTOR');
-        setVectorTarget('goal');
-        setDemoPhase(DEMO_PHASES.VECTOR_TO_GOAL);
-        setIsRunning(true);
-        setIsStuck(false);
+    const toggleEditing = () => {
+        setEdgeFrom(null);
+        setDraft(null);
+        if (!editing && sim.director) edit(stopDemo);
+        setEditing(!editing);
     };
 
-    // Stop demo
-    const stopDemo = () => {
-        clearTimers();
-        setIsRunning(false);
-        setDemoPhase(DEMO_PHASES.IDLE);
-        resetAgent();
-        setGoalId('goal_A');
-        setMode('VECTOR');
-        setVectorTarget('goal');
+    const onCanvasPointerDown = (e) => {
+        if (!editing || e.button !== 0) return;
+        const p = toSvgPoint(svgRef.current, e);
+        if (tool === 'node') {
+            let id;
+            editMaze(w => {
+                const added = addNode(w, p);
+                id = added.id;
+                return added.world;
+            });
+            dragRef.current = id;
+        } else if (tool === 'obstacle') {
+            setDraft({ a: p, b: p });
+        }
     };
 
-    // Cleanup timers on unmount
-    useEffect(() => {
-        return () => clearTimers();
-    }, []);
-
-    // Which phases are allowed to actually move the agent
-    const movementEnabled = useMemo(() => {
-        if (!isRunning) return false;
-        return (
-            demoPhase === DEMO_PHASES.VECTOR_TO_GOAL ||
-            demoPhase === DEMO_PHASES.VECTOR_RETURN_TO_START ||
-            demoPhase === DEMO_PHASES.VECTOR_TO_NEW_GOAL ||
-            demoPhase === DEMO_PHASES.ROUTE_TO_GOAL ||
-            demoPhase === DEMO_PHASES.ROUTE_WRONG_GOAL ||
-            demoPhase === DEMO_PHASES.MAP_TO_GOAL_A ||
-            demoPhase === DEMO_PHASES.MAP_TO_GOAL_B
-        );
-    }, [isRunning, demoPhase]);
-
-    /**
-     * Phase entry logic (setup + timers)
-     * Runs only when demoPhase changes (not every frame).
-     */
-    useEffect(() => {
-        if (!isRunning) return;
-
-        // Clear any phase-scoped timers when entering a new phase
-        clearTimers();
-
-        switch (demoPhase) {
-            // VECTOR: normal movement to goal_A
-            case DEMO_PHASES.VECTOR_TO_GOAL: {
-                setMode('VECTOR');
-                setGoalId('goal_A');
-                setIsStuck(false);
-                setVectorTarget('goal');
-                break;
-            }
-
-            // VECTOR: pause at goal, then return to start
-            case DEMO_PHASES.VECTOR_RETURN_TO_START: {
-                // Pause on arrival so it doesn't look rushed
-                setVectorTarget('hold');
-                phaseTimerRef.current = setTimeout(() => {
-                    setVectorTarget('start');
-                    phaseTimerRef.current = null;
-                }, 700);
-                break;
-            }
-
-            // VECTOR: goal moves while agent stays still at start
-            case DEMO_PHASES.VECTOR_GOAL_MOVING: {
-                setVectorTarget('hold');      // freeze agent (prevents weird reroute)
-                setIsStuck(false);
-                setGoalId('goal_B');          // move goal immediately (no “late” feel)
-                phaseTimerRef.current = setTimeout(() => {
-                    setVectorTarget('goal');
-                    setDemoPhase(DEMO_PHASES.VECTOR_TO_NEW_GOAL);
-                    phaseTimerRef.current = null;
-                }, 1200);
-                break;
-            }
-
-            // VECTOR: attempt to reach new goal, then declare stuck after a bit
-            case DEMO_PHASES.VECTOR_TO_NEW_GOAL: {
-                setMode('VECTOR');
-                setIsStuck(false);
-                setVectorTarget('goal');
-                stuckTimerRef.current = setTimeout(() => {
-                    setIsStuck(true);
-                    setVectorTarget('hold'); // freeze so it doesn't jitter at the obstacle
-                    setDemoPhase(DEMO_PHASES.VECTOR_STUCK_WAIT);
-                    stuckTimerRef.current = null;
-                }, 2000);
-                break;
-            }
-
-            // VECTOR: show stuck, then transition
-            case DEMO_PHASES.VECTOR_STUCK_WAIT: {
-                setVectorTarget('hold');
-                phaseTimerRef.current = setTimeout(() => {
-                    setDemoPhase(DEMO_PHASES.RESET_FOR_ROUTE);
-                    phaseTimerRef.current = null;
-                }, 3000);
-                break;
-            }
-
-            // ROUTE: reset everything, then start moving (movement disabled during reset phase)
-            case DEMO_PHASES.RESET_FOR_ROUTE: {
-                setAgent({ ...START_POS, theta: 0 });
-                setGoalId('goal_A');
-                setMode('ROUTE');
-                setIsStuck(false);
-                setPlannedPath(['start', 'n1', 'n3', 'n5', 'goal_A']);
-                setCurrentPathIndex(0);
-
-                phaseTimerRef.current = setTimeout(() => {
-                    setDemoPhase(DEMO_PHASES.ROUTE_TO_GOAL);
-                    phaseTimerRef.current = null;
-                }, 1200);
-                break;
-            }
-
-            // ROUTE: goal moved, reset agent, then run same memorized route to old goal
-            case DEMO_PHASES.GOAL_MOVED_ROUTE: {
-                setGoalId('goal_B');
-                setAgent({ ...START_POS, theta: 0 });
-                setCurrentPathIndex(0);
-
-                phaseTimerRef.current = setTimeout(() => {
-                    setDemoPhase(DEMO_PHASES.ROUTE_WRONG_GOAL);
-                    phaseTimerRef.current = null;
-                }, 1200);
-                break;
-            }
-
-            case DEMO_PHASES.ROUTE_WRONG_WAIT: {
-                phaseTimerRef.current = setTimeout(() => {
-                    setDemoPhase(DEMO_PHASES.RESET_FOR_MAP);
-                    phaseTimerRef.current = null;
-                }, 2500);
-                break;
-            }
-
-            // MAP: reset, plan to A, then start moving
-            case DEMO_PHASES.RESET_FOR_MAP: {
-                setAgent({ ...START_POS, theta: 0 });
-                setGoalId('goal_A');
-                setMode('MAP');
-                setIsStuck(false);
-
-                const pathToA = findPath(GRAPH_NODES, 'start', 'goal_A');
-                setPlannedPath(pathToA || []);
-                setCurrentPathIndex(0);
-
-                phaseTimerRef.current = setTimeout(() => {
-                    setDemoPhase(DEMO_PHASES.MAP_TO_GOAL_A);
-                    phaseTimerRef.current = null;
-                }, 1200);
-                break;
-            }
-
-            // MAP: goal moved, replan to B, then start moving
-            case DEMO_PHASES.GOAL_MOVED_MAP: {
-                setGoalId('goal_B');
-                setAgent({ ...START_POS, theta: 0 });
-
-                const pathToB = findPath(GRAPH_NODES, 'start', 'goal_B');
-                setPlannedPath(pathToB || []);
-                setCurrentPathIndex(0);
-
-                phaseTimerRef.current = setTimeout(() => {
-                    setDemoPhase(DEMO_PHASES.MAP_TO_GOAL_B);
-                    phaseTimerRef.current = null;
-                }, 1200);
-                break;
+    const onNodePointerDown = (e, id) => {
+        if (!editing || e.button !== 0) return;
+        e.stopPropagation();
+        if (tool === 'node') dragRef.current = id;
+        else if (tool === 'start') edit(s => setStart(s, id));
+        else if (tool === 'goal') edit(s => setGoal(s, id));
+        else if (tool === 'edge') {
+            if (edgeFrom === null) setEdgeFrom(id);
+            else {
+                if (edgeFrom !== id) editMaze(w => toggleEdge(w, edgeFrom, id));
+                setEdgeFrom(null);
             }
+        }
+    };
 
-            default:
-                break;
+    const onPointerMove = (e) => {
+        if (dragRef.current !== null) {
+            const p = toSvgPoint(svgRef.current, e);
+            editMaze(w => moveNode(w, dragRef.current, p));
+        } else if (draft) {
+            setDraft({ ...draft, b: toSvgPoint(svgRef.current, e) });
         }
+    };
 
-        // On leaving the phase, nuke any timers that belong to it
-        return () => clearTimers();
-    }, [demoPhase, isRunning]);
-
-    /**
-     * Phase transitions based on movement conditions
-     * (Only checks movement phases, avoids doing setup here.)
-     */
-    useEffect(() => {
-        if (!isRunning) return;
-
-        switch (demoPhase) {
-            case DEMO_PHASES.VECTOR_TO_GOAL: {
-                if (hasReachedGoal('goal_A')) {
-                    setDemoPhase(DEMO_PHASES.VECTOR_RETURN_TO_START);
-                }
-                break;
-            }
+    const onPointerUp = () => {
+        dragRef.current = null;
+        if (draft) {
+            const r = rectFrom(draft.a, draft.b);
+            if (r.w >= MIN_OBSTACLE && r.h >= MIN_OBSTACLE) editMaze(w => addObstacle(w, r));
+            setDraft(null);
+        }
+    };
 
-            case DEMO_PHASES.VECTOR_RETURN_TO_START: {
-                // Only advance once we are actually returning (after the arrival pause)
-                if (vectorTarget === 'start' && hasReachedStart()) {
-                    setDemoPhase(DEMO_PHASES.VECTOR_GOAL_MOVING);
-                }
-                break;
-            }
+    const onNodeContextMenu = (e, id) => {
+        e.preventDefault();
+        e.stopPropagation();
+        // The start and the goal stay; move them elsewhere first
+        if (!editing || id === sim.world.startId || id === sim.goalId) return;
+        if (edgeFrom === id) setEdgeFrom(null);
+        editMaze(w => removeNode(w, id));
+    };
 
-            case DEMO_PHASES.ROUTE_TO_GOAL: {
-                if (hasReachedPathEnd()) {
-                    setDemoPhase(DEMO_PHASES.GOAL_MOVED_ROUTE);
-                }
-                break;
-            }
+    const onObstacleContextMenu = (e, i) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (editing) editMaze(w => removeObstacle(w, i));
+    };
 
-            case DEMO_PHASES.ROUTE_WRONG_GOAL: {
-                if (hasReachedPathEnd()) {
-                    setDemoPhase(DEMO_PHASES.ROUTE_WRONG_WAIT);
-                }
-                break;
-            }
+    const loadMaze = (world) => {
+        recorder.reset();
+        setEdgeFrom(null);
+        apply(s => forgetRoute(editWorld({ ...s, goalId: world === EMPTY_WORLD ? 'goal' : 'goal_A' }, world)));
+    };
 
-            case DEMO_PHASES.MAP_TO_GOAL_A: {
-                if (hasReachedGoal('goal_A')) {
-                    setDemoPhase(DEMO_PHASES.GOAL_MOVED_MAP);
-                }
-                break;
-            }
+    const onRun = (mode) => { recorder.reset(); apply(s => startRun(s, mode)); };
 
-            case DEMO_PHASES.MAP_TO_GOAL_B: {
-                if (hasReachedGoal('goal_B')) {
-                    setDemoPhase(DEMO_PHASES.DEMO_COMPLETE);
-                    setIsRunning(false);
-                }
-                break;
-            }
+    // --- Search visualiser: steps through the planner's expansions on the maze as it is ---
+    const [search, setSearch] = useState(null); // { algorithm, heuristic, weight } while shown
+    const [searchStep, setSearchStep] = useState(0); // expansions shown so far
+    const [searchPlaying, setSearchPlaying] = useState(false);
+    const searchClockRef = useRef(0);
+    const searchLenRef = useRef(0); // expansions in the current trace, where playing stops
 
-            default:
-                break;
-        }
-    }, [demoPhase, isRunning, agent.x, agent.y, plannedPath, vectorTarget]);
+    const restartSearch = (opts) => {
+        setSearch(opts);
+        setSearchStep(0);
+        setSearchPlaying(opts !== null);
+        searchClockRef.current = 0;
+    };
+    const toggleSearch = () => {
+        if (!search && sim.director) apply(stopDemo);
+        restartSearch(search ? null : DEFAULT_SEARCH);
+    };
 
     useGameLoop((dt) => {
-        if (!movementEnabled) return;
-
-        let speed = 0.15 * dt;
-        let nextAgent = { ...agent };
-
-        if (mode === 'VECTOR') {
-            if (vectorTarget === 'hold') return; // true pause, no jitter, no extra renders
-
-            let targetX, targetY;
-            if (vectorTarget === 'start') {
-                targetX = START_POS.x;
-                targetY = START_POS.y;
-            } else {
-                targetX = goalPos.x;
-                targetY = goalPos.y;
-            }
-
-            const angle = Math.atan2(targetY - agent.y, targetX - agent.x);
-            nextAgent.x += Math.cos(angle) * speed;
-            nextAgent.y += Math.sin(angle) * speed;
-
-            // Collision detection (only when going to goal, not returning)
-            if (vectorTarget !== 'start') {
-                for (let obs of obstacles) {
-                    if (
-                        nextAgent.x > obs.x && nextAgent.x < obs.x + obs.w &&
-                        nextAgent.y > obs.y && nextAgent.y < obs.y + obs.h
-                    ) {
-                        nextAgent.x = agent.x;
-                        nextAgent.y = agent.y;
-                    }
-                }
-            }
-        } else if ((mode === 'ROUTE' || mode === 'MAP') && plannedPath.length > 0) {
-            const targetNodeId = plannedPath[currentPathIndex];
-            if (targetNodeId) {
-                const targetNode = GRAPH_NODES[targetNodeId];
-                const dist = Math.hypot(targetNode.x - agent.x, targetNode.y - agent.y);
-
-                if (dist < 5) {
-                    if (currentPathIndex < plannedPath.length - 1) {
-                        setCurrentPathIndex(i => Math.min(i + 1, plannedPath.length - 1));
-                    }
-                } else {
-                    const angle = Math.atan2(targetNode.y - agent.y, targetNode.x - agent.x);
-                    nextAgent.x += Math.cos(angle) * speed;
-                    nextAgent.y += Math.sin(angle) * speed;
-                }
+        if (searchPlaying) {
+            searchClockRef.current += dt;
+            if (searchClockRef.current >= SEARCH_STEP_DT) {
+                searchClockRef.current = 0;
+                setSearchStep(k => Math.min(k + 1, searchLenRef.current));
             }
         }
 
-        // Update angle for display
-        const dx = nextAgent.x - agent.x;
-        const dy = nextAgent.y - agent.y;
-        const moved = Math.hypot(dx, dy) > 0.1;
-
-        if (moved) {
-            nextAgent.theta = Math.atan2(dy, dx);
+        if (recorder.replaying()) {
+            const frame = recorder.advance();
+            if (frame && frame.sim !== simRef.current) showFrame(frame);
+            return;
         }
 
-        // Avoid pointless rerenders when nothing changed
-        const changed =
-            Math.abs(nextAgent.x - agent.x) > 1e-6 ||
-            Math.abs(nextAgent.y - agent.y) > 1e-6 ||
-            Math.abs((nextAgent.theta ?? 0) - (agent.theta ?? 0)) > 1e-6;
-
-        if (changed) setAgent(nextAgent);
+        const next = step(simRef.current, dt);
+        if (next === simRef.current) return;
+        simRef.current = next;
+        setSim(next);
+        recorder.record(next, null);
     });
 
-    const currentMessage = PHASE_MESSAGES[demoPhase];
+    const { world, agent, goalId, mode, plannedPath, isStuck } = sim;
+    const nodes = world.nodes;
+    const isRunning = sim.running;
+    const inDemo = sim.director !== null;
+    const goalPos = nodes[goalId];
+    const startAt = startPos(world);
+
+    // Live A* plan on the maze as it is now (shown while editing and between runs)
+    const livePlan = !isRunning && !inDemo ? planPath(world, world.startId, goalId) : null;
+
+    // The search being stepped through, and how every algorithm fares on the same maze
+    // (searched again only when the maze, the start, the goal or the options change, not
+    // every frame)
+    const searchable = Boolean(search && !isRunning && nodes[world.startId] && nodes[goalId]);
+    const { traced, comparison } = useMemo(() => {
+        if (!searchable) return { traced: null, comparison: [] };
+        const passable = passableNodes(world);
+        return {
+            traced: searchTrace(passable, world.startId, goalId, search),
+            comparison: Object.keys(ALGORITHMS).map(a => ({ id: a, ...findPath(passable, world.startId, goalId, { ...search, algorithm: a }) })),
+        };
+    }, [searchable, world.nodes, world.obstacles, world.startId, goalId, search?.algorithm, search?.heuristic, search?.weight]);
+    const shownStep = traced ? Math.min(searchStep, traced.trace.length) : 0;
+    const expansion = shownStep > 0 ? traced.trace[shownStep - 1] : null;
+    const searchDone = traced && shownStep === traced.trace.length;
+    searchLenRef.current = traced ? traced.trace.length : 0;
+
+    // Map mode with D* Lite: what the agent senses and believes closed, and its last repair
+    const incremental = mode === 'MAP' && sim.planner !== null && isRunning;
+    // The A* search it is compared with runs once per repair, and only while the badge shows
+    const scratch = useMemo(() => (incremental && sim.repair ? scratchExpanded(sim) : null), [incremental, sim.repair]);
+
+    const searchMessage = () => {
+        const label = ALGORITHMS[search.algorithm].label;
+        if (!expansion) return `🔎 ${label}: the open set holds only the start. Press Play or Step.`;
+        if (!searchDone) return `🔎 ${label}: expanded ${expansion.current} (${shownStep} so far), ${expansion.open.length} open.`;
+        return traced.path
+            ? `🔎 ${label}: goal expanded after ${shownStep} expansions, path cost ${traced.cost.toFixed(0)}.`
+            : `🔎 ${label}: open set empty after ${shownStep} expansions: no path.`;
+    };
+
+    const message = traced ? searchMessage() : editing
+        ? (livePlan ? `✏️ A* plan: ${livePlan.length - 1} edges. ${TOOLS.find(t => t.id === tool).hint}` : '✏️ No path from start to goal! Connect more nodes or move a wall.')
+        : currentMessage(sim);
 
     return html`
         <div class="split-view" style="flex-direction: column;">
             <div class="canvas-container">
-                <svg viewBox="0 0 400 300" style="width: 100%; height: 100%;">
+                <svg
+                    ref=${svgRef}
+                    viewBox="0 0 ${WORLD_W} ${WORLD_H}"
+                    style="width: 100%; height: 100%; cursor: ${editing ? 'crosshair' : 'default'};"
+                    onPointerDown=${onCanvasPointerDown}
+                    onPointerMove=${onPointerMove}
+                    onPointerUp=${onPointerUp}
+                    onPointerLeave=${onPointerUp}
+                    onContextMenu=${(e) => e.preventDefault()}
+                >
                     
+                    <!-- Occupancy grid built so far (Explore mode) -->
+                    ${sim.mapCells && html`
+                        <g style="pointer-events: none;">
+                            ${sim.mapCells.map((l, k) => {
+        const { fill, opacity } = cellStyle(l);
+        if (opacity < 0.02) return null;
+        const x = (k % MAP_GRID.cols) * MAP_GRID.cell;
+        const y = Math.floor(k / MAP_GRID.cols) * MAP_GRID.cell;
+        return html`<rect x=${x} y=${y} width=${MAP_GRID.cell} height=${MAP_GRID.cell} fill=${fill} opacity=${opacity} />`;
+    })}
+                        </g>
+                    `}
+
                     <!-- Graph Edges -->
-                    ${Object.keys(GRAPH_NODES).map(id => {
-        const n = GRAPH_NODES[id];
+                    ${Object.keys(nodes).map(id => {
+        const n = nodes[id];
         return n.neighbors.map(nid => {
-            const n2 = GRAPH_NODES[nid];
-            return html`<line x1=${n.x} y1=${n.y} x2=${n2.x} y2=${n2.y} stroke="#334155" stroke-width="1" opacity="0.5" />`;
+            const n2 = nodes[nid];
+            return html`<line x1=${n.x} y1=${n.y} x2=${n2.x} y2=${n2.y} stroke=${editing ? '#64748b' : '#334155'} stroke-width="1" opacity="0.5" />`;
         });
     })}
 
+                    <!-- Live A* plan while editing / between runs -->
+                    ${!traced && livePlan && livePlan.length > 1 && html`
+                        <polyline points=${livePlan.map(id => `${nodes[id].x},${nodes[id].y}`).join(' ')}
+                                  fill="none" stroke="#facc15" stroke-width="2" stroke-dasharray="5 4" opacity="0.6" />
+                    `}
+
                     <!-- Highlight Planned Path -->
                     ${plannedPath.length > 1 && html`
-                        <polyline points=${plannedPath.map(id => `${GRAPH_NODES[id].x},${GRAPH_NODES[id].y}`).join(' ')} 
+                        <polyline points=${plannedPath.filter(id => nodes[id]).map(id => `${nodes[id].x},${nodes[id].y}`).join(' ')} 
                                   fill="none" stroke="#facc15" stroke-width="3" opacity="0.7" />
                     `}
 
-                    <!-- Nodes -->
-                    ${Object.keys(GRAPH_NODES).filter(id => !id.startsWith('goal')).map(id => {
-        const n = GRAPH_NODES[id];
-        return html`<circle cx=${n.x} cy=${n.y} r="3" fill="#64748b" />`;
+                    <!-- Nodes (all of them, and bigger, while editing) -->
+                    ${Object.keys(nodes).filter(id => editing || !id.startsWith('goal')).map(id => {
+        const n = nodes[id];
+        return html`
+                        <circle cx=${n.x} cy=${n.y} r=${editing ? 6 : 3}
+                                fill=${id === edgeFrom ? '#facc15' : '#64748b'}
+                                stroke=${editing ? '#cbd5e1' : 'none'} stroke-width="1"
+                                style="cursor: ${editing ? 'pointer' : 'default'};"
+                                onPointerDown=${(e) => onNodePointerDown(e, id)}
+                                onContextMenu=${(e) => onNodeContextMenu(e, id)} />
+                        ${editing && html`<text x=${n.x + 8} y=${n.y - 6} fill="#94a3b8" font-size="8" style="pointer-events: none;">${id}</text>`}
+                    `;
     })}
 
+                    <!-- Search trace: closed (filled), open (ringed), the node just expanded, and parent pointers -->
+                    ${expansion && html`
+                        <g style="pointer-events: none;">
+                            <defs>
+                                <marker id="search-parent" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="5" markerHeight="5" orient="auto">
+                                    <path d="M0,0 L6,3 L0,6 z" fill="#c4b5fd" />
+                                </marker>
+                            </defs>
+                            ${Object.entries(expansion.parent).map(([id, pid]) => {
+        const n = nodes[id], p = nodes[pid];
+        const d = Math.hypot(p.x - n.x, p.y - n.y) || 1;
+        // Arrow from child to parent, stopping short of the parent's ring
+        return html`<line x1=${n.x} y1=${n.y} x2=${p.x - (p.x - n.x) * 8 / d} y2=${p.y - (p.y - n.y) * 8 / d} stroke="#c4b5fd" stroke-width="1.2" marker-end="url(#search-parent)" />`;
+    })}
+                            ${expansion.closed.map(id => html`<circle cx=${nodes[id].x} cy=${nodes[id].y} r="6" fill="#8b5cf6" opacity="0.75" />`)}
+                            ${expansion.open.map(id => html`<circle cx=${nodes[id].x} cy=${nodes[id].y} r="6" fill="none" stroke="#facc15" stroke-width="1.5" />`)}
+                            <circle cx=${nodes[expansion.current].x} cy=${nodes[expansion.current].y} r="10" fill="none" stroke="white" stroke-width="1.5" />
+                            ${Object.keys(expansion.g).map(id => html`
+                                <text x=${nodes[id].x + 8} y=${nodes[id].y + 12} fill="#e2e8f0" font-size="7">g ${expansion.g[id].toFixed(0)} · f ${expansion.f[id].toFixed(0)}</text>
+                            `)}
+                            ${searchDone && traced.path && html`
+                                <polyline points=${traced.path.map(id => `${nodes[id].x},${nodes[id].y}`).join(' ')} fill="none" stroke="#facc15" stroke-width="3" opacity="0.8" />
+                            `}
+                        </g>
+                    `}
+
                     <!-- Obstacles -->
-                    ${obstacles.map(o => html`
-                        <rect x=${o.x} y=${o.y} width=${o.w} height=${o.h} fill="#f87171" opacity="0.5" />
-                        <text x=${o.x + 10} y=${o.y + 50} font-size="8" fill="white" transform="rotate(-90, ${o.x + 10}, ${o.y + 50})" text-anchor="middle">OBSTACLE</text>
+                    ${world.obstacles.map((o, i) => html`
+                        <rect x=${o.x} y=${o.y} width=${o.w} height=${o.h} fill="#f87171" opacity="0.5"
+                              onContextMenu=${(e) => onObstacleContextMenu(e, i)} />
+                        ${o.h > o.w && o.h >= 60 && html`
+                            <text x=${o.x + o.w / 2} y=${o.y + o.h / 2} font-size="8" fill="white" transform="rotate(-90, ${o.x + o.w / 2}, ${o.y + o.h / 2})" text-anchor="middle" style="pointer-events: none;">OBSTACLE</text>
+                        `}
+                        ${o.w >= o.h && o.w >= 60 && html`
+                            <text x=${o.x + o.w / 2} y=${o.y + o.h / 2 + 3} font-size="8" fill="white" text-anchor="middle" style="pointer-events: none;">OBSTACLE</text>
+                        `}
                     `)}
+                    ${draft && (() => {
+        const r = rectFrom(draft.a, draft.b);
+        return html`<rect x=${r.x} y=${r.y} width=${r.w} height=${r.h} fill="#f87171" opacity="0.3" stroke="#f87171" stroke-dasharray="3" />`;
+    })()}
 
                     <!-- Start & Goal -->
-                    <circle cx=${START_POS.x} cy=${START_POS.y} r="5" fill="#4ade80" />
-                    <text x=${START_POS.x} y=${START_POS.y - 10} fill="white" font-size="10" text-anchor="middle">Start</text>
+                    <circle cx=${startAt.x} cy=${startAt.y} r="5" fill="#4ade80" style="pointer-events: none;" />
+                    <text x=${startAt.x} y=${startAt.y - 10} fill="white" font-size="10" text-anchor="middle" style="pointer-events: none;">Start</text>
 
-                    <circle cx=${goalPos.x} cy=${goalPos.y} r="8" fill="#a855f7" />
-                    <circle cx=${goalPos.x} cy=${goalPos.y} r="12" fill="none" stroke=${goalId === 'goal_A' ? '#a855f7' : '#f0abfc'} stroke-dasharray="2" >
+                    <circle cx=${goalPos.x} cy=${goalPos.y} r="8" fill="#a855f7" style="pointer-events: none;" />
+                    <circle cx=${goalPos.x} cy=${goalPos.y} r="12" fill="none" stroke=${goalId === 'goal_A' ? '#a855f7' : '#f0abfc'} stroke-dasharray="2" style="pointer-events: none;" >
                         <animate attributeName="r" values="8;12;8" dur="1.5s" repeatCount="indefinite" />
                     </circle>
-                    <text x=${goalPos.x} y=${goalPos.y - 15} fill="#a855f7" font-size="12" font-weight="bold" text-anchor="middle">GOAL</text>
+                    <text x=${goalPos.x} y=${goalPos.y - 15} fill="#a855f7" font-size="12" font-weight="bold" text-anchor="middle" style="pointer-events: none;">GOAL</text>
+
+                    <!-- Lidar beams of the last sweep, and the frontier being explored -->
+                    ${isRunning && mode === 'EXPLORE' && html`
+                        <g style="pointer-events: none;">
+                            ${sim.beams.map(b => html`
+                                <line x1=${agent.x} y1=${agent.y} x2=${b.x} y2=${b.y} stroke="#8b5cf6" stroke-width="0.5" opacity="0.25" />
+                                ${b.hit && html`<circle cx=${b.x} cy=${b.y} r="1.2" fill="#f87171" />`}
+                            `)}
+                            ${sim.frontier && nodes[sim.frontier] && html`
+                                <circle cx=${nodes[sim.frontier].x} cy=${nodes[sim.frontier].y} r="9" fill="none" stroke="#8b5cf6" stroke-width="1.5" stroke-dasharray="3 2" />
+                            `}
+                        </g>
+                    `}
+
+                    <!-- Map mode: sensing range and the edges the agent knows are closed -->
+                    ${incremental && html`
+                        <g style="pointer-events: none;">
+                            <circle cx=${agent.x} cy=${agent.y} r=${SENSE_R} fill="#10b981" fill-opacity="0.06" stroke="#10b981" stroke-opacity="0.4" stroke-dasharray="3 3" />
+                            ${sim.blocked.map(key => {
+        const [a, b] = key.split('>');
+        if (!nodes[a] || !nodes[b]) return null;
+        return html`<line x1=${nodes[a].x} y1=${nodes[a].y} x2=${nodes[b].x} y2=${nodes[b].y} stroke="#f87171" stroke-width="1.5" stroke-dasharray="3 3" opacity="0.7" />`;
+    })}
+                        </g>
+                    `}
 
                     <!-- Agent -->
-                    <g transform="translate(${agent.x}, ${agent.y}) rotate(${agent.theta * 180 / Math.PI})">
+                    <g style="pointer-events: none;" transform="translate(${agent.x}, ${agent.y}) rotate(${agent.theta * 180 / Math.PI})">
                         <polygon points="-8,-8 10,0 -8,8" fill=${isStuck ? '#f87171' : '#38bdf8'} />
                     </g>
 
                     <!-- Status Message Box -->
-                    <rect x="5" y="260" width="390" height="35" rx="5" fill="rgba(15, 23, 42, 0.9)" stroke="#334155" />
-                    <text x="200" y="282" fill="white" font-size="11" text-anchor="middle" font-family="system-ui, sans-serif">
-                        ${currentMessage}
+                    <rect x="5" y="260" width="390" height="35" rx="5" fill="rgba(15, 23, 42, 0.9)" stroke="#334155" style="pointer-events: none;" />
+                    <text x="200" y="282" fill="white" font-size=${editing ? 8 : 11} text-anchor="middle" font-family="system-ui, sans-serif" style="pointer-events: none;">
+                        ${message}
                     </text>
 
+                    <!-- Last D* Lite repair next to what a new A* search would have cost -->
+                    ${scratch !== null && html`
+                        <rect x="200" y="5" width="115" height="22" rx="3" fill="rgba(15, 23, 42, 0.9)" stroke="#10b981" />
+                        <text x="257" y="19" fill="#e2e8f0" font-size="8" text-anchor="middle">D* Lite ${sim.repair.expanded} · A* replan ${scratch} nodes</text>
+                    `}
+
                     <!-- Mode Indicator -->
-                    <rect x="320" y="5" width="75" height="22" rx="3" fill=${mode === 'VECTOR' ? '#3b82f6' : mode === 'ROUTE' ? '#f59e0b' : '#10b981'} />
+                    <rect x="320" y="5" width="75" height="22" rx="3" fill=${MODE_COLORS[mode]} />
                     <text x="357" y="20" fill="white" font-size="10" text-anchor="middle" font-weight="bold">${mode}</text>
 
                 </svg>
 
                 <div class="controls">
-                    <button class="control-btn" onClick=${isRunning ? stopDemo : startDemo} 
+                    <button class="control-btn" onClick=${isRunning ? onStopDemo : onStartDemo} 
                             style="border-color: ${isRunning ? '#f87171' : '#4ade80'}; color: ${isRunning ? '#f87171' : '#4ade80'};">
                         ${isRunning ? 'Stop Demo' : 'Start Demo'}
                     </button>
-                    <button class="control-btn" onClick=${stopDemo}>Reset</button>
+                    <button class="control-btn" onClick=${onStopDemo}>Reset</button>
+                </div>
+            </div>
+
+            <div style="display:flex; gap:8px; justify-content:space-between; flex-wrap: wrap; padding: 0 0 1rem 0;">
+                <div style="display:flex; gap:8px; align-items:center;">
+                    <button class="control-btn ${editing ? 'active' : ''}" onClick=${toggleEditing}>Edit maze</button>
+                    ${editing && TOOLS.map(t => html`
+                        <button class="control-btn ${tool === t.id ? 'active' : ''}" onClick=${() => { setTool(t.id); setEdgeFrom(null); }}>${t.label}</button>
+                    `)}
+                    ${editing && html`
+                        <button class="control-btn" onClick=${() => loadMaze(DEFAULT_WORLD)}>Built-in maze</button>
+                        <button class="control-btn" onClick=${() => loadMaze(EMPTY_WORLD)}>Clear</button>
+                    `}
+                </div>
+                <div style="display:flex; gap:8px; align-items:center;">
+                    <span style="font-size: 0.8rem; color: #94a3b8;">Run on this maze:</span>
+                    ${['VECTOR', 'ROUTE', 'MAP', 'EXPLORE'].map(m => html`
+                        <button class="control-btn ${!inDemo && mode === m && sim.phase !== 'IDLE' ? 'active' : ''}" onClick=${() => onRun(m)}>
+                            ${m[0] + m.slice(1).toLowerCase()}
+                        </button>
+                    `)}
+                    <button class="control-btn" onClick=${() => edit(forgetRoute)} disabled=${!sim.route} title="Route mode learns its route on its first run">Forget route</button>
                 </div>
             </div>
 
+            <div style="display:flex; gap:8px; align-items:center; flex-wrap: wrap; padding: 0 0 1rem 0;">
+                <button class="control-btn ${search ? 'active' : ''}" onClick=${toggleSearch} disabled=${isRunning && !inDemo}>Step through search</button>
+                ${search && html`
+                    ${Object.entries(ALGORITHMS).map(([id, a]) => html`
+                        <button class="control-btn ${search.algorithm === id ? 'active' : ''}" onClick=${() => restartSearch({ ...search, algorithm: id })}>${a.label}</button>
+                    `)}
+                    <span style="font-size: 0.8rem; color: #94a3b8;">Heuristic:</span>
+                    ${Object.entries(HEURISTICS).map(([id, hr]) => html`
+                        <button class="control-btn ${search.heuristic === id ? 'active' : ''}" onClick=${() => restartSearch({ ...search, heuristic: id })}
+                                disabled=${search.algorithm === 'bfs' || search.algorithm === 'dijkstra'}>${hr.label}</button>
+                    `)}
+                    <label style="font-size: 0.8rem; color: #94a3b8; display:flex; gap:4px; align-items:center;">
+                        Weight ${search.weight.toFixed(1)}
+                        <input type="range" min="1" max="5" step="0.5" value=${search.weight} disabled=${search.algorithm !== 'astar'}
+                               onInput=${(e) => restartSearch({ ...search, weight: Number(e.target.value) })} />
+                    </label>
+                    <button class="control-btn" onClick=${() => setSearchPlaying(!searchPlaying)} disabled=${searchDone}>${searchPlaying && !searchDone ? 'Pause' : 'Play'}</button>
+                    <button class="control-btn" onClick=${() => { setSearchPlaying(false); setSearchStep(shownStep + 1); }} disabled=${searchDone}>Step</button>
+                    <button class="control-btn" onClick=${() => restartSearch(search)}>Restart</button>
+                    <span style="font-size: 0.8rem; color: #94a3b8;">
+                        Expansions: ${comparison.map(c => `${ALGORITHMS[c.id].label} ${c.expanded}${c.path ? ` (cost ${c.cost.toFixed(0)})` : ''}`).join(' · ')}
+                    </span>
+                `}
+            </div>
+
+            <${Timeline} recorder=${recorder} onShow=${showFrame} onResume=${showFrame} style="margin-bottom: 1rem;" />
+
             <div class="caption-area">
                 <h3>Level 3: Spatial Constructs - Automated Demo</h3>
                 <ul>
                     <li><strong>Vector Mode:</strong> Direct movement fails against obstacles.</li>
                     <li><strong>Route Mode:</strong> Memorized paths cannot adapt when goals move.</li>
                     <li><strong>Map Mode:</strong> Graph-based planning enables flexible navigation!</li>
+                    <li><strong>Replanning:</strong> A door closes mid-route. Map mode notices only when the corridor is within its sensing range, then D* Lite repairs the plan, re-expanding only the nodes the change affects. The count is shown next to what a new A* search would expand. Walls you draw or remove during a Map run are discovered the same way.</li>
+                    <li><strong>Explore Mode:</strong> No map is given: a lidar builds an occupancy grid as the agent drives, and A* plans only over edges it has mapped free.</li>
+                    <li><strong>Step through search:</strong> Watch the planner work on your maze. Yellow rings are the open set, purple nodes are expanded (closed), and arrows point to each node's parent. Compare how many expansions BFS, Dijkstra, greedy best-first and A* need, and what an overestimating heuristic or a weight above 1 does to A*.</li>
+                    <li><strong>Build your own:</strong> Edit the maze (nodes, edges, walls, start and goal) and watch the A* plan update. Then run each mode: Route keeps replaying the route it learned on its first run, Vector walks into walls, and Map re-plans around them.</li>
                 </ul>
             </div>
         </div>
     `;
 }
+
+// The tab's two views: the maze (Vector / Route / Map / Explore) and pose-graph SLAM
+const VIEWS = [
+    { id: 'maze', label: 'Maze', Component: MazeView },
+    { id: 'slam', label: 'Pose-graph SLAM', Component: Level3Slam },
+];
+
+export default function Level3() {
+    const [view, setView] = useState('maze');
+    const { Component } = VIEWS.find(v => v.id === view);
+
+    return html`
+        <div style="display: flex; flex-direction: column; height: 100%;">
+            <div style="display:flex; gap:8px; padding: 0 0 0.5rem 0;">
+                ${VIEWS.map(v => html`
+                    <button class="control-btn ${view === v.id ? 'active' : ''}" onClick=${() => setView(v.id)}>${v.label}</button>
+                `)}
+            </div>
+            <${Component} />
+        </div>
+    `;
+}
@@ -0,0 +1,180 @@
+import { h } from 'preact';
+import { useState, useRef } from 'preact/hooks';
+import htm from 'htm';
+import { useGameLoop } from '../../hooks/useGameLoop.js';
+import { useRecorder } from '../../hooks/useRecorder.js';
+import { createRng, randomSeed } from '../../utils/random.js';
+import SeedControl from '../Controls/SeedControl.js';
+import Timeline from '../Controls/Timeline.js';
+import { WORLD_W, WORLD_H, ROUTE, OPT_DT, createState, step, restart, believedPose, trajectoryError, SCRIPT } from '../../sim/slam.js';
+import { currentStep } from '../../sim/director.js';
+
+const html = htm.bind(h);
+
+// Share of an optimiser interval spent sliding the poses to the new estimate
+const SNAP_SHARE = 0.6;
+
+function points(ps) {
+    return ps.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+}
+
+// Pose estimates as drawn: eased from the previous Gauss-Newton iterate to the current one
+function shownPoses(sim) {
+    const { opt, poses } = sim;
+    if (!opt || opt.errors.length < 2) return poses;
+    const u = Math.min(1, opt.t / (OPT_DT * SNAP_SHARE));
+    const k = u * u * (3 - 2 * u);
+    return poses.map((p, i) => {
+        const q = opt.prevPoses[i];
+        return { x: q.x + (p.x - q.x) * k, y: q.y + (p.y - q.y) * k, theta: p.theta };
+    });
+}
+
+export default function Level3Slam() {
+    // Seeded randomness: every restart replays the same drift for a given seed
+    const [seed, setSeed] = useState(randomSeed);
+    const rngRef = useRef(null);
+    if (rngRef.current === null) rngRef.current = createRng(seed);
+
+    // Headless core state (sim/slam.js); the component only renders it
+    const simRef = useRef(null);
+    if (simRef.current === null) simRef.current = createState(rngRef.current);
+    const [sim, setSim] = useState(simRef.current);
+
+    const recorder = useRecorder('level3-slam');
+
+    const showFrame = (frame) => {
+        simRef.current = frame.sim;
+        setSim(frame.sim);
+    };
+
+    const resumeFrom = (frame) => {
+        showFrame(frame);
+        rngRef.current.setState(frame.rng);
+    };
+
+    const onRestart = () => {
+        recorder.reset();
+        rngRef.current = createRng(seed);
+        simRef.current = restart(simRef.current, rngRef.current);
+        setSim(simRef.current);
+    };
+
+    const changeSeed = (newSeed) => {
+        setSeed(newSeed);
+        recorder.reset();
+        rngRef.current = createRng(newSeed);
+        simRef.current = restart(simRef.current, rngRef.current);
+        setSim(simRef.current);
+    };
+
+    useGameLoop((dt) => {
+        if (recorder.replaying()) {
+            const frame = recorder.advance();
+            if (frame && frame.sim !== simRef.current) showFrame(frame);
+            return;
+        }
+
+        const next = step(simRef.current, dt, rngRef.current);
+        simRef.current = next;
+        setSim(next);
+        recorder.record(next, rngRef.current);
+    });
+
+    const { agent, odo, trail, odoTrail, truthPoses, edges, closure, opt } = sim;
+    const demoStep = currentStep(sim, SCRIPT);
+    const poses = shownPoses(sim);
+    const believed = believedPose(sim, poses);
+    const errors = opt ? opt.errors : [];
+    const maxChi2 = Math.max(1, ...errors);
+
+    return html`
+        <div class="split-view" style="flex-direction: column;">
+            <div style="flex: 1; display: flex; min-height: 0;">
+                <div class="canvas-container" style="flex: 2; position: relative;">
+                    <svg viewBox="0 0 ${WORLD_W} ${WORLD_H}" style="width: 100%; height: 100%;">
+                        <!-- The loop the agent drives -->
+                        <polygon points=${points(ROUTE)} fill="none" stroke="#334155" stroke-width="14" stroke-linejoin="round" opacity="0.5" />
+
+                        <!-- Where it really went, and where its wheels alone say it went -->
+                        <polyline points=${points(trail)} fill="none" stroke="#38bdf8" stroke-width="1.5" opacity="0.7" />
+                        <polyline points=${points(odoTrail)} fill="none" stroke="#f87171" stroke-width="1.2" stroke-dasharray="4 3" opacity="0.7" />
+
+                        <!-- Pose graph: odometry edges, then loop closures -->
+                        ${edges.filter(e => e.kind === 'odometry').map(e => html`
+                            <line x1=${poses[e.from].x} y1=${poses[e.from].y} x2=${poses[e.to].x} y2=${poses[e.to].y} stroke="#94a3b8" stroke-width="1" />
+                        `)}
+                        ${edges.filter(e => e.kind === 'loop').map(e => html`
+                            <line x1=${poses[e.from].x} y1=${poses[e.from].y} x2=${poses[e.to].x} y2=${poses[e.to].y} stroke="#4ade80" stroke-width="2" stroke-dasharray="4 3" />
+                            <circle cx=${truthPoses[e.from].x} cy=${truthPoses[e.from].y} r="10" fill="none" stroke="#4ade80" stroke-width="1" opacity="0.6" />
+                        `)}
+                        ${poses.map((p, i) => html`
+                            <line x1=${truthPoses[i].x} y1=${truthPoses[i].y} x2=${p.x} y2=${p.y} stroke="#facc15" stroke-width="0.5" opacity="0.35" />
+                            <circle cx=${p.x} cy=${p.y} r=${closure && (i === closure.from || i === closure.to) ? 4 : 2.5}
+                                    fill=${closure && (i === closure.from || i === closure.to) ? '#4ade80' : '#e2e8f0'} />
+                        `)}
+
+                        <!-- The agent, and where the graph believes it is -->
+                        <g transform="translate(${believed.x}, ${believed.y}) rotate(${believed.theta * 180 / Math.PI})" opacity="0.6">
+                            <polygon points="-7,-6 9,0 -7,6" fill="none" stroke="#e2e8f0" stroke-width="1.2" stroke-dasharray="2" />
+                        </g>
+                        <g transform="translate(${agent.x}, ${agent.y}) rotate(${agent.theta * 180 / Math.PI})">
+                            <polygon points="-8,-7 10,0 -8,7" fill="#38bdf8" stroke="white" stroke-width="1.5" />
+                        </g>
+                    </svg>
+
+                    ${demoStep.title && html`
+                        <div style="
+                            position: absolute;
+                            left: 12px; right: 12px; bottom: 12px;
+                            background: rgba(2, 6, 23, ${demoStep.overlay ? 0.88 : 0.72});
+                            border: 1px solid rgba(148,163,184,0.22);
+                            border-radius: 12px;
+                            padding: 10px 14px;
+                            ">
+                            <div style="font-size:14px; font-weight:800; color:#facc15; margin-bottom:4px;">${demoStep.title}</div>
+                            <div style="font-size:13px; line-height:1.35; color:#cbd5e1;">${demoStep.text}</div>
+                        </div>
+                    `}
+                </div>
+
+                <div style="flex: 1; padding: 10px; background: #0f172a; font-size: 11px; color: #cbd5e1; line-height: 1.7;">
+                    <div style="color:#94a3b8; font-size:10px; font-weight:bold; margin-bottom:6px;">POSE GRAPH</div>
+                    <div><strong>Nodes:</strong> ${poses.length}</div>
+                    <div><strong>Edges:</strong> ${edges.length} (${edges.filter(e => e.kind === 'loop').length} loop)</div>
+                    <div><strong>Worst node error:</strong> ${trajectoryError(sim, poses).toFixed(1)} px</div>
+                    <div><strong>Odometry drift now:</strong> ${Math.hypot(odo.x - agent.x, odo.y - agent.y).toFixed(1)} px</div>
+
+                    <div style="color:#94a3b8; font-size:10px; font-weight:bold; margin: 12px 0 6px;">GAUSS-NEWTON (χ² per iteration)</div>
+                    ${errors.length === 0 && html`<div style="color:#64748b;">Waiting for a loop closure...</div>`}
+                    ${errors.map((e, i) => html`
+                        <div style="display:flex; align-items:center; gap:6px;">
+                            <span style="width: 14px; color:#94a3b8;">${i}</span>
+                            <div style="flex: 1; height: 8px; background:#1e293b; border-radius:2px;">
+                                <div style="width:${Math.max(1, 100 * e / maxChi2)}%; height:100%; background:${i === 0 ? '#f87171' : '#4ade80'};"></div>
+                            </div>
+                            <span style="width: 52px; text-align:right;">${e.toFixed(1)}</span>
+                        </div>
+                    `)}
+                    ${opt && opt.done && html`<div style="color:#4ade80; margin-top:4px;">Converged</div>`}
+
+                    <div style="display:flex; gap:8px; align-items:center; margin-top: 14px;">
+                        <${SeedControl} seed=${seed} onSeedChange=${changeSeed} />
+                        <button class="control-btn" onClick=${onRestart}>Restart</button>
+                    </div>
+                </div>
+            </div>
+
+            <${Timeline} recorder=${recorder} onShow=${showFrame} onResume=${resumeFrom} seed=${seed} style="margin: 1rem 0;" />
+
+            <div class="caption-area">
+                <h3>Level 3: Spatial Constructs - Pose-Graph SLAM</h3>
+                <ul>
+                    <li><strong>Pose graph:</strong> Every 35 px or so the agent drops a node (white) linked to the last one by what its wheels measured (grey). <span style="color:#38bdf8;">Blue</span> is the true path, <span style="color:#f87171;">red</span> dead reckoning; yellow ticks join each node to where the agent really was.</li>
+                    <li><strong>Loop closure:</strong> Back at the start it recognises the place and adds a <span style="color:#4ade80;">green</span> edge: these two nodes are the same spot.</li>
+                    <li><strong>Optimisation:</strong> Gauss-Newton moves all nodes at once to best satisfy every edge, so the drift is shared out along the loop instead of piling up at its end.</li>
+                </ul>
+            </div>
+        </div>
+    `;
+}
@@ -2,31 +2,13 @@ import { h } from 'preact';
 import { useState, useEffect, useRef, useCallback } from 'preact/hooks';
 import htm from 'htm';
 import { useGameLoop } from '../../hooks/useGameLoop.js';
+import { WORLD_W, WORLD_H, MARGIN, GOAL, MAP_ROUTE, CENTRAL_WALL, hitsCentralWall } from '../../sim/level4.js';
 
 const html = htm.bind(h);
 
-const WORLD_W = 400;
-const WORLD_H = 300;
-const MARGIN = 12;
-
-const GOAL = { x: 300, y: 100 };
-
-// Map route around the central wall
-const MAP_ROUTE = [
-  { x: 120, y: 250 },
-  { x: 120, y: 30 },
-  { x: 300, y: 30 },
-  { x: 300, y: 100 },
-];
-
 function nearlyEqual(a, b, eps = 0.001) { return Math.abs(a - b) < eps; }
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
-// Central wall rectangle
-function hitsCentralWall(x, y) {
-  return x > 150 && x < 170 && y > 50 && y < 250;
-}
-
 const KEY_TO_CMD = {
   ArrowUp: 'N', KeyW: 'N',
   ArrowDown: 'S', KeyS: 'S',
@@ -236,7 +218,7 @@ export default function Level4() {
       // If target exists (G -> go to goal), autopilot toward it
       const t = targetRef.current;
       if (t) {
-        const speed = 0.17 * dt;
+        const speed = 170 * dt; // px/s
         const dx = t.x - a.x;
         const dy = t.y - a.y;
         const dist = Math.hypot(dx, dy);
@@ -273,7 +255,7 @@ export default function Level4() {
       const cmd = cardCommandRef.current;
       if (!cmd || cmd === 'STOP') return;
 
-      const speed = 0.20 * dt;
+      const speed = 200 * dt; // px/s
 
       let vx = 0, vy = 0, theta = a.theta;
       if (cmd === 'N') { vx = 0; vy = -1; theta = -Math.PI / 2; }
@@ -296,7 +278,7 @@ export default function Level4() {
       }
 
       if (blockedNow) {
-        blockedTimerRef.current += (dt / 1000); // dt is probably ms; normalize a bit
+        blockedTimerRef.current += dt;
         if (blockedTimerRef.current > 0.25) {
           setBlocked(true);
           cardCommandRef.current = 'STOP';
@@ -326,7 +308,7 @@ export default function Level4() {
     const t = targetRef.current;
     if (!t) return;
 
-    const speed = 0.15 * dt;
+    const speed = 150 * dt; // px/s
     const dx = t.x - a.x;
     const dy = t.y - a.y;
     const dist = Math.hypot(dx, dy);
@@ -391,7 +373,7 @@ export default function Level4() {
           <svg viewBox="0 0 400 300" style="width: 100%; height: 100%; background: #020617;">
             <text x="10" y="20" fill="#94a3b8" font-size="10">PHYSICAL WORLD</text>
 
-            <rect x="150" y="50" width="20" height="200" fill="#334155" />
+            <rect x=${CENTRAL_WALL.x} y=${CENTRAL_WALL.y} width=${CENTRAL_WALL.w} height=${CENTRAL_WALL.h} fill="#334155" />
 
             <!-- Goal -->
             <circle cx="${GOAL.x}" cy="${GOAL.y}" r="15" fill="none" stroke="#facc15" stroke-dasharray="2" opacity="0.25" />
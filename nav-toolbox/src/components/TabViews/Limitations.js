@@ -2,205 +2,46 @@ import { h } from 'preact';
 import { useState, useRef } from 'preact/hooks';
 import htm from 'htm';
 import { useGameLoop } from '../../hooks/useGameLoop.js';
+import { useRecorder } from '../../hooks/useRecorder.js';
+import Timeline from '../Controls/Timeline.js';
+import { PATH, createState, step } from '../../sim/limitations.js';
 
 const html = htm.bind(h);
 
-const PATH = [
-    { x: 20, y: 150 },
-    { x: 100, y: 150 },
-    { x: 150, y: 50 },  // sharp turn
-    { x: 250, y: 250 }, // sharp turn
-    { x: 350, y: 150 },
-    { x: 380, y: 150 }
-];
-
-// ---------- small geometry helpers ----------
-function clamp(v, lo, hi) {
-    return Math.max(lo, Math.min(hi, v));
-}
-
-function wrapPi(a) {
-    while (a > Math.PI) a -= 2 * Math.PI;
-    while (a < -Math.PI) a += 2 * Math.PI;
-    return a;
-}
-
-function dist(a, b) {
-    return Math.hypot(a.x - b.x, a.y - b.y);
-}
-
-function closestPointOnSegment(p, a, b) {
-    const abx = b.x - a.x, aby = b.y - a.y;
-    const apx = p.x - a.x, apy = p.y - a.y;
-    const ab2 = abx * abx + aby * aby || 1e-9;
-    const t = clamp((apx * abx + apy * aby) / ab2, 0, 1);
-    return { x: a.x + t * abx, y: a.y + t * aby, t };
-}
-
-function getLookaheadPoint(pos, lookahead) {
-    // 1) find closest point on the polyline
-    let best = { d: Infinity, seg: 0, pt: PATH[0], t: 0 };
-    for (let i = 0; i < PATH.length - 1; i++) {
-        const a = PATH[i], b = PATH[i + 1];
-        const cp = closestPointOnSegment(pos, a, b);
-        const d = Math.hypot(pos.x - cp.x, pos.y - cp.y);
-        if (d < best.d) best = { d, seg: i, pt: { x: cp.x, y: cp.y }, t: cp.t };
-    }
-
-    // 2) march forward along the polyline by 'lookahead' distance
-    let remaining = lookahead;
-    let i = best.seg;
-
-    // start from the projection point on segment i
-    let cur = { ...best.pt };
-
-    while (remaining > 0 && i < PATH.length - 1) {
-        const a = cur;
-        const b = PATH[i + 1];
-        const segLen = Math.hypot(b.x - a.x, b.y - a.y);
-
-        if (segLen < 1e-6) {
-            i++;
-            cur = { ...PATH[i] };
-            continue;
-        }
-
-        if (remaining <= segLen) {
-            const ux = (b.x - a.x) / segLen;
-            const uy = (b.y - a.y) / segLen;
-            return { x: a.x + ux * remaining, y: a.y + uy * remaining };
-        }
-
-        remaining -= segLen;
-        i++;
-        cur = { ...PATH[i] };
-    }
-
-    return { ...PATH[PATH.length - 1] };
-}
-
 export default function Limitations() {
-    const [agentA, setAgentA] = useState({ x: 20, y: 150, theta: 0, index: 1, wait: 0 });
-    const [agentB, setAgentB] = useState({ x: 20, y: 150, theta: 0 });
-    const [finishedA, setFinishedA] = useState(false);
-    const [finishedB, setFinishedB] = useState(false);
+    const simRef = useRef(createState());
+    const [sim, setSim] = useState(simRef.current);
 
-    // Oscillation detector for A: counts sign flips in heading error over a small window
-    const oscRef = useRef({ lastSign: 0, flips: 0, window: 0.5, t: 0.5, flag: false, flagT: 0 });
+    // Records the race so the onset of the naive controller's oscillation can be scrubbed to
+    const recorder = useRecorder('limitations');
+
+    const showFrame = (frame) => {
+        simRef.current = frame.sim;
+        setSim(frame.sim);
+    };
 
     const reset = () => {
-        setAgentA({ x: 20, y: 150, theta: 0, index: 1, wait: 0 });
-        setAgentB({ x: 20, y: 150, theta: 0 });
-        setFinishedA(false);
-        setFinishedB(false);
-        oscRef.current = { lastSign: 0, flips: 0, window: 0.5, t: 0.5, flag: false, flagT: 0 };
+        recorder.reset();
+        simRef.current = createState();
+        setSim(simRef.current);
     };
 
     useGameLoop((dt) => {
-        // normalize dt to seconds (works if dt is ms ~16 OR seconds ~0.016)
-        const dtSec = dt > 1 ? dt / 1000 : dt;
-
-        const speed = 90 * dtSec; // px/s
-        const endPt = PATH[PATH.length - 1];
-
-        // ---------------- Agent A: "naive" waypoint + high-gain steering ----------------
-        if (!finishedA) {
-            setAgentA((prev) => {
-                let next = { ...prev };
-
-                // wait only affects A (do NOT freeze the whole sim)
-                if (next.wait > 0) {
-                    next.wait = Math.max(0, next.wait - dtSec);
-                    return next;
-                }
-
-                const target = PATH[next.index];
-                const d = Math.hypot(target.x - next.x, target.y - next.y);
-
-                if (d < 10) {
-                    if (next.index < PATH.length - 1) {
-                        next.index += 1;
-                        next.wait = 0.6; // short pause (seconds)
-                    } else {
-                        setFinishedA(true);
-                        return next;
-                    }
-                }
-
-                // recompute target after possible index change
-                const tgt = PATH[next.index];
-                const targetAngle = Math.atan2(tgt.y - next.y, tgt.x - next.x);
-                const angleDiff = wrapPi(targetAngle - next.theta);
-
-                // oscillation detector (sign flips when |angleDiff| still meaningful)
-                const s = Math.abs(angleDiff) > 0.15 ? Math.sign(angleDiff) : 0;
-                const osc = oscRef.current;
-
-                if (s !== 0 && osc.lastSign !== 0 && s !== osc.lastSign) osc.flips += 1;
-                if (s !== 0) osc.lastSign = s;
-
-                osc.t -= dtSec;
-                if (osc.t <= 0) {
-                    osc.flag = osc.flips >= 4;     // arbitrary threshold for demo
-                    osc.flagT = osc.flag ? 0.8 : 0;
-                    osc.flips = 0;
-                    osc.t = osc.window;
-                }
-                if (osc.flagT > 0) {
-                    osc.flagT -= dtSec;
-                    if (osc.flagT <= 0) osc.flag = false;
-                }
-
-                // high-gain steering (over-reacts)
-                const k = 10.0;
-                let omega = k * angleDiff; // rad/s
-                omega = clamp(omega, -14.0, 14.0); // very high max turn-rate
-                next.theta = wrapPi(next.theta + omega * dtSec);
-
-                // stop-and-turn behavior: only move when roughly aligned
-                if (Math.abs(angleDiff) < 0.45) {
-                    next.x += Math.cos(next.theta) * speed;
-                    next.y += Math.sin(next.theta) * speed;
-                }
-
-                return next;
-            });
+        if (recorder.replaying()) {
+            const frame = recorder.advance();
+            if (frame && frame.sim !== simRef.current) showFrame(frame);
+            return;
         }
 
-        // ---------------- Agent B: smooth lookahead (pure pursuit-ish) ----------------
-        if (!finishedB) {
-            setAgentB((prev) => {
-                let next = { ...prev };
-
-                // finish condition
-                if (dist(next, endPt) < 10) {
-                    setFinishedB(true);
-                    return next;
-                }
-
-                const lookahead = 45; // px
-                const target = getLookaheadPoint(next, lookahead);
+        simRef.current = step(simRef.current, dt);
+        setSim(simRef.current);
 
-                const targetAngle = Math.atan2(target.y - next.y, target.x - next.x);
-                const angleDiff = wrapPi(targetAngle - next.theta);
-
-                // smooth steering
-                const k = 3.0;
-                let omega = k * angleDiff; // rad/s
-                omega = clamp(omega, -4.0, 4.0);
-                next.theta = wrapPi(next.theta + omega * dtSec);
-
-                // slow down a bit when turning hard (looks "robotic")
-                const v = (1 - clamp(Math.abs(angleDiff) / 1.2, 0, 0.5));
-                next.x += Math.cos(next.theta) * speed * v;
-                next.y += Math.sin(next.theta) * speed * v;
-
-                return next;
-            });
-        }
+        // Nothing moves once both have finished; keep the buffer for the race itself
+        if (!(simRef.current.finishedA && simRef.current.finishedB)) recorder.record(simRef.current, null);
     });
 
-    const oscillating = oscRef.current.flag;
+    const { agentA, agentB } = sim;
+    const oscillating = sim.osc.flag;
 
     return html`
     <div class="split-view" style="flex-direction: column;">
@@ -249,6 +90,8 @@ export default function Limitations() {
         </div>
       </div>
 
+      <${Timeline} recorder=${recorder} onShow=${showFrame} onResume=${showFrame} style="margin-bottom: 1rem;" />
+
       <div class="caption-area">
         <h3>Limitation: Representation → Action (Embodiment)</h3>
         <ul>
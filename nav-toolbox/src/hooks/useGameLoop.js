@@ -1,21 +1,50 @@
-import { useEffect, useRef } from 'preact/hooks';
+import { createContext } from 'preact';
+import { useEffect, useRef, useContext } from 'preact/hooks';
+import { FIXED_DT, DEFAULT_CLOCK, consumeFrame } from '../utils/clock.js';
 
+// Shared transport state ({ paused, speed, stepRequest }), provided by App
+export const ClockContext = createContext(DEFAULT_CLOCK);
+
+/**
+ * Run 'callback(dt)' on a fixed timestep. dt is always FIXED_DT seconds; the callback
+ * runs as many times per frame as the elapsed time and the transport speed call for,
+ * not at all while paused, and exactly once per single-step request.
+ */
 export function useGameLoop(callback) {
+    const clock = useContext(ClockContext);
+
     const callbackRef = useRef(callback);
+    const clockRef = useRef(clock);
     const requestRef = useRef(null);
     const previousTimeRef = useRef(null);
+    const accumulatorRef = useRef(0);
+    const stepRequestRef = useRef(clock.stepRequest);
 
-    // Always keep latest callback without restarting the loop
+    // Always keep latest callback and clock without restarting the loop
     useEffect(() => {
         callbackRef.current = callback;
     }, [callback]);
 
+    useEffect(() => {
+        clockRef.current = clock;
+    }, [clock]);
+
     useEffect(() => {
         const animate = (time) => {
             if (previousTimeRef.current !== null) {
-                const deltaTime = time - previousTimeRef.current;
-                // Call latest callback
-                callbackRef.current(deltaTime);
+                const c = clockRef.current;
+                const frameDt = (time - previousTimeRef.current) / 1000;
+
+                if (c.stepRequest !== stepRequestRef.current) {
+                    stepRequestRef.current = c.stepRequest;
+                    callbackRef.current(FIXED_DT);
+                }
+
+                if (!c.paused) {
+                    const { steps, accumulator } = consumeFrame(accumulatorRef.current, frameDt, c.speed);
+                    accumulatorRef.current = accumulator;
+                    for (let i = 0; i < steps; i++) callbackRef.current(FIXED_DT);
+                }
             }
             previousTimeRef.current = time;
             requestRef.current = requestAnimationFrame(animate);
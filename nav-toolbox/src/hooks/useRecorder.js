@@ -0,0 +1,102 @@
+import { useRef, useState, useCallback } from 'preact/hooks';
+import { createRecorder, serializeRun, parseRun } from '../utils/recorder.js';
+import { FIXED_DT } from '../utils/clock.js';
+
+function download(text, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Records a tab's sim state every tick and lets the Timeline scrub through it.
+ *
+ * Live: the tab steps its sim and calls record(sim, rng).
+ * Replay (after a seek or a load): the tab calls advance() instead of stepping and
+ * shows the returned frame. goLive() drops everything after the shown frame and
+ * returns it so the tab can resume from there (restoring its rng state).
+ */
+export function useRecorder(tab) {
+    const recRef = useRef(null);
+    if (!recRef.current) recRef.current = createRecorder();
+
+    const playheadRef = useRef(null); // null = live
+    const [status, setStatus] = useState({ size: 0, playhead: null, loadedSeed: null, error: null });
+
+    const sync = useCallback((patch = {}) => {
+        setStatus(s => ({ ...s, size: recRef.current.size(), playhead: playheadRef.current, ...patch }));
+    }, []);
+
+    const record = useCallback((sim, rng) => {
+        const rec = recRef.current;
+        const last = rec.last();
+        rec.push({ t: last ? last.t + FIXED_DT : 0, sim, rng: rng ? rng.getState() : null });
+        sync();
+    }, [sync]);
+
+    const replaying = useCallback(() => playheadRef.current !== null, []);
+
+    const advance = useCallback(() => {
+        const rec = recRef.current;
+        if (playheadRef.current === null) return null;
+        if (playheadRef.current < rec.size() - 1) {
+            playheadRef.current += 1;
+            sync();
+        }
+        return rec.get(playheadRef.current);
+    }, [sync]);
+
+    const seek = useCallback((i) => {
+        const rec = recRef.current;
+        if (rec.size() === 0) return null;
+        playheadRef.current = Math.max(0, Math.min(rec.size() - 1, i));
+        sync();
+        return rec.get(playheadRef.current);
+    }, [sync]);
+
+    const goLive = useCallback(() => {
+        const rec = recRef.current;
+        const i = playheadRef.current;
+        if (i === null) return null;
+        rec.truncate(i + 1);
+        playheadRef.current = null;
+        sync({ loadedSeed: null });
+        return rec.get(i);
+    }, [sync]);
+
+    const reset = useCallback(() => {
+        recRef.current.clear();
+        playheadRef.current = null;
+        sync({ loadedSeed: null, error: null });
+    }, [sync]);
+
+    const exportRun = useCallback((seed = null) => {
+        const rec = recRef.current;
+        if (rec.size() === 0) return;
+        download(serializeRun({ tab, seed, frames: rec.frames() }), `${tab}-run${seed !== null ? `-${seed}` : ''}.json`);
+    }, [tab]);
+
+    // Resolves to the first frame of the loaded run, or null (status.error says why)
+    const importRun = useCallback(async (file) => {
+        try {
+            const run = parseRun(await file.text(), tab);
+            recRef.current.load(run.frames);
+            playheadRef.current = 0;
+            sync({ loadedSeed: run.seed, error: null });
+            return recRef.current.get(0);
+        } catch (e) {
+            sync({ error: e.message });
+            return null;
+        }
+    }, [tab, sync]);
+
+    const frameTime = (i) => {
+        const f = recRef.current.get(i);
+        return f ? f.t : 0;
+    };
+
+    return { status, record, replaying, advance, seek, goLive, reset, exportRun, importRun, frameTime };
+}
@@ -0,0 +1,321 @@
+// Bidirectionality tab simulation core: belief over two hypotheses, top-down action
+// selection, bottom-up bearing measurements at the vantage point. The demo walkthrough
+// is scenarios/bidirectionality.json, run by sim/director.js.
+// step(state, dt, rng) returns the next state; no Preact, runs headless.
+import BIDIR_SCRIPT from '../../scenarios/bidirectionality.json' with { type: 'json' };
+import { loadScript, enterStep, advanceScript, currentStep, chapterOf } from './director.js';
+
+// ---------- Helpers ----------
+function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+function wrapPi(a) {
+  while (a > Math.PI) a -= 2 * Math.PI;
+  while (a < -Math.PI) a += 2 * Math.PI;
+  return a;
+}
+function angleDiff(a, b) { return wrapPi(a - b); }
+
+// ---------- World ----------
+export const WORLD_W = 400;
+export const WORLD_H = 300;
+
+// Two identical landmarks (goal destinations) far away on the right
+export const L1 = { x: 340, y: 80, label: 'L1' };
+export const L2 = { x: 340, y: 220, label: 'L2' };
+
+// Vantage region in the middle
+export const VANTAGE = { x: 200, y: 150, label: 'V' };
+
+// Unique beacon for disambiguation measurement
+export const BEACON = { x: 320, y: 60, label: 'B' };
+
+// Starting pose
+export const START = { x: 60, y: 150, theta: 0 };
+
+// Hypothesis ambiguity modeled as vertical shift
+export const SHIFT_Y = 140;
+
+// Vantage sensing radius
+export const V_SENSE_RADIUS = 55;
+
+// Confidence threshold
+export const CONF_THRESH = 0.40;
+
+// Motion params (slower)
+const SPEED = 62;      // px/sec (was 90)
+const TURN_RATE = 3.0; // rad/sec (was 3.5)
+
+const SENSE_PERIOD = 0.35;
+
+// Modes (only two)
+export const MODES = [
+  { id: 'BIDIR', label: 'Bidirectional (Active)' },
+  { id: 'STUBBORN', label: 'No belief updates (Stubborn)' },
+];
+
+// For stubborn weak-prior dithering
+const STUB_DITHER_PERIOD = 1.6;
+
+// Safety auto loop when NOT in demo
+const FREE_RUN_LIMIT = 28;
+
+export function computeInitialBelief(prior) {
+  if (prior === 'WEAK') return [0.5, 0.5];
+  if (prior === 'STRONG_CORRECT') return [0.9, 0.1];
+  // Strong wrong but recoverable
+  return [0.15, 0.85];
+}
+
+// ---------- State ----------
+
+/**
+ * Fresh tab state. With demoEnabled the demo script starts immediately.
+ */
+export function createState(rng, demoEnabled = true, script = SCRIPT) {
+  const base = { demo: { enabled: demoEnabled }, director: null };
+  return demoEnabled ? beginDemoPhase(base, 0, rng, script) : resetRun(base, 'WEAK', 'BIDIR', rng);
+}
+
+/**
+ * Stop and reset a run. The random stream restarts from its seed, so a seed names one run.
+ */
+export function resetRun(state, prior, simMode, rng) {
+  rng.setState(rng.seed);
+
+  return {
+    ...state,
+    priorMode: prior,   // WEAK | STRONG_CORRECT | STRONG_WRONG
+    simMode,            // BIDIR | STUBBORN
+    running: false,
+
+    robot: { ...START },
+    belief: computeInitialBelief(prior), // [w1,w2]
+
+    action: 'IDLE',
+    measInfo: null, // {meas,sigma,pred1,pred2,err1,err2,winner,inVantage}
+    elapsed: 0,
+    senseTimer: 0,
+
+    // Verification latch for BIDIR (forces “go to V first” so the loop is visible)
+    needsVerify: true,
+
+    // Stubborn dithering state (for WEAK prior); randomize which way it starts
+    stubTimer: 0,
+    stubSide: (rng.next() < 0.5) ? 0 : 1, // 0 -> L1, 1 -> L2
+  };
+}
+
+// ---------- Demo script ----------
+export const VOCAB = {
+  actions: {
+    // ["resetRun", prior, mode]
+    resetRun: (s, [prior, mode], rng) => resetRun(s, prior, mode, rng),
+    run: (s) => setRunning(s, true),
+    pause: (s) => setRunning(s, false),
+  },
+  conditions: {
+    // ["near", "L1" | "L2" | "V", radius]
+    near: (s, [id, r]) => {
+      const p = { L1, L2, V: VANTAGE }[id];
+      return Math.hypot(p.x - s.robot.x, p.y - s.robot.y) <= r;
+    },
+    resolved: (s) => Math.abs(s.belief[0] - s.belief[1]) >= CONF_THRESH,
+  },
+};
+
+export const SCRIPT = loadScript(BIDIR_SCRIPT, VOCAB);
+
+/**
+ * Enter script step 'idx' (0 restarts the demo).
+ */
+export function beginDemoPhase(state, idx, rng, script = SCRIPT) {
+  return enterStep(state, script, VOCAB, rng, idx);
+}
+
+export function setDemoEnabled(state, enabled, rng, script = SCRIPT) {
+  const s = { ...state, demo: { ...state.demo, enabled } };
+  return enabled ? beginDemoPhase(s, 0, rng, script) : resetRun({ ...s, director: null }, 'WEAK', 'BIDIR', rng);
+}
+
+/**
+ * Title and caption of the current demo step, plus which chapter it belongs to.
+ */
+export function demoInfo(state, script = SCRIPT) {
+  if (!state.demo.enabled || !state.director) return null;
+  const step = currentStep(state, script);
+  return { step, chapter: chapterOf(script, state.director.step) };
+}
+
+export function setRunning(state, running) {
+  return { ...state, running };
+}
+
+/**
+ * Replay the current run (or demo phase) from the start of its random stream.
+ */
+export function restartRun(state, rng, script = SCRIPT) {
+  if (state.demo.enabled) return beginDemoPhase(state, chapterOf(script, state.director.step).start, rng, script);
+  return resetRun(state, state.priorMode, state.simMode, rng);
+}
+
+export function inVantage(robot) {
+  return Math.hypot(VANTAGE.x - robot.x, VANTAGE.y - robot.y) <= V_SENSE_RADIUS;
+}
+
+// ---------- Step ----------
+
+/**
+ * Advance the run by dt seconds. Does not mutate 'state'; rng is consumed.
+ */
+export function step(state, dt, rng, script = SCRIPT) {
+  if (!state.running) return state;
+
+  const s = { ...state };
+  const r = { ...s.robot };
+  let b = [...s.belief];
+
+  const mode = s.simMode;
+
+  // -----------------------------
+  // TOP-DOWN: choose target
+  // -----------------------------
+  const w1 = b[0], w2 = b[1];
+  const confident = Math.abs(w1 - w2) >= CONF_THRESH;
+
+  let target = VANTAGE;
+  let nextAction = 'GO_TO_V (active localization)';
+
+  if (mode === 'BIDIR') {
+    // Verify at V once, then commit.
+    if (s.needsVerify) {
+      target = VANTAGE;
+      nextAction = 'GO_TO_V (verify)';
+    } else if (confident) {
+      target = (w1 >= w2) ? L1 : L2;
+      nextAction = (w1 >= w2) ? 'GO_TO_L1 (belief commit)' : 'GO_TO_L2 (belief commit)';
+    } else {
+      target = VANTAGE;
+      nextAction = 'GO_TO_V (active localization)';
+    }
+  }
+
+  if (mode === 'STUBBORN') {
+    // Stubborn: never updates belief, action follows the prior.
+    if (s.priorMode === 'STRONG_CORRECT') {
+      target = L1;
+      nextAction = 'GO_TO_L1 (stubborn prior)';
+    } else if (s.priorMode === 'STRONG_WRONG') {
+      target = L2;
+      nextAction = 'GO_TO_L2 (stubborn prior)';
+    } else {
+      // WEAK: dither forever
+      s.stubTimer += dt;
+      if (s.stubTimer > STUB_DITHER_PERIOD) {
+        s.stubTimer = 0;
+        s.stubSide = 1 - s.stubSide;
+      }
+      target = (s.stubSide === 0) ? L1 : L2;
+      nextAction = 'DITHER (weak prior; no updates)';
+    }
+  }
+
+  s.action = nextAction;
+
+  // -----------------------------
+  // MOVE
+  // -----------------------------
+  const dx = target.x - r.x;
+  const dy = target.y - r.y;
+  const dist = Math.hypot(dx, dy);
+
+  if (dist > 2.5) {
+    const desired = Math.atan2(dy, dx);
+    const dth = angleDiff(desired, r.theta);
+    const turn = clamp(dth, -TURN_RATE * dt, TURN_RATE * dt);
+    r.theta = wrapPi(r.theta + turn);
+
+    r.x += Math.cos(r.theta) * (SPEED * dt);
+    r.y += Math.sin(r.theta) * (SPEED * dt);
+
+    r.x = clamp(r.x, 10, WORLD_W - 10);
+    r.y = clamp(r.y, 10, WORLD_H - 10);
+  }
+
+  // -----------------------------
+  // BOTTOM-UP: measurement update
+  // -----------------------------
+  const dV = Math.hypot(VANTAGE.x - r.x, VANTAGE.y - r.y);
+  const atVantage = dV <= V_SENSE_RADIUS;
+
+  // Only BIDIR updates belief
+  const allowBottomUp = (mode !== 'STUBBORN');
+
+  s.senseTimer += dt;
+
+  // In BIDIR: update ONLY at V
+  const shouldSense =
+    allowBottomUp &&
+    s.senseTimer >= SENSE_PERIOD &&
+    (mode === 'BIDIR' && atVantage);
+
+  if (shouldSense) {
+    s.senseTimer = 0;
+
+    // sigma model (good at V)
+    const sigma = clamp(0.045 + 0.15 * (dV / V_SENSE_RADIUS), 0.045, 0.20);
+
+    // Measurement: bearing to BEACON
+    const trueBear = wrapPi(Math.atan2(BEACON.y - r.y, BEACON.x - r.x) - r.theta);
+    const meas = wrapPi(trueBear + rng.randn() * sigma);
+
+    // Predictions under H1/H2
+    const pred1 = wrapPi(Math.atan2(BEACON.y - r.y, BEACON.x - r.x) - r.theta);
+    const ghostY = clamp(r.y + SHIFT_Y, 10, WORLD_H - 10);
+    const pred2 = wrapPi(Math.atan2(BEACON.y - ghostY, BEACON.x - r.x) - r.theta);
+
+    const err1 = Math.abs(angleDiff(meas, pred1));
+    const err2 = Math.abs(angleDiff(meas, pred2));
+
+    const lh1 = Math.exp(-0.5 * (err1 / sigma) * (err1 / sigma));
+    const lh2 = Math.exp(-0.5 * (err2 / sigma) * (err2 / sigma));
+
+    // Temper updates
+    const alpha = 0.85;
+    let nw1 = b[0] * Math.pow(lh1, alpha);
+    let nw2 = b[1] * Math.pow(lh2, alpha);
+    const sum = nw1 + nw2;
+
+    if (sum > 1e-9) {
+      nw1 /= sum;
+      nw2 /= sum;
+      b = [nw1, nw2];
+    }
+
+    // Once we’ve sensed at V and become confident, allow commitment
+    const nowConfident = Math.abs(b[0] - b[1]) >= CONF_THRESH;
+    if (mode === 'BIDIR' && s.needsVerify && nowConfident) {
+      s.needsVerify = false;
+    }
+
+    const winner = (err1 <= err2) ? 'H1 (Near L1)' : 'H2 (Near L2)';
+    s.measInfo = { meas, sigma, pred1, pred2, err1, err2, winner, inVantage: atVantage };
+  } else if (mode === 'STUBBORN') {
+    // In STUBBORN mode, keep measurement panel clean
+    s.measInfo = null;
+  }
+
+  s.robot = r;
+  s.belief = b;
+  s.elapsed += dt;
+
+  // -----------------------------
+  // Demo progression (script steps)
+  // -----------------------------
+  if (s.demo.enabled) return advanceScript(s, script, VOCAB, dt, rng);
+
+  // Safety auto loop when NOT in demo
+  if (!s.demo.enabled && s.elapsed > FREE_RUN_LIMIT) {
+    return resetRun(s, s.priorMode, s.simMode, rng);
+  }
+
+  return s;
+}
@@ -0,0 +1,121 @@
+// Director: runs a declarative demo script (scenarios/*.json) on top of a tab's sim core.
+//
+// Script: { id, title, loop, steps: [Step, ...] }
+// Step:
+//   id        unique name; also shown as the current phase
+//   chapter   optional; marks the first step of a chapter (restart / "2 of 3" display)
+//   title     heading shown while the step runs
+//   text      caption / overlay text
+//   overlay   true: the tab shows 'text' over the canvas instead of in its caption
+//   set       scene parameters while this step runs (e.g. { "mode": "COMPASS" });
+//             they do not carry over, each step states what it needs
+//   actions   run once on entry, in order: [["reset"], ["setGoal", "goal_B"], ...]
+//   duration  seconds until the next step, or
+//   until     a condition ["near", "goal_A"]; the step ends 'hold' seconds after it first holds
+//   next      id of the step that follows (default: the next one in the list)
+// A step with neither 'duration' nor 'until' is terminal. After the last step the
+// script either loops ("loop": true) or stops with director.done set.
+//
+// Action and condition names are resolved through the tab's vocabulary:
+//   { actions: { name(sim, args, rng) -> sim }, conditions: { name(sim, args) -> bool } }
+// Actions return the next state and must not mutate their input.
+
+/**
+ * Check a script against a vocabulary. Returns the script; throws an Error listing
+ * every problem so a broken JSON file fails loudly at load time.
+ */
+export function loadScript(script, vocab) {
+    const problems = [];
+    const where = (i, step) => `${script?.id ?? 'script'} step ${i + 1}${step?.id ? ` (${step.id})` : ''}`;
+
+    if (!script || !Array.isArray(script.steps) || script.steps.length === 0) {
+        throw new Error(`${script?.id ?? 'script'}: 'steps' must be a non-empty array`);
+    }
+
+    const ids = new Set();
+    script.steps.forEach((step, i) => {
+        if (typeof step.id !== 'string' || !step.id) problems.push(`${where(i, step)}: missing 'id'`);
+        else if (ids.has(step.id)) problems.push(`${where(i, step)}: duplicate id`);
+        ids.add(step.id);
+
+        if (step.duration !== undefined && !(typeof step.duration === 'number' && step.duration >= 0)) {
+            problems.push(`${where(i, step)}: 'duration' must be a number of seconds`);
+        }
+        if (step.hold !== undefined && !(typeof step.hold === 'number' && step.hold >= 0)) {
+            problems.push(`${where(i, step)}: 'hold' must be a number of seconds`);
+        }
+        (step.actions || []).forEach(a => {
+            if (!Array.isArray(a) || !vocab.actions[a[0]]) problems.push(`${where(i, step)}: unknown action ${JSON.stringify(a)}`);
+        });
+        if (step.until !== undefined && (!Array.isArray(step.until) || !vocab.conditions[step.until[0]])) {
+            problems.push(`${where(i, step)}: unknown condition ${JSON.stringify(step.until)}`);
+        }
+    });
+
+    script.steps.forEach((step, i) => {
+        if (step.next !== undefined && !ids.has(step.next)) problems.push(`${where(i, step)}: 'next' names no step`);
+    });
+
+    if (problems.length) throw new Error(problems.join('\n'));
+    return script;
+}
+
+function indexOfStep(script, id) {
+    return script.steps.findIndex(s => s.id === id);
+}
+
+/**
+ * Enter step 'idx' (default: the first): reset the step clock and run its actions.
+ */
+export function enterStep(sim, script, vocab, rng, idx = 0) {
+    const step = script.steps[idx];
+    let s = { ...sim, director: { step: idx, id: step.id, t: 0, metT: null, done: false } };
+    for (const [name, ...args] of step.actions || []) {
+        s = vocab.actions[name](s, args, rng);
+    }
+    return s;
+}
+
+/**
+ * Advance the script clock by dt and move on when the current step is finished.
+ * Call once per tick, after or before the physics as the tab needs.
+ */
+export function advanceScript(sim, script, vocab, dt, rng) {
+    const d = { ...sim.director, t: sim.director.t + dt };
+    if (d.done) return sim;
+
+    const step = script.steps[d.step];
+    let finished = step.duration !== undefined && d.t >= step.duration;
+
+    if (step.until) {
+        const [name, ...args] = step.until;
+        if (d.metT === null && vocab.conditions[name](sim, args)) d.metT = d.t;
+        if (d.metT !== null && d.t - d.metT >= (step.hold || 0)) finished = true;
+    }
+
+    if (!finished) return { ...sim, director: d };
+
+    let next = step.next !== undefined ? indexOfStep(script, step.next) : d.step + 1;
+    if (next >= script.steps.length) {
+        if (!script.loop) return { ...sim, director: { ...d, done: true } };
+        next = 0;
+    }
+    return enterStep(sim, script, vocab, rng, next);
+}
+
+export function currentStep(sim, script) {
+    return script.steps[sim.director.step];
+}
+
+/**
+ * Chapter containing step 'idx': { start, index, count } (index is 0-based).
+ * Scripts without chapters are one chapter starting at step 0.
+ */
+export function chapterOf(script, idx) {
+    const starts = script.steps.map((s, i) => (s.chapter !== undefined ? i : -1)).filter(i => i >= 0);
+    if (starts.length === 0 || starts[0] !== 0) starts.unshift(0);
+
+    let index = 0;
+    for (let k = 0; k < starts.length; k++) if (starts[k] <= idx) index = k;
+    return { start: starts[index], index, count: starts.length };
+}
@@ -0,0 +1,815 @@
+// Level 2 (Spatial Primitives) simulation core: world, forager agent, odometry and demo scene handling,
+// plus a sandbox where the user drives the outbound path and triggers the return.
+// No Preact here - step(state, dt, rng) returns the next state and can run headless.
+import LEVEL2_SCRIPT from '../../scenarios/level2.json' with { type: 'json' };
+import { loadScript, enterStep, advanceScript, currentStep as scriptStep } from './director.js';
+import { DEFAULT_ODOMETRY, odometryError, odometryNoise, integrate } from '../utils/odometry.js';
+import { predictCovariance, predictCovarianceCalibrated, kalmanUpdate } from '../utils/ekf.js';
+
+// ---------- Constants & Tuning ----------
+export const WORLD_W = 1000;
+export const WORLD_H = 720;
+export const MARGIN = 40;
+
+// Move HOME to bottom-right to allow for longer walking paths (better drift visibility)
+export const HOME = { x: WORLD_W - 140, y: WORLD_H - 120 };
+export const HOME_R = 22;
+
+// Landmarks with known positions, seen within LANDMARK_RANGE as noisy range/bearing
+export const LANDMARKS = [
+  { id: 'A', x: 210, y: 170 },
+  { id: 'B', x: 360, y: 300 },
+  { id: 'C', x: 760, y: 160 },
+  { id: 'D', x: 330, y: 610 },
+];
+export const LANDMARK_RANGE = 140;
+
+const SENSE_DT = 0.2;                      // s between landmark sightings
+const RANGE_SIGMA = (r) => 4 + 0.03 * r;   // px
+const BEARING_SIGMA = 3 * Math.PI / 180;   // rad
+
+// Compass: a noisy heading reading, bent by magnetic disturbances (steel, cables) near
+// the zones below. The filter does not know about the zones, so inside one it trusts a
+// wrong heading.
+const COMPASS_DT = 0.1;                    // s between compass readings
+export const COMPASS_SIGMA = 4 * Math.PI / 180; // rad
+export const MAGNETIC_ZONES = [
+  { x: 600, y: 500, r: 110, deflection: 20 * Math.PI / 180 },
+  { x: 150, y: 560, r: 90, deflection: -30 * Math.PI / 180 },
+];
+
+// Landmark mode heads for a landmark until the belief's 1σ spread is below this
+export const LOCALIZED_SIGMA = 12; // px
+
+// Odometry self-calibration: with learning on, the belief is augmented with the wheel scale
+// error and the heading bias (rad per px), which every landmark fix (and compass reading)
+// refines through their correlation with the pose. The estimate outlives resets, so it
+// improves over repeated loops and corrects later dead reckoning.
+const DEG = Math.PI / 180;
+const CALIB_PRIOR = [[0.05 ** 2, 0], [0, (3 * DEG / 100) ** 2]]; // 5 %, 3°/100px
+const CALIB_HISTORY_MAX = 600;
+
+// Snapshot homing (Cartwright & Collett): the panorama of the landmarks (bearing and apparent
+// size, compass-aligned) is stored at HOME; on return the agent descends the difference
+// between what it sees and that snapshot. Landmarks are pillars of this radius, seen at any range.
+const PILLAR_R = 20;          // px
+const SIZE_WEIGHT = 4;        // apparent-size mismatch counts this much more than bearing
+const GRADIENT_STEP = 2;      // px, finite-difference step of the image gradient
+const SNAPSHOT_JITTER = 0.15; // rad, noise on the heading taken from the homing vector
+
+// Systematic search (as desert ants do): when the home vector runs out and home is not
+// within HOME_DETECT_R, spiral outwards around the believed home until it is
+export const HOME_DETECT_R = 40;
+const SEARCH_R0 = 25;                          // px, first loop (about the turning radius)
+const SEARCH_SPACING = 1.4 * HOME_DETECT_R;    // px between loops: they overlap, as drift goes on
+const SEARCH_MAX_R = 420;                      // px, then give up
+const HOME_STOP_R = 8;
+
+// Rocks the agent has to walk around: circles { x, y, r }. They survive resets and are
+// placed by the user; the agent sees them within AVOID_RANGE and keeps CLEARANCE from them.
+export const DEFAULT_OBSTACLES = [
+  { x: 620, y: 420, r: 45 },
+  { x: 520, y: 210, r: 35 },
+  { x: 330, y: 460, r: 40 },
+];
+export const AGENT_R = 12;
+const AVOID_RANGE = 70;   // px ahead
+const CLEARANCE = 14;     // px kept between body and rock
+const WALL_PROBE = 42;    // px ahead
+
+const SPEED = 90;
+const TURN_RATE = 3.6;
+
+// Trails: make them readable and persistent
+export const TRAIL_MAX = 900;
+const TRAIL_SAMPLE_DT = 0.045; // ~22 Hz sampling
+
+const START_THETA = -Math.PI * 0.75;
+const FOOD_COUNT = 6;
+const FOOD_TRIES = 200; // draws per food before one under a rock is kept (the walk skips it)
+
+// ---------- Helpers ----------
+function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+function wrapPi(a) {
+  while (a > Math.PI) a -= 2 * Math.PI;
+  while (a < -Math.PI) a += 2 * Math.PI;
+  return a;
+}
+function angleDiff(a, b) { return wrapPi(a - b); }
+
+// ---------- Demo script ----------
+// The walkthrough itself lives in scenarios/level2.json and is run by sim/director.js.
+// Steps read their scene from 'set': phase (IDLE | OUTBOUND | RETURN | HOLD | RESET),
+// mode (ODOMETRY | COMPASS | LANDMARK | SNAPSHOT), showGhost and fadeTrails.
+export const VOCAB = {
+  actions: {
+    reset: (s) => resetRun(s),
+  },
+  conditions: {
+    // ["near", "home" | landmark id, radius?]
+    near: (s, [what, r]) => {
+      const p = what === 'home' ? HOME : LANDMARKS.find(l => l.id === what);
+      return Math.hypot(s.agent.x - p.x, s.agent.y - p.y) < (r ?? HOME_R);
+    },
+    landmarkLocked: (s) => s.lmLocked,
+    // The home vector ran out without home in sight
+    searching: (s) => !!s.search,
+    // Home seen (straight away or by searching) and reached
+    atHome: (s) => !!s.search && s.search.found && Math.hypot(s.agent.x - HOME.x, s.agent.y - HOME.y) < HOME_STOP_R,
+  },
+};
+
+export const SCRIPT = loadScript(LEVEL2_SCRIPT, VOCAB);
+
+// ---------- State ----------
+
+/**
+ * Fresh simulation at the start of the demo. Food placement draws from rng.
+ * odoParams is the odometry error model (utils/odometry.js) and obstacles the rocks;
+ * both survive resets.
+ */
+export function createState(rng, script = SCRIPT, odoParams = DEFAULT_ODOMETRY, obstacles = DEFAULT_OBSTACLES) {
+  // Rocks can cover the whole food area, so the draws per food are capped
+  const foods = [];
+  while (foods.length < FOOD_COUNT) {
+    let f;
+    for (let tries = 0; tries < FOOD_TRIES; tries++) {
+      f = {
+        x: MARGIN + rng.next() * (WORLD_W * 0.40),
+        y: MARGIN + rng.next() * (WORLD_H * 0.40),
+      };
+      if (!insideObstacle(obstacles, f, AGENT_R)) break;
+    }
+    foods.push(f);
+  }
+
+  return enterStep(resetRun({ foods, time: 0, odoParams, obstacles, calib: createCalibration(), calibHistory: [], sandbox: null }), script, VOCAB, rng);
+}
+
+export function setOdometry(state, odoParams) {
+  return { ...state, odoParams };
+}
+
+export function setObstacles(state, obstacles) {
+  return { ...state, obstacles };
+}
+
+// ---------- Calibration ----------
+
+/**
+ * No calibration learned yet: { learning, scale, bias, P (2x2 covariance) }.
+ * The state keeps its course in calibHistory, { t, scale, bias, sdScale, sdBias } at most
+ * once per second of sim time, for the chart.
+ */
+export function createCalibration(learning = true) {
+  return { learning, scale: 0, bias: 0, P: CALIB_PRIOR };
+}
+
+/**
+ * The calibration the odometry error model actually has, in the units of the estimate
+ * (scale as a fraction, bias in rad per px).
+ */
+export function trueCalibration(odoParams) {
+  return { scale: odoParams.scaleError / 100, bias: odoParams.headingBias * DEG / 100 };
+}
+
+// Pose covariance for a fresh run: zero, plus the calibration block while learning
+function freshCov(calib) {
+  if (!calib.learning) return [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  return [
+    [0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0],
+    [0, 0, 0, calib.P[0][0], calib.P[0][1]],
+    [0, 0, 0, calib.P[1][0], calib.P[1][1]],
+  ];
+}
+
+/**
+ * Turn learning on (from the current estimate) or off (dead reckoning uncorrected).
+ */
+export function setCalibrationLearning(state, learning) {
+  const calib = { ...state.calib, learning };
+  const P3 = state.odoCov.slice(0, 3).map(row => row.slice(0, 3));
+  const odoCov = learning
+    ? [...P3.map(row => [...row, 0, 0]), [0, 0, 0, ...calib.P[0]], [0, 0, 0, ...calib.P[1]]]
+    : P3;
+  return { ...state, calib, odoCov };
+}
+
+export function forgetCalibration(state) {
+  const calib = createCalibration(state.calib.learning);
+  return setCalibrationLearning({ ...state, calib, calibHistory: [] }, calib.learning);
+}
+
+// After an update of the working copy s: keep calib.P in step with the calibration block
+// of the 5x5 covariance, and log the estimate (append-only, so recordings stay small)
+function syncCalibration(s) {
+  const P = [[s.odoCov[3][3], s.odoCov[3][4]], [s.odoCov[4][3], s.odoCov[4][4]]];
+  s.calib = { ...s.calib, P };
+  const last = s.calibHistory[s.calibHistory.length - 1];
+  if (last && Math.floor(s.time) === Math.floor(last.t)) return;
+  s.calibHistory = [
+    ...s.calibHistory.slice(-(CALIB_HISTORY_MAX - 1)),
+    { t: s.time, scale: s.calib.scale, bias: s.calib.bias, sdScale: Math.sqrt(P[0][0]), sdBias: Math.sqrt(P[1][1]) },
+  ];
+}
+
+// Kalman update of the belief (and calibration, if odoCov is augmented) from an innovation
+// whose Jacobian H is with respect to the pose [x, y, theta]
+function fuse(odo, odoCov, calib, innovation, H, R) {
+  const n = odoCov.length;
+  const x = n === 5 ? [odo.x, odo.y, odo.theta, calib.scale, calib.bias] : [odo.x, odo.y, odo.theta];
+  const Hn = H.map(row => [...row, ...new Array(n - 3).fill(0)]);
+  const post = kalmanUpdate(x, odoCov, innovation, Hn, R);
+  return {
+    odo: { x: post.x[0], y: post.x[1], theta: wrapPi(post.x[2]) },
+    odoCov: post.P,
+    calib: n === 5 ? { ...calib, scale: post.x[3], bias: post.x[4] } : calib,
+  };
+}
+
+// ---------- Obstacles ----------
+
+/**
+ * The obstacle that 'p' lies within (grown by 'margin'), or null.
+ */
+export function insideObstacle(obstacles, p, margin = 0) {
+  return obstacles.find(o => Math.hypot(p.x - o.x, p.y - o.y) < o.r + margin) || null;
+}
+
+/**
+ * Add a rock at 'p', or remove the one clicked on.
+ */
+export function toggleObstacle(obstacles, p, r = 35) {
+  const hit = insideObstacle(obstacles, p);
+  return hit ? obstacles.filter(o => o !== hit) : [...obstacles, { x: p.x, y: p.y, r }];
+}
+
+/**
+ * Reactive avoidance: if the nearest rock within AVOID_RANGE blocks 'heading' (world frame),
+ * turn to the tangent of its clearance circle closest to 'heading'. Returns the heading to take.
+ */
+export function avoidObstacles(pos, heading, obstacles) {
+  const dir = { x: Math.cos(heading), y: Math.sin(heading) };
+  let best = null;
+  for (const o of obstacles) {
+    const R = o.r + AGENT_R + CLEARANCE;
+    const cx = o.x - pos.x;
+    const cy = o.y - pos.y;
+    const along = cx * dir.x + cy * dir.y;      // distance to the closest approach
+    const across = cx * dir.y - cy * dir.x;     // miss distance on the current heading
+    const d = Math.hypot(cx, cy);
+    const blocking = along > 0 && Math.abs(across) < R && d - R < AVOID_RANGE;
+    if (blocking && (!best || d < best.d)) best = { d, R, cx, cy };
+  }
+  if (!best) return heading;
+
+  const toCentre = Math.atan2(best.cy, best.cx);
+  const spread = Math.asin(Math.min(1, best.R / best.d));
+  const left = toCentre - spread;
+  const right = toCentre + spread;
+  return Math.abs(angleDiff(left, heading)) < Math.abs(angleDiff(right, heading)) ? left : right;
+}
+
+/**
+ * Walls: keep the part of 'heading' that runs along a wall the probe would cross.
+ */
+function alongWalls(pos, heading) {
+  let dx = Math.cos(heading);
+  let dy = Math.sin(heading);
+  const px = pos.x + dx * WALL_PROBE;
+  const py = pos.y + dy * WALL_PROBE;
+  if (px < MARGIN || px > WORLD_W - MARGIN) dx = 0;
+  if (py < MARGIN || py > WORLD_H - MARGIN) dy = 0;
+  if (dx === 0 && dy === 0) {
+    // Head-on into a corner: turn along the wall towards the middle of the arena
+    return Math.atan2(WORLD_H / 2 - pos.y, WORLD_W / 2 - pos.x);
+  }
+  return Math.atan2(dy, dx);
+}
+
+// Push the agent out of any rock it has walked into (it slides along the surface)
+function resolveCollisions(agent, obstacles) {
+  for (const o of obstacles) {
+    const d = Math.hypot(agent.x - o.x, agent.y - o.y);
+    const min = o.r + AGENT_R;
+    if (d < min && d > 1e-9) {
+      agent.x = o.x + (agent.x - o.x) / d * min;
+      agent.y = o.y + (agent.y - o.y) / d * min;
+    }
+  }
+}
+
+/**
+ * Reset the agent and belief between scenes (foods and director are kept).
+ */
+export function resetRun(state) {
+  return {
+    ...state,
+    agent: { x: HOME.x, y: HOME.y, theta: START_THETA },
+    // Odometry belief, relative to HOME; theta is the believed heading
+    odo: { x: 0, y: 0, theta: START_THETA },
+    // Covariance of the belief [x, y, theta] (plus [scale, bias] while learning the
+    // calibration), EKF-predicted from the encoder noise model; the pose part is zero at
+    // the start: the agent knows where home is
+    odoCov: freshCov(state.calib),
+    // The same readings with only the heading errors / only the distance errors, to show
+    // which of the two the drift comes from
+    odoHeadingOnly: { x: 0, y: 0, theta: START_THETA },
+    odoDistanceOnly: { x: 0, y: 0, theta: START_THETA },
+    slips: 0,
+    // Distance actually driven this run (px)
+    driven: 0,
+
+    // Landmark sensing: ids in view at the last sighting, ids seen this run (for the flash)
+    inView: [],
+    seen: {},
+    senseAcc: 0,
+    beaconId: null,
+
+    // Search at the end of the home vector: null until it runs out, then
+    // { t, phi, missedBy, found, time, gaveUp } (phi: angle along the spiral)
+    search: null,
+
+    // Compass: last reading (rad) and time since it
+    compassReading: START_THETA,
+    compassAcc: 0,
+    trail: [{ x: HOME.x, y: HOME.y }],
+    odoTrail: [{ x: HOME.x, y: HOME.y }],
+    lmLocked: false,
+    foodIdx: 0,
+
+    // better trail sampling
+    trailAcc: 0,
+
+    // for compass UI (homeBearing is the believed bearing of home)
+    desiredAngle: START_THETA,
+    homeBearing: 0,
+
+    // visual effects
+    flash: 0,
+    isBeaconing: false,
+  };
+}
+
+export function currentStep(state, script = SCRIPT) {
+  return scriptStep(state, script);
+}
+
+// ---------- Sandbox ----------
+// The user drives (keys: turn/throttle, or clicked waypoints), then triggers the return.
+// sandbox.phase: DRIVE -> RETURN -> DONE; sandbox.mode is the primitive used throughout
+// (its sensors already run while driving). The director is frozen meanwhile.
+
+const WAYPOINT_R = 12;
+
+export function startSandbox(state, mode = 'ODOMETRY') {
+  return {
+    ...resetRun(state),
+    sandbox: { phase: 'DRIVE', mode, turn: 0, throttle: 0, waypoints: [], result: null },
+  };
+}
+
+/**
+ * Leave the sandbox and restart the demo from its first step.
+ */
+export function stopSandbox(state, rng, script = SCRIPT) {
+  return enterStep(resetRun({ ...state, sandbox: null }), script, VOCAB, rng);
+}
+
+function withSandbox(state, patch) {
+  return { ...state, sandbox: { ...state.sandbox, ...patch } };
+}
+
+export function setSandboxMode(state, mode) {
+  return state.sandbox.phase === 'DRIVE' ? withSandbox(state, { mode }) : state;
+}
+
+/**
+ * Keyboard driving: turn in [-1, 1] (right is +), throttle in [0, 1]. Cancels waypoints.
+ */
+export function setDriveInput(state, turn, throttle) {
+  if (state.sandbox.phase !== 'DRIVE') return state;
+  return withSandbox(state, { turn, throttle, waypoints: turn || throttle ? [] : state.sandbox.waypoints });
+}
+
+export function addWaypoint(state, p) {
+  if (state.sandbox.phase !== 'DRIVE') return state;
+  return withSandbox(state, { waypoints: [...state.sandbox.waypoints, { x: p.x, y: p.y }] });
+}
+
+export function triggerHoming(state) {
+  if (state.sandbox.phase !== 'DRIVE') return state;
+  return withSandbox(state, { phase: 'RETURN', turn: 0, throttle: 0, waypoints: [] });
+}
+
+/**
+ * The scene being run: the current script step's 'set', or the sandbox's equivalent.
+ */
+export function sceneOf(state, script = SCRIPT) {
+  const sb = state.sandbox;
+  if (!sb) return scriptStep(state, script).set || {};
+  const phase = { DRIVE: 'OUTBOUND', RETURN: 'RETURN', DONE: 'HOLD' }[sb.phase];
+  return { phase, mode: sb.mode, showGhost: true };
+}
+
+function appendCapped(trail, p) {
+  const next = trail.length >= TRAIL_MAX ? trail.slice(1) : trail.slice();
+  next.push(p);
+  return next;
+}
+
+// ---------- Landmark sensing ----------
+
+/**
+ * Belief spread: 1σ radius of the position uncertainty (px).
+ */
+export function beliefSpread(cov) {
+  return Math.sqrt(cov[0][0] + cov[1][1]);
+}
+
+/**
+ * Range/bearing of a landmark from a world pose, and the Jacobian of that measurement
+ * with respect to [x, y, theta].
+ */
+export function predictObservation(pose, lm) {
+  const dx = lm.x - pose.x;
+  const dy = lm.y - pose.y;
+  const q = dx * dx + dy * dy;
+  const r = Math.sqrt(q);
+  return {
+    z: [r, wrapPi(Math.atan2(dy, dx) - pose.theta)],
+    H: [
+      [-dx / r, -dy / r, 0],
+      [dy / q, -dx / q, -1],
+    ],
+  };
+}
+
+/**
+ * Fuse one range/bearing observation z of landmark 'lm' into the belief (relative to HOME).
+ * The Kalman gain weighs it by the current uncertainty: an unsure belief moves a lot,
+ * a sure one barely. With a 5x5 odoCov the calibration is refined too.
+ * Returns { odo, odoCov, calib }.
+ */
+export function observeLandmark(odo, odoCov, lm, z, calib = null) {
+  const pose = { x: HOME.x + odo.x, y: HOME.y + odo.y, theta: odo.theta };
+  const { z: zHat, H } = predictObservation(pose, lm);
+  const R = [
+    [RANGE_SIGMA(z[0]) ** 2, 0],
+    [0, BEARING_SIGMA ** 2],
+  ];
+  const innovation = [z[0] - zHat[0], wrapPi(z[1] - zHat[1])];
+  return fuse(odo, odoCov, calib, innovation, H, R);
+}
+
+// Sight every landmark in range and fuse them one after the other (independent noise,
+// so this equals one joint update). Mutates the cloned state 's'.
+function senseLandmarks(s, rng) {
+  const inView = [];
+  for (const lm of LANDMARKS) {
+    const { z } = predictObservation(s.agent, lm);
+    if (z[0] > LANDMARK_RANGE) continue;
+
+    const noisy = [z[0] + rng.randn() * RANGE_SIGMA(z[0]), z[1] + rng.randn() * BEARING_SIGMA];
+    const post = observeLandmark(s.odo, s.odoCov, lm, noisy, s.calib);
+    s.odo = post.odo;
+    s.odoCov = post.odoCov;
+    s.calib = post.calib;
+    inView.push(lm.id);
+
+    if (!s.seen[lm.id]) {
+      s.seen = { ...s.seen, [lm.id]: true };
+      s.flash = 1.0;
+    }
+  }
+  if (inView.join() !== s.inView.join()) s.inView = inView;
+  if (inView.length > 0 && s.calib.learning) syncCalibration(s);
+}
+
+// ---------- Compass ----------
+
+/**
+ * How far the magnetic field is bent at 'pos' (rad): full deflection at a zone's centre,
+ * fading to nothing at its edge.
+ */
+export function compassDeflection(pos) {
+  let total = 0;
+  for (const z of MAGNETIC_ZONES) {
+    const d = Math.hypot(pos.x - z.x, pos.y - z.y) / z.r;
+    if (d < 1) total += z.deflection * (1 - d * d);
+  }
+  return total;
+}
+
+/**
+ * Fuse one compass reading (absolute heading, rad) into the belief. Only the heading
+ * is measured; position improves only through its correlation with heading.
+ */
+export function observeCompass(odo, odoCov, reading, calib = null) {
+  return fuse(odo, odoCov, calib, [wrapPi(reading - odo.theta)], [[0, 0, 1]], [[COMPASS_SIGMA ** 2]]);
+}
+
+// ---------- Snapshot ----------
+
+/**
+ * Panorama seen from 'pos': per landmark, its bearing and apparent (angular) size, in rad.
+ */
+export function snapshotAt(pos) {
+  return LANDMARKS.map(lm => {
+    const d = Math.max(PILLAR_R, Math.hypot(lm.x - pos.x, lm.y - pos.y));
+    return { bearing: Math.atan2(lm.y - pos.y, lm.x - pos.x), size: 2 * Math.asin(PILLAR_R / d) };
+  });
+}
+
+export const HOME_SNAPSHOT = snapshotAt(HOME);
+
+/**
+ * Image difference between the view at 'pos' and the stored snapshot (0 at HOME).
+ */
+export function snapshotDifference(pos, snapshot = HOME_SNAPSHOT) {
+  const view = snapshotAt(pos);
+  let sum = 0;
+  for (let i = 0; i < view.length; i++) {
+    sum += wrapPi(view[i].bearing - snapshot[i].bearing) ** 2 + SIZE_WEIGHT * (view[i].size - snapshot[i].size) ** 2;
+  }
+  return sum;
+}
+
+/**
+ * Homing vector at 'pos': the (unnormalised) downhill direction of the image difference.
+ */
+export function snapshotHomingVector(pos, snapshot = HOME_SNAPSHOT) {
+  const h = GRADIENT_STEP;
+  const gx = snapshotDifference({ x: pos.x + h, y: pos.y }, snapshot) - snapshotDifference({ x: pos.x - h, y: pos.y }, snapshot);
+  const gy = snapshotDifference({ x: pos.x, y: pos.y + h }, snapshot) - snapshotDifference({ x: pos.x, y: pos.y - h }, snapshot);
+  return { x: -gx / (2 * h), y: -gy / (2 * h) };
+}
+
+// The view matches the snapshot about as well as it does this close to HOME
+const SNAPSHOT_MATCH = Math.max(...[0, 1, 2, 3, 4, 5, 6, 7].map(i => snapshotDifference({
+  x: HOME.x + 10 * Math.cos(i * Math.PI / 4),
+  y: HOME.y + 10 * Math.sin(i * Math.PI / 4),
+})));
+
+// ---------- Search ----------
+
+const SPIRAL_K = SEARCH_SPACING / (2 * Math.PI);
+
+/**
+ * Point at angle phi along the search spiral, relative to the believed home.
+ */
+export function spiralPoint(phi) {
+  const r = SEARCH_R0 + SPIRAL_K * phi;
+  return { x: Math.cos(phi) * r, y: Math.sin(phi) * r };
+}
+
+/**
+ * Heading while searching: along an Archimedean spiral around the believed home (steered
+ * by the belief), or straight for home once it is in sight. Advances s.search.
+ */
+function searchHeading(s, dt) {
+  let search = { ...s.search, t: s.search.t + (s.search.found ? 0 : dt) };
+
+  if (!search.found && Math.hypot(s.agent.x - HOME.x, s.agent.y - HOME.y) < HOME_DETECT_R) {
+    search = { ...search, found: true, time: search.t };
+  }
+  s.search = search;
+  if (search.found) return Math.atan2(HOME.y - s.agent.y, HOME.x - s.agent.x);
+
+  // Move the spiral point along at walking speed and aim a little ahead of it
+  const r = SEARCH_R0 + SPIRAL_K * search.phi;
+  const phi = search.phi + SPEED * dt / Math.hypot(r, SPIRAL_K);
+  if (SEARCH_R0 + SPIRAL_K * phi > SEARCH_MAX_R) {
+    s.search = { ...search, gaveUp: true };
+    return s.agent.theta;
+  }
+  s.search = { ...search, phi };
+  const ahead = spiralPoint(phi + 0.35);
+  return Math.atan2(ahead.y - s.odo.y, ahead.x - s.odo.x);
+}
+
+function nearestLandmark(pos) {
+  let best = LANDMARKS[0];
+  for (const lm of LANDMARKS) {
+    if (Math.hypot(lm.x - pos.x, lm.y - pos.y) < Math.hypot(best.x - pos.x, best.y - pos.y)) best = lm;
+  }
+  return best;
+}
+
+function cloneState(state) {
+  return {
+    ...state,
+    agent: { ...state.agent },
+    odo: { ...state.odo },
+    // trails are copied on append only, so snapshots between samples share them
+  };
+}
+
+// ---------- Step ----------
+
+/**
+ * Advance the demo by dt seconds. Does not mutate 'state'; rng is consumed.
+ */
+export function step(state, dt, rng, script = SCRIPT) {
+  let s = cloneState(state);
+  s.time += dt;
+
+  // 1) MANAGE DEMO TIMELINE (frozen in the sandbox)
+  if (!s.sandbox) s = advanceScript(s, script, VOCAB, dt, rng);
+  const scene = sceneOf(s, script);
+  const driving = !!s.sandbox && scene.phase === 'OUTBOUND';
+
+  if (s.flash > 0) s.flash = Math.max(0, s.flash - dt * 2);
+
+  // Pause physics if non-motion phases
+  const paused = (scene.phase === 'IDLE' || scene.phase === 'HOLD' || scene.phase === 'RESET');
+  if (paused) return s;
+
+  // 2) SIMULATION LOGIC
+  let desiredAngle = s.agent.theta;
+  let beaconActive = false;
+
+  let driveSpeed = SPEED;
+
+  // --- SANDBOX DRIVE (the user steers; the true position is where they point) ---
+  if (driving) {
+    const sb = s.sandbox;
+    const wp = sb.waypoints[0];
+    if (wp && Math.hypot(wp.x - s.agent.x, wp.y - s.agent.y) < WAYPOINT_R) {
+      s.sandbox = { ...sb, waypoints: sb.waypoints.slice(1) };
+    }
+    const target = s.sandbox.waypoints[0];
+    if (target) {
+      desiredAngle = Math.atan2(target.y - s.agent.y, target.x - s.agent.x);
+    } else {
+      desiredAngle = s.agent.theta + sb.turn * Math.PI / 2;
+      driveSpeed = sb.throttle * SPEED;
+    }
+  }
+
+  // --- OUTBOUND (Foraging) ---
+  if (scene.phase === 'OUTBOUND' && !driving) {
+    const target = s.foods[s.foodIdx];
+    const d = Math.hypot(target.x - s.agent.x, target.y - s.agent.y);
+    // (food the user buried under a rock is skipped)
+    if (d < 18 || insideObstacle(s.obstacles, target, AGENT_R)) s.foodIdx = (s.foodIdx + 1) % s.foods.length;
+
+    desiredAngle = Math.atan2(target.y - s.agent.y, target.x - s.agent.x) + rng.randn() * 0.25;
+  }
+
+  // --- RETURN (Homing) ---
+  if (scene.phase === 'RETURN') {
+    const mode = scene.mode;
+
+    if (s.search) {
+      desiredAngle = searchHeading(s, dt);
+    } else if (mode === 'SNAPSHOT') {
+      const v = snapshotHomingVector(s.agent);
+      desiredAngle = Math.atan2(v.y, v.x) + rng.randn() * SNAPSHOT_JITTER;
+    } else if (mode === 'COMPASS' || mode === 'ODOMETRY') {
+      desiredAngle = Math.atan2(-s.odo.y, -s.odo.x);
+    } else if (mode === 'LANDMARK') {
+      // Sure enough after at least one sighting: stop detouring and go home
+      if (!s.lmLocked && s.inView.length > 0 && beliefSpread(s.odoCov) < LOCALIZED_SIGMA) s.lmLocked = true;
+
+      if (!s.lmLocked) {
+        // Head for the landmark nearest to where the agent believes it is
+        const believed = { x: HOME.x + s.odo.x, y: HOME.y + s.odo.y };
+        const lm = nearestLandmark(believed);
+        desiredAngle = Math.atan2(lm.y - believed.y, lm.x - believed.x);
+        s.beaconId = lm.id;
+        beaconActive = true;
+      } else {
+        desiredAngle = Math.atan2(-s.odo.y, -s.odo.x);
+      }
+    }
+  }
+
+  s.homeBearing = Math.atan2(-s.odo.y, -s.odo.x);
+  s.isBeaconing = beaconActive;
+
+  // Homing (or heading for a landmark) on the belief means steering by the believed heading too,
+  // unless home is in sight; the snapshot is matched by eye, so it steers by what is seen
+  const byEye = (s.search && s.search.found) || (scene.mode === 'SNAPSHOT' && !s.search);
+  const steerByOdometry = scene.phase === 'RETURN' && !byEye;
+
+  // Reactive avoidance of rocks and walls. Both are seen, so a detour is steered by the true
+  // heading; the detour itself is driven and so ends up in the odometry like any other path.
+  // (Off while the user drives with the keys: they just bump into things.)
+  let heading = steerByOdometry ? s.agent.theta + angleDiff(desiredAngle, s.odo.theta) : desiredAngle;
+  if (!driving || s.sandbox.waypoints.length > 0) {
+    heading = alongWalls(s.agent, avoidObstacles(s.agent, heading, s.obstacles));
+  }
+  s.desiredAngle = heading;
+
+  // Move Agent
+  const prevTheta = s.agent.theta;
+  const dTh = angleDiff(heading, s.agent.theta);
+  s.agent.theta = wrapPi(s.agent.theta + clamp(dTh, -TURN_RATE * dt, TURN_RATE * dt));
+
+  const prevX = s.agent.x;
+  const prevY = s.agent.y;
+
+  // The home vector runs out where the belief says home is: look around, and search if
+  // home is not in sight
+  const dHome = Math.hypot(s.odo.x, s.odo.y);
+  const dTrue = Math.hypot(s.agent.x - HOME.x, s.agent.y - HOME.y);
+  const canAutoStop = (scene.mode === 'COMPASS' || scene.mode === 'ODOMETRY' || (scene.mode === 'LANDMARK' && s.lmLocked));
+  const vectorDone = scene.mode === 'SNAPSHOT'
+    ? snapshotDifference(s.agent) < SNAPSHOT_MATCH
+    : canAutoStop && dHome < 14;
+  if (scene.phase === 'RETURN' && !s.search && vectorDone) {
+    const found = dTrue < HOME_DETECT_R;
+    s.search = { t: 0, phi: 0, missedBy: dTrue, found, time: found ? 0 : null, gaveUp: false };
+  }
+  const arrived = !!s.search && ((s.search.found && dTrue < HOME_STOP_R) || s.search.gaveUp);
+  // Home in sight: slow down on the approach so the turning circle cannot orbit it
+  if (s.search && s.search.found) driveSpeed = Math.min(SPEED, 2.5 * dTrue);
+  const speedNow = scene.phase === 'RETURN' && arrived ? 0 : driveSpeed;
+
+  s.agent.x = s.agent.x + Math.cos(s.agent.theta) * speedNow * dt;
+  s.agent.y = s.agent.y + Math.sin(s.agent.theta) * speedNow * dt;
+  resolveCollisions(s.agent, s.obstacles);
+  s.agent.x = clamp(s.agent.x, MARGIN, WORLD_W - MARGIN);
+  s.agent.y = clamp(s.agent.y, MARGIN, WORLD_H - MARGIN);
+
+  // Update Odometry: integrate the encoder readings (true motion + reading error)
+  const ds = Math.hypot(s.agent.x - prevX, s.agent.y - prevY);
+  const dTheta = wrapPi(s.agent.theta - prevTheta);
+  s.driven += ds;
+  const err = odometryError(ds, dt, s.odoParams, rng);
+  if (err.slipped) s.slips += 1;
+
+  // EKF prediction: the covariance grows along the believed path, using what was read
+  // (corrected by the learned calibration while learning)
+  const readDs = ds + err.ds;
+  const readDTheta = dTheta + err.dTheta;
+  if (s.calib.learning) {
+    // The scale error and heading bias are states now, not extra noise
+    const Q = odometryNoise(readDs, dt, { ...s.odoParams, scaleError: 0, headingBias: 0 });
+    const cDs = readDs * (1 - s.calib.scale);
+    const cDTheta = readDTheta - s.calib.bias * readDs;
+    s.odoCov = predictCovarianceCalibrated(s.odoCov, s.odo.theta, cDs, cDTheta, readDs, Q);
+    s.odo = integrate(s.odo, cDs, cDTheta);
+  } else {
+    const Q = odometryNoise(readDs, dt, s.odoParams);
+    s.odoCov = predictCovariance(s.odoCov, s.odo.theta, readDs, readDTheta, Q);
+    s.odo = integrate(s.odo, readDs, readDTheta);
+  }
+  s.odoHeadingOnly = integrate(s.odoHeadingOnly, ds, dTheta + err.dTheta);
+  s.odoDistanceOnly = integrate(s.odoDistanceOnly, ds + err.ds, dTheta);
+
+  // Compass mode: fuse heading readings, so mostly distance errors remain
+  if (scene.mode === 'COMPASS') {
+    s.compassAcc += dt;
+    if (s.compassAcc >= COMPASS_DT) {
+      s.compassAcc = 0;
+      s.compassReading = wrapPi(s.agent.theta + compassDeflection(s.agent) + rng.randn() * COMPASS_SIGMA);
+      const post = observeCompass(s.odo, s.odoCov, s.compassReading, s.calib);
+      s.odo = post.odo;
+      s.odoCov = post.odoCov;
+      s.calib = post.calib;
+      if (s.calib.learning) syncCalibration(s);
+      s.odoHeadingOnly = { ...s.odoHeadingOnly, theta: s.odo.theta };
+    }
+  }
+
+  // Landmark mode: fuse range/bearing sightings of the landmarks in range
+  if (scene.mode === 'LANDMARK') {
+    s.senseAcc += dt;
+    if (s.senseAcc >= SENSE_DT) {
+      s.senseAcc = 0;
+      senseLandmarks(s, rng);
+    }
+  }
+
+  // Sandbox: the run ends at home (or when the search gives up); report how far off the
+  // home vector was and how long finding home took
+  if (s.sandbox && scene.phase === 'RETURN' && arrived) {
+    s.sandbox = {
+      ...s.sandbox,
+      phase: 'DONE',
+      result: {
+        mode: scene.mode,
+        error: s.search.missedBy,
+        searchTime: s.search.time,
+        found: s.search.found,
+        driven: s.driven,
+        slips: s.slips,
+      },
+    };
+  }
+
+  // Trails (time-based sampling)
+  s.trailAcc += dt;
+  if (s.trailAcc >= TRAIL_SAMPLE_DT) {
+    s.trailAcc = 0;
+
+    s.trail = appendCapped(s.trail, { x: s.agent.x, y: s.agent.y });
+    s.odoTrail = appendCapped(s.odoTrail, { x: HOME.x + s.odo.x, y: HOME.y + s.odo.y });
+  }
+
+  return s;
+}
@@ -0,0 +1,639 @@
+// Level 3 (Spatial Constructs) simulation core: graph world and Vector/Route/Map/Explore agents,
+// driven by the demo script in scenarios/level3.json (all timing is simulated time), or
+// run freely on a maze built in the editor (see the "World editing" section).
+// step(state, dt) returns the next state; no Preact, runs headless.
+
+import LEVEL3_SCRIPT from '../../scenarios/level3.json' with { type: 'json' };
+import { findPath } from '../utils/astar.js';
+import { createPlanner, repairPlan, plannedPath as dstarPath } from '../utils/dstarLite.js';
+import { gridSpec, emptyCells, integrateScan, segmentState } from '../utils/occupancy.js';
+import { loadScript, enterStep, advanceScript, currentStep } from './director.js';
+
+export const WORLD_W = 400;
+export const WORLD_H = 300;
+
+// Define Graph Nodes
+export const GRAPH_NODES = {
+    'start': { x: 50, y: 50, neighbors: ['n1', 'n2'] },
+    'n1': { x: 150, y: 50, neighbors: ['start', 'n3'] },
+    'n2': { x: 50, y: 150, neighbors: ['start', 'n4'] },
+    'n3': { x: 250, y: 50, neighbors: ['n1', 'n5', 'center'] },
+    'n4': { x: 50, y: 250, neighbors: ['n2', 'n6'] },
+    'center': { x: 200, y: 150, neighbors: ['n3', 'n6', 'n5'] },
+    'n5': { x: 350, y: 50, neighbors: ['n3', 'goal_A'] },
+    'n6': { x: 200, y: 250, neighbors: ['n4', 'center', 'goal_B'] },
+    'goal_A': { x: 350, y: 150, neighbors: ['n5'] },
+    'goal_B': { x: 200, y: 280, neighbors: ['n6'] }
+};
+
+export const OBSTACLES = [
+    { x: 100, y: 100, w: 20, h: 100 },
+];
+
+// Start Position
+export const START_POS = { x: 50, y: 50 };
+
+// The built-in maze; the demo always runs on it. A world is
+// { nodes: { id: { x, y, neighbors } }, obstacles: [{ x, y, w, h }], startId }.
+export const DEFAULT_WORLD = { nodes: GRAPH_NODES, obstacles: OBSTACLES, startId: 'start' };
+
+// The memorized route (Route mode never re-plans)
+export const ROUTE_PATH = ['start', 'n1', 'n3', 'n5', 'goal_A'];
+
+const SPEED = 150; // px/s
+const ARRIVE_R = 10;
+const WAYPOINT_R = 5;
+
+// Explore mode: the agent starts without a map and builds a log-odds occupancy grid with
+// a lidar that sweeps every SCAN_DT; it plans only over edges the grid shows free
+export const MAP_GRID = gridSpec(WORLD_W, WORLD_H, 10);
+export const LIDAR = { beams: 90, maxRange: 180 };
+const SCAN_DT = 0.1; // s
+const LOOK_AROUND = 0.3; // s spent sweeping at a frontier whose edges are not mapped yet
+
+// Map mode plans on the maze as it was when it set off, notices an edge becoming blocked
+// (or free) only once it is within SENSE_R, and then repairs its plan with D* Lite
+export const SENSE_R = 60;
+// The door the demo closes across the n3-n5 corridor
+export const DOOR = { x: 296, y: 32, w: 8, h: 36 };
+
+function isDoor(o) {
+    return o.x === DOOR.x && o.y === DOOR.y && o.w === DOOR.w && o.h === DOOR.h;
+}
+
+// ---------- Demo script ----------
+// The walkthrough lives in scenarios/level3.json and is run by sim/director.js.
+// Steps with set.moving let the agent move; everything else is set up by actions.
+export const IDLE_MESSAGE = 'Click "Start Demo" to begin the automated demonstration';
+
+function distTo(agent, p) {
+    return Math.hypot(p.x - agent.x, p.y - agent.y);
+}
+
+export function startPos(world) {
+    return world.nodes[world.startId];
+}
+
+// "start" or a graph node id
+function placeOf(s, id) {
+    return id === 'start' ? startPos(s.world) : s.world.nodes[id];
+}
+
+function hasReachedPathEnd(s) {
+    if (s.plannedPath.length === 0) return false;
+    return distTo(s.agent, s.world.nodes[s.plannedPath[s.plannedPath.length - 1]]) < ARRIVE_R;
+}
+
+export const VOCAB = {
+    actions: {
+        setMode: (s, [mode]) => ({ ...s, mode }),
+        setGoal: (s, [goalId]) => ({ ...s, goalId }),
+        setStuck: (s, [isStuck]) => ({ ...s, isStuck }),
+        // 'goal' | 'start' | 'hold' (Vector mode only)
+        vectorTarget: (s, [vectorTarget]) => ({ ...s, vectorTarget }),
+        resetAgent: (s) => ({ ...s, agent: { ...startPos(s.world), theta: 0 }, pathIndex: 0 }),
+        // Route mode replays the memorized waypoints, whatever the goal is now
+        followRoute: (s) => ({ ...s, plannedPath: ROUTE_PATH, pathIndex: 0 }),
+        // Map mode plans from start to the current goal
+        planToGoal: (s) => ({ ...s, plannedPath: planPath(s.world, s.world.startId, s.goalId) || [], pathIndex: 0 }),
+        // ...or with D* Lite, to repair the plan when it senses a change
+        planIncremental: (s) => replan(s, s.world.startId),
+        closeDoor: (s) => ({ ...s, world: addObstacle(s.world, DOOR) }),
+        // Matched by value: a recorded or loaded state holds a copy of the door
+        openDoor: (s) => ({ ...s, world: { ...s.world, obstacles: s.world.obstacles.filter(o => !isDoor(o)) } }),
+        // Explore mode starts over with an empty map
+        startMapping: (s) => startMapping(s),
+        stop: (s) => ({ ...s, running: false }),
+    },
+    conditions: {
+        near: (s, [id]) => distTo(s.agent, placeOf(s, id)) < ARRIVE_R,
+        pathEnd: (s) => hasReachedPathEnd(s),
+    },
+};
+
+export const SCRIPT = loadScript(LEVEL3_SCRIPT, VOCAB);
+
+// ---------- State ----------
+export function createState(world = DEFAULT_WORLD) {
+    return {
+        world,
+        running: false,
+        // current script step id, a FREE_MESSAGES key during a free run, or IDLE
+        phase: 'IDLE',
+        mode: 'VECTOR',
+        goalId: world.nodes.goal_A ? 'goal_A' : world.startId,
+        plannedPath: [],
+        pathIndex: 0,
+        agent: { ...startPos(world), theta: 0 },
+        isStuck: false,
+        // 'goal' | 'start' | 'hold'
+        vectorTarget: 'goal',
+        director: null,
+        // Free runs: the route Route mode learned on its first run, and the world
+        // Map mode's current plan was made on (it plans afresh when the graph is edited
+        // or the goal moves)
+        route: null,
+        planWorld: null,
+        // The maze being edited, kept aside while the demo borrows the built-in one
+        userWorld: null,
+        // Explore mode: the occupancy grid (log-odds per MAP_GRID cell, null until mapping
+        // starts), the last lidar sweep's beam endpoints, and the frontier node the agent
+        // is heading for (null when it heads for the goal) plus those already reached, and
+        // how long it has been looking around at that frontier
+        mapCells: null,
+        beams: [],
+        scanAcc: 0,
+        frontier: null,
+        explored: [],
+        lookAround: 0,
+        // Map mode free runs (and the demo's Replanning chapter): the D* Lite planner
+        // (utils/dstarLite.js), the directed edges 'from>to' the agent believes blocked,
+        // and the last repair { changed, expanded, from }
+        planner: null,
+        blocked: [],
+        repair: null,
+        time: 0,
+    };
+}
+
+function withPhase(s, script) {
+    return { ...s, phase: script.steps[s.director.step].id };
+}
+
+export function startDemo(state, script = SCRIPT) {
+    const s = { ...createState(), time: state.time, running: true, userWorld: state.userWorld ?? state.world };
+    return withPhase(enterStep(s, script, VOCAB, null), script);
+}
+
+/**
+ * Stop (the demo or a free run) and put the agent back at the start of the user's maze.
+ */
+export function stopDemo(state) {
+    const world = state.userWorld ?? state.world;
+    const s = { ...createState(world), time: state.time };
+    // Outside the demo the goal is the one picked in the editor
+    if (!state.director && world.nodes[state.goalId]) s.goalId = state.goalId;
+    return s;
+}
+
+// Stop, but keep what the user set up (goal and learned route)
+function stopKeeping(state) {
+    return { ...stopDemo({ ...state, director: null }), route: state.route };
+}
+
+/**
+ * Message for the current step, free run, or the idle prompt.
+ */
+export function currentMessage(state, script = SCRIPT) {
+    if (state.director) return currentStep(state, script).text;
+    return FREE_MESSAGES[state.phase]?.(state) ?? IDLE_MESSAGE;
+}
+
+function insideObstacle(world, p) {
+    return world.obstacles.some(obs =>
+        p.x > obs.x && p.x < obs.x + obs.w &&
+        p.y > obs.y && p.y < obs.y + obs.h
+    );
+}
+
+// ---------- World editing ----------
+// Pure helpers: each returns a new world. Edges are edited in both directions.
+
+/**
+ * Segment a-b against an axis-aligned rectangle (Liang-Barsky clipping).
+ */
+export function segmentHitsRect(a, b, r) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    let t0 = 0;
+    let t1 = 1;
+    const clips = [[-dx, a.x - r.x], [dx, r.x + r.w - a.x], [-dy, a.y - r.y], [dy, r.y + r.h - a.y]];
+    for (const [p, q] of clips) {
+        if (p === 0) {
+            if (q < 0) return false;
+        } else {
+            const t = q / p;
+            if (p < 0) t0 = Math.max(t0, t);
+            else t1 = Math.min(t1, t);
+            if (t0 > t1) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * The graph the agent can actually drive: edges that cross an obstacle are dropped.
+ */
+export function passableNodes(world) {
+    const out = {};
+    for (const [id, n] of Object.entries(world.nodes)) {
+        out[id] = {
+            ...n,
+            neighbors: n.neighbors.filter(nid =>
+                world.nodes[nid] && !world.obstacles.some(o => segmentHitsRect(n, world.nodes[nid], o))),
+        };
+    }
+    return out;
+}
+
+/**
+ * A* over the passable graph; null if there is no way through.
+ */
+export function planPath(world, fromId, toId) {
+    if (!world.nodes[fromId] || !world.nodes[toId]) return null;
+    return findPath(passableNodes(world), fromId, toId).path;
+}
+
+// ---------- Mapping ----------
+
+/**
+ * The graph as far as the occupancy grid knows it: edges mapped free all the way.
+ */
+export function mappedNodes(world, cells) {
+    const out = {};
+    for (const [id, n] of Object.entries(world.nodes)) {
+        out[id] = {
+            ...n,
+            neighbors: n.neighbors.filter(nid =>
+                world.nodes[nid] && segmentState(MAP_GRID, cells, n, world.nodes[nid]) === 'free'),
+        };
+    }
+    return out;
+}
+
+function hasUnmappedEdge(world, cells, id) {
+    const n = world.nodes[id];
+    return n.neighbors.some(nid => world.nodes[nid] && segmentState(MAP_GRID, cells, n, world.nodes[nid]) === 'unknown');
+}
+
+/**
+ * Plan on what has been mapped: A* to the goal over the mapped edges if they reach it,
+ * otherwise to a frontier, a reachable node with an edge not mapped yet (the one that
+ * looks closest to the goal, counting the way there). Frontiers in 'explored' have been
+ * visited already. Returns { path, frontier } (frontier null for the goal) or null.
+ */
+export function planOnMap(world, cells, fromId, toId, explored = []) {
+    const known = mappedNodes(world, cells);
+    const { path } = findPath(known, fromId, toId);
+    if (path) return { path, frontier: null };
+
+    let best = null;
+    for (const [id, n] of Object.entries(world.nodes)) {
+        if (explored.includes(id) || !hasUnmappedEdge(world, cells, id)) continue;
+        const way = findPath(known, fromId, id);
+        if (!way.path) continue;
+        const cost = way.cost + distTo(n, world.nodes[toId]);
+        if (!best || cost < best.cost) best = { path: way.path, frontier: id, cost };
+    }
+    return best && { path: best.path, frontier: best.frontier };
+}
+
+function sweep(s) {
+    const scan = integrateScan(MAP_GRID, s.mapCells, s.agent, s.world.obstacles, LIDAR);
+    return { ...s, mapCells: scan.cells, beams: scan.endpoints };
+}
+
+function replanOnMap(s, fromId) {
+    const plan = planOnMap(s.world, s.mapCells, fromId, s.goalId, s.explored);
+    if (!plan) return { ...s, plannedPath: [], frontier: null, phase: 'NO_PATH' };
+    return { ...s, plannedPath: plan.path, pathIndex: 0, frontier: plan.frontier };
+}
+
+// Forget the map and plan from the start on a first sweep (the start itself is then a
+// frontier, so the agent looks around before it sets off)
+function startMapping(s) {
+    const fresh = { ...s, mapCells: emptyCells(MAP_GRID), scanAcc: 0, explored: [], frontier: null, lookAround: 0 };
+    return replanOnMap(sweep(fresh), s.world.startId);
+}
+
+// The rest of the plan (from where the agent is) is still mapped free
+function wayAheadFree(s) {
+    const { nodes } = s.world;
+    const way = [s.agent, ...s.plannedPath.slice(s.pathIndex).map(id => nodes[id])];
+    for (let i = 1; i < way.length; i++) {
+        if (!way[i] || segmentState(MAP_GRID, s.mapCells, way[i - 1], way[i]) !== 'free') return false;
+    }
+    return true;
+}
+
+// One tick of Explore mode before the agent moves: sweep the lidar when due, and re-plan
+// on the grown map at each node reached (after looking around at a frontier), or when the
+// way ahead is no longer mapped free
+function explore(state, dt) {
+    let s = { ...state, scanAcc: state.scanAcc + dt };
+    if (s.scanAcc >= SCAN_DT) s = sweep({ ...s, scanAcc: 0 });
+
+    const target = s.plannedPath[s.pathIndex];
+    const atNode = target && distTo(s.agent, s.world.nodes[target]) < WAYPOINT_R ? target : null;
+    if (atNode && atNode === s.frontier) {
+        if (s.lookAround < LOOK_AROUND && hasUnmappedEdge(s.world, s.mapCells, atNode)) {
+            return { ...s, lookAround: s.lookAround + dt };
+        }
+        s = { ...s, explored: [...s.explored, atNode], lookAround: 0 };
+    }
+    if (atNode) return replanOnMap(s, atNode);
+    if (!target || !wayAheadFree(s)) return replanOnMap(s, nearestNode(s.world, s.agent));
+    return s;
+}
+
+export function addNode(world, p) {
+    let k = 1;
+    while (world.nodes[`n${k}`]) k++;
+    const id = `n${k}`;
+    return { world: { ...world, nodes: { ...world.nodes, [id]: { x: p.x, y: p.y, neighbors: [] } } }, id };
+}
+
+export function moveNode(world, id, p) {
+    return { ...world, nodes: { ...world.nodes, [id]: { ...world.nodes[id], x: p.x, y: p.y } } };
+}
+
+export function removeNode(world, id) {
+    const nodes = {};
+    for (const [nid, n] of Object.entries(world.nodes)) {
+        if (nid !== id) nodes[nid] = { ...n, neighbors: n.neighbors.filter(x => x !== id) };
+    }
+    return { ...world, nodes };
+}
+
+export function hasEdge(world, a, b) {
+    return world.nodes[a].neighbors.includes(b) || world.nodes[b].neighbors.includes(a);
+}
+
+/**
+ * Connect a and b (both ways), or disconnect them if they are connected either way.
+ */
+export function toggleEdge(world, a, b) {
+    if (a === b) return world;
+    const on = !hasEdge(world, a, b);
+    const link = (from, to) => {
+        const rest = world.nodes[from].neighbors.filter(x => x !== to);
+        return { ...world.nodes[from], neighbors: on ? [...rest, to] : rest };
+    };
+    return { ...world, nodes: { ...world.nodes, [a]: link(a, b), [b]: link(b, a) } };
+}
+
+export function addObstacle(world, rect) {
+    return { ...world, obstacles: [...world.obstacles, rect] };
+}
+
+export function removeObstacle(world, index) {
+    return { ...world, obstacles: world.obstacles.filter((_, i) => i !== index) };
+}
+
+function freeRunning(state) {
+    return state.running && !state.director;
+}
+
+/**
+ * Replace the world while editing; the goal and learned route are kept. A free run
+ * carries on in the changed maze (Map re-plans, Route sticks to its waypoints),
+ * anything else is stopped and reset.
+ */
+export function editWorld(state, world) {
+    if (freeRunning(state)) {
+        const plannedPath = state.plannedPath.filter(id => world.nodes[id]);
+        const pathIndex = Math.max(0, Math.min(state.pathIndex, plannedPath.length - 1));
+        return { ...state, world, plannedPath, pathIndex };
+    }
+    return stopKeeping({ ...state, world, userWorld: null });
+}
+
+export function setStart(state, id) {
+    return editWorld(state, { ...state.world, startId: id });
+}
+
+export function setGoal(state, id) {
+    if (freeRunning(state)) return { ...state, goalId: id, planWorld: null };
+    return { ...stopKeeping(state), goalId: id };
+}
+
+// ---------- Free runs ----------
+// Run one mode from the start to the current goal on the current maze.
+
+const FREE_MESSAGES = {
+    FREE_RUN: (s) => ({
+        VECTOR: '🎯 VECTOR: Heading straight for the goal...',
+        ROUTE: '🧭 ROUTE: Replaying the learned route...',
+        MAP: s.repair
+            ? `🗺️ MAP: Sensed ${s.repair.changed} changed edge(s): D* Lite repaired the plan with ${s.repair.expanded} expansions.`
+            : '🗺️ MAP: Following its plan, watching for edges that open or close...',
+        EXPLORE: '📡 EXPLORE: Mapping with the lidar, planning only over what is mapped...',
+    })[s.mode],
+    ARRIVED: (s) => `✅ ${s.mode}: Goal reached!`,
+    STUCK: (s) => `❌ ${s.mode}: Stuck against an obstacle!`,
+    WRONG_GOAL: () => '❌ ROUTE: The learned route ended, but the goal is elsewhere!',
+    NO_PATH: (s) => (s.mode === 'EXPLORE'
+        ? '❌ EXPLORE: Everything reachable is mapped, and the goal is not.'
+        : '❌ MAP: No path to the goal in this maze.'),
+};
+
+export function startRun(state, mode) {
+    let s = { ...stopKeeping(state), mode, running: true, phase: 'FREE_RUN' };
+
+    if (mode === 'ROUTE') {
+        // Learned once, then replayed whatever happens to the maze (deleted nodes are skipped)
+        const route = (s.route || planPath(s.world, s.world.startId, s.goalId) || []).filter(id => s.world.nodes[id]);
+        s = { ...s, route, plannedPath: route };
+    } else if (mode === 'MAP') {
+        s = replan(s, s.world.startId);
+    } else if (mode === 'EXPLORE') {
+        s = startMapping(s);
+    }
+
+    return s.phase === 'FREE_RUN' ? s : { ...s, running: false };
+}
+
+export function forgetRoute(state) {
+    return { ...state, route: null };
+}
+
+function nearestNode(world, p) {
+    let best = null;
+    for (const [id, n] of Object.entries(world.nodes)) {
+        if (best === null || distTo(p, n) < distTo(p, world.nodes[best])) best = id;
+    }
+    return best;
+}
+
+function edgeBlocked(world, a, b) {
+    return world.obstacles.some(o => segmentHitsRect(world.nodes[a], world.nodes[b], o));
+}
+
+function allBlocked(world) {
+    const blocked = [];
+    for (const [id, n] of Object.entries(world.nodes)) {
+        for (const nid of n.neighbors) {
+            if (world.nodes[nid] && edgeBlocked(world, id, nid)) blocked.push(`${id}>${nid}`);
+        }
+    }
+    return blocked;
+}
+
+/**
+ * The graph as the agent believes it is: every edge, those in 'blocked' ('from>to') closed.
+ */
+export function knownNodes(world, blocked) {
+    const out = {};
+    for (const [id, n] of Object.entries(world.nodes)) {
+        const neighbors = n.neighbors.filter(nid => world.nodes[nid]);
+        const costs = {};
+        for (const nid of neighbors) if (blocked.includes(`${id}>${nid}`)) costs[nid] = Infinity;
+        out[id] = { ...n, neighbors, costs };
+    }
+    return out;
+}
+
+function distToSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const u = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    return Math.hypot(a.x + u * dx - p.x, a.y + u * dy - p.y);
+}
+
+// Plan from fromId on the maze as it is now, from scratch; D* Lite then keeps the plan
+// up to date as the agent senses changes
+function replan(s, fromId) {
+    if (!s.world.nodes[fromId] || !s.world.nodes[s.goalId]) {
+        return { ...s, plannedPath: [], planner: null, planWorld: s.world, phase: 'NO_PATH' };
+    }
+    const blocked = allBlocked(s.world);
+    const known = knownNodes(s.world, blocked);
+    const planner = createPlanner(known, fromId, s.goalId);
+    const path = dstarPath(planner, known);
+    const next = { ...s, planner, blocked, repair: null, planWorld: s.world };
+    if (!path) return { ...next, plannedPath: [], phase: 'NO_PATH' };
+    return { ...next, plannedPath: path, pathIndex: 0 };
+}
+
+// Where a repaired plan starts: the node the agent is heading for, unless the way there is
+// now walled off
+function repairFrom(s) {
+    const ahead = s.world.nodes[s.plannedPath[s.pathIndex]];
+    if (ahead && !s.world.obstacles.some(o => segmentHitsRect(s.agent, ahead, o))) return s.plannedPath[s.pathIndex];
+    return nearestNode(s.world, s.agent);
+}
+
+// Compare the edges within SENSE_R with what the agent believed about them; if any has
+// opened or closed, update the belief and repair the plan from where the agent is
+function senseChanges(s) {
+    const { nodes } = s.world;
+    const changed = [];
+    let blocked = s.blocked;
+    for (const [id, n] of Object.entries(nodes)) {
+        for (const nid of n.neighbors) {
+            if (!nodes[nid] || distToSegment(s.agent, n, nodes[nid]) > SENSE_R) continue;
+            const key = `${id}>${nid}`;
+            const isBlocked = edgeBlocked(s.world, id, nid);
+            if (isBlocked === blocked.includes(key)) continue;
+            blocked = isBlocked ? [...blocked, key] : blocked.filter(k => k !== key);
+            changed.push([id, nid]);
+        }
+    }
+    if (changed.length === 0) return s;
+
+    const known = knownNodes(s.world, blocked);
+    const fromId = repairFrom(s);
+    const planner = repairPlan(s.planner, known, fromId, changed);
+    const path = dstarPath(planner, known);
+    const repair = { changed: changed.length, expanded: planner.expanded, from: fromId };
+    if (!path) return { ...s, planner, blocked, repair, plannedPath: [], phase: 'NO_PATH' };
+    return { ...s, planner, blocked, repair, plannedPath: path, pathIndex: 0 };
+}
+
+/**
+ * What a new A* search from where the last repair started would have expanded, on the
+ * same belief about the maze: the yardstick the view shows the repair against.
+ */
+export function scratchExpanded(state) {
+    return findPath(knownNodes(state.world, state.blocked), state.repair.from, state.goalId).expanded;
+}
+
+function stepFree(state, dt) {
+    let s = state;
+    if (s.mode === 'MAP') {
+        // Graph edits (and a new goal) are known at once; walls only once they are sensed
+        s = !s.planWorld || s.planWorld.nodes !== s.world.nodes ? replan(s, nearestNode(s.world, s.agent)) : senseChanges(s);
+    }
+    if (s.mode === 'EXPLORE') s = explore(s, dt);
+    if (s.phase !== 'FREE_RUN') return { ...s, running: false };
+
+    const before = s.agent;
+    const beforeIndex = s.pathIndex;
+    moveAgent(s, dt);
+
+    const goal = s.world.nodes[s.goalId];
+    if (distTo(s.agent, goal) < ARRIVE_R) return { ...s, running: false, phase: 'ARRIVED' };
+    if (s.mode === 'ROUTE' && hasReachedPathEnd(s)) return { ...s, running: false, phase: 'WRONG_GOAL' };
+    if (s.agent.x === before.x && s.agent.y === before.y && s.pathIndex === beforeIndex && s.lookAround === 0) {
+        return { ...s, running: false, isStuck: true, phase: 'STUCK' };
+    }
+    return s;
+}
+
+function moveAgent(s, dt) {
+    const speed = SPEED * dt;
+    const agent = s.agent;
+    const next = { ...agent };
+
+    const { nodes } = s.world;
+
+    if (s.mode === 'VECTOR') {
+        if (s.vectorTarget === 'hold') return; // true pause, no jitter
+
+        const target = s.vectorTarget === 'start' ? startPos(s.world) : nodes[s.goalId];
+        const angle = Math.atan2(target.y - agent.y, target.x - agent.x);
+        next.x += Math.cos(angle) * speed;
+        next.y += Math.sin(angle) * speed;
+
+        // Collision detection (only when going to goal, not returning)
+        if (s.vectorTarget !== 'start' && insideObstacle(s.world, next)) {
+            next.x = agent.x;
+            next.y = agent.y;
+        }
+    } else if ((s.mode === 'ROUTE' || s.mode === 'MAP' || s.mode === 'EXPLORE') && s.plannedPath.length > 0) {
+        const targetNodeId = s.plannedPath[s.pathIndex];
+        if (targetNodeId) {
+            const targetNode = nodes[targetNodeId];
+            if (distTo(agent, targetNode) < WAYPOINT_R) {
+                if (s.pathIndex < s.plannedPath.length - 1) s.pathIndex += 1;
+            } else {
+                const angle = Math.atan2(targetNode.y - agent.y, targetNode.x - agent.x);
+                next.x += Math.cos(angle) * speed;
+                next.y += Math.sin(angle) * speed;
+
+                // A remembered route can lead straight into an obstacle placed since
+                if (insideObstacle(s.world, next)) {
+                    next.x = agent.x;
+                    next.y = agent.y;
+                }
+            }
+        }
+    }
+
+    // Update angle for display
+    const dx = next.x - agent.x;
+    const dy = next.y - agent.y;
+    if (Math.hypot(dx, dy) > 1e-3) next.theta = Math.atan2(dy, dx);
+
+    s.agent = next;
+}
+
+// ---------- Step ----------
+
+/**
+ * Advance the demo by dt seconds. Deterministic; does not mutate 'state'.
+ */
+export function step(state, dt, script = SCRIPT) {
+    if (!state.running) return state;
+
+    let s = { ...state, time: state.time + dt };
+    if (!s.director) return stepFree(s, dt);
+
+    if (currentStep(s, script).set?.moving) {
+        if (s.mode === 'EXPLORE') s = explore(s, dt);
+        if (s.mode === 'MAP' && s.planner) s = senseChanges(s);
+        moveAgent(s, dt);
+    }
+
+    return withPhase(advanceScript(s, script, VOCAB, dt, null), script);
+}
@@ -0,0 +1,23 @@
+// Level 4 (Spatial Symbols) world geometry, shared by the view and the tests.
+
+export const WORLD_W = 400;
+export const WORLD_H = 300;
+export const MARGIN = 12;
+
+export const GOAL = { x: 300, y: 100 };
+
+// Map route around the central wall
+export const MAP_ROUTE = [
+  { x: 120, y: 250 },
+  { x: 120, y: 30 },
+  { x: 300, y: 30 },
+  { x: 300, y: 100 },
+];
+
+export const CENTRAL_WALL = { x: 150, y: 50, w: 20, h: 200 };
+
+// Central wall rectangle (open interval: touching the edge is not a hit)
+export function hitsCentralWall(x, y) {
+  const w = CENTRAL_WALL;
+  return x > w.x && x < w.x + w.w && y > w.y && y < w.y + w.h;
+}
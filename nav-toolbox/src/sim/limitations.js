@@ -0,0 +1,205 @@
+// Limitations tab simulation core: two controllers racing along the same planned path.
+// step(state, dt) returns the next state; no Preact, runs headless.
+
+export const PATH = [
+    { x: 20, y: 150 },
+    { x: 100, y: 150 },
+    { x: 150, y: 50 },  // sharp turn
+    { x: 250, y: 250 }, // sharp turn
+    { x: 350, y: 150 },
+    { x: 380, y: 150 }
+];
+
+const SPEED = 90; // px/s
+const LOOKAHEAD = 45; // px
+
+// ---------- small geometry helpers ----------
+function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+}
+
+function wrapPi(a) {
+    while (a > Math.PI) a -= 2 * Math.PI;
+    while (a < -Math.PI) a += 2 * Math.PI;
+    return a;
+}
+
+function dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export function closestPointOnSegment(p, a, b) {
+    const abx = b.x - a.x, aby = b.y - a.y;
+    const apx = p.x - a.x, apy = p.y - a.y;
+    const ab2 = abx * abx + aby * aby || 1e-9;
+    const t = clamp((apx * abx + apy * aby) / ab2, 0, 1);
+    return { x: a.x + t * abx, y: a.y + t * aby, t };
+}
+
+export function getLookaheadPoint(pos, lookahead, path = PATH) {
+    // 1) find closest point on the polyline
+    let best = { d: Infinity, seg: 0, pt: path[0], t: 0 };
+    for (let i = 0; i < path.length - 1; i++) {
+        const a = path[i], b = path[i + 1];
+        const cp = closestPointOnSegment(pos, a, b);
+        const d = Math.hypot(pos.x - cp.x, pos.y - cp.y);
+        if (d < best.d) best = { d, seg: i, pt: { x: cp.x, y: cp.y }, t: cp.t };
+    }
+
+    // 2) march forward along the polyline by 'lookahead' distance
+    let remaining = lookahead;
+    let i = best.seg;
+
+    // start from the projection point on segment i
+    let cur = { ...best.pt };
+
+    while (remaining > 0 && i < path.length - 1) {
+        const a = cur;
+        const b = path[i + 1];
+        const segLen = Math.hypot(b.x - a.x, b.y - a.y);
+
+        if (segLen < 1e-6) {
+            i++;
+            cur = { ...path[i] };
+            continue;
+        }
+
+        if (remaining <= segLen) {
+            const ux = (b.x - a.x) / segLen;
+            const uy = (b.y - a.y) / segLen;
+            return { x: a.x + ux * remaining, y: a.y + uy * remaining };
+        }
+
+        remaining -= segLen;
+        i++;
+        cur = { ...path[i] };
+    }
+
+    return { ...path[path.length - 1] };
+}
+
+// ---------- State ----------
+export function createState() {
+    return {
+        agentA: { x: 20, y: 150, theta: 0, index: 1, wait: 0 },
+        agentB: { x: 20, y: 150, theta: 0 },
+        finishedA: false,
+        finishedB: false,
+        // Oscillation detector for A: counts sign flips in heading error over a small window
+        osc: { lastSign: 0, flips: 0, window: 0.5, t: 0.5, flag: false, flagT: 0 },
+        time: 0,
+    };
+}
+
+// ---------------- Agent A: "naive" waypoint + high-gain steering ----------------
+function stepNaive(prev, osc, dt) {
+    const next = { ...prev };
+    const speed = SPEED * dt;
+
+    // wait only affects A (do NOT freeze the whole sim)
+    if (next.wait > 0) {
+        next.wait = Math.max(0, next.wait - dt);
+        return { agent: next, finished: false };
+    }
+
+    const target = PATH[next.index];
+    const d = Math.hypot(target.x - next.x, target.y - next.y);
+
+    if (d < 10) {
+        if (next.index < PATH.length - 1) {
+            next.index += 1;
+            next.wait = 0.6; // short pause (seconds)
+        } else {
+            return { agent: next, finished: true };
+        }
+    }
+
+    // recompute target after possible index change
+    const tgt = PATH[next.index];
+    const targetAngle = Math.atan2(tgt.y - next.y, tgt.x - next.x);
+    const angleDiff = wrapPi(targetAngle - next.theta);
+
+    // oscillation detector (sign flips when |angleDiff| still meaningful)
+    const s = Math.abs(angleDiff) > 0.15 ? Math.sign(angleDiff) : 0;
+
+    if (s !== 0 && osc.lastSign !== 0 && s !== osc.lastSign) osc.flips += 1;
+    if (s !== 0) osc.lastSign = s;
+
+    osc.t -= dt;
+    if (osc.t <= 0) {
+        osc.flag = osc.flips >= 4;     // arbitrary threshold for demo
+        osc.flagT = osc.flag ? 0.8 : 0;
+        osc.flips = 0;
+        osc.t = osc.window;
+    }
+    if (osc.flagT > 0) {
+        osc.flagT -= dt;
+        if (osc.flagT <= 0) osc.flag = false;
+    }
+
+    // high-gain steering (over-reacts)
+    const k = 10.0;
+    let omega = k * angleDiff; // rad/s
+    omega = clamp(omega, -14.0, 14.0); // very high max turn-rate
+    next.theta = wrapPi(next.theta + omega * dt);
+
+    // stop-and-turn behavior: only move when roughly aligned
+    if (Math.abs(angleDiff) < 0.45) {
+        next.x += Math.cos(next.theta) * speed;
+        next.y += Math.sin(next.theta) * speed;
+    }
+
+    return { agent: next, finished: false };
+}
+
+// ---------------- Agent B: smooth lookahead (pure pursuit-ish) ----------------
+function stepStable(prev, dt) {
+    const next = { ...prev };
+    const speed = SPEED * dt;
+    const endPt = PATH[PATH.length - 1];
+
+    // finish condition
+    if (dist(next, endPt) < 10) {
+        return { agent: next, finished: true };
+    }
+
+    const target = getLookaheadPoint(next, LOOKAHEAD);
+
+    const targetAngle = Math.atan2(target.y - next.y, target.x - next.x);
+    const angleDiff = wrapPi(targetAngle - next.theta);
+
+    // smooth steering
+    const k = 3.0;
+    let omega = k * angleDiff; // rad/s
+    omega = clamp(omega, -4.0, 4.0);
+    next.theta = wrapPi(next.theta + omega * dt);
+
+    // slow down a bit when turning hard (looks "robotic")
+    const v = (1 - clamp(Math.abs(angleDiff) / 1.2, 0, 0.5));
+    next.x += Math.cos(next.theta) * speed * v;
+    next.y += Math.sin(next.theta) * speed * v;
+
+    return { agent: next, finished: false };
+}
+
+/**
+ * Advance the race by dt seconds. Fully deterministic, so unlike the other cores
+ * it takes no rng (callers may still pass one).
+ */
+export function step(state, dt) {
+    const s = { ...state, osc: { ...state.osc }, time: state.time + dt };
+
+    if (!s.finishedA) {
+        const r = stepNaive(s.agentA, s.osc, dt);
+        s.agentA = r.agent;
+        s.finishedA = r.finished;
+    }
+
+    if (!s.finishedB) {
+        const r = stepStable(s.agentB, dt);
+        s.agentB = r.agent;
+        s.finishedB = r.finished;
+    }
+
+    return s;
+}
@@ -0,0 +1,209 @@
+// Pose-graph SLAM scenario for the Spatial Constructs tab: the agent drives a loop on
+// drifting odometry, dropping a pose node every NODE_SPACING px with an odometry edge to
+// the one before. Back at a place it has seen, it adds a loop-closure edge, and Gauss-Newton
+// (utils/poseGraph.js) pulls the whole trajectory back into shape, one iteration at a time.
+// The walkthrough is scenarios/slam.json, run by sim/director.js.
+// step(state, dt, rng) returns the next state; no Preact, runs headless.
+
+import SLAM_SCRIPT from '../../scenarios/slam.json' with { type: 'json' };
+import { loadScript, enterStep, advanceScript, currentStep } from './director.js';
+import { odometryError, integrate } from '../utils/odometry.js';
+import { relativePose, composePose, graphError, gaussNewtonStep } from '../utils/poseGraph.js';
+
+export const WORLD_W = 400;
+export const WORLD_H = 300;
+
+// The loop the agent drives (it keeps going round), and where it starts on it
+export const ROUTE = [
+    { x: 330, y: 240 },
+    { x: 330, y: 60 },
+    { x: 200, y: 120 },
+    { x: 70, y: 60 },
+    { x: 70, y: 240 },
+];
+export const START = { x: 70, y: 240, theta: 0 };
+
+const SPEED = 70; // px/s
+const TURN_RATE = 2.5; // rad/s
+const WAYPOINT_R = 12;
+const TRAIL_EVERY = 4; // px between trail points
+
+// Cheap wheels with a heading bias, so a lap visibly drifts
+export const SLAM_ODOMETRY = {
+    transNoise: 1, rotNoise: 1, scaleError: 2, headingBias: 2, slipRate: 0, slipDistance: 0, slipHeading: 0,
+};
+
+// Pose graph: a node every NODE_SPACING px; a place counts as recognised within RECOGNISE_R
+// of a node at least MIN_LOOP_GAP nodes back, seen facing the same way (within 60°)
+export const NODE_SPACING = 35;
+export const RECOGNISE_R = 25;
+const MIN_LOOP_GAP = 8;
+// Information matrices (inverse covariances) of the two kinds of edge
+const ODO_INFO = [[1 / 2 ** 2, 0, 0], [0, 1 / 2 ** 2, 0], [0, 0, 1 / 0.03 ** 2]];
+const LOOP_SIGMA = { xy: 1.5, theta: 0.015 };
+const LOOP_INFO = [[1 / LOOP_SIGMA.xy ** 2, 0, 0], [0, 1 / LOOP_SIGMA.xy ** 2, 0], [0, 0, 1 / LOOP_SIGMA.theta ** 2]];
+
+// Optimiser pacing: one Gauss-Newton iteration every OPT_DT, so each one can be seen
+export const OPT_DT = 0.8;
+const MAX_ITERATIONS = 8;
+const CONVERGED_STEP = 0.05; // px (or rad): an iteration that moves nothing more than this
+
+function wrapPi(a) { return Math.atan2(Math.sin(a), Math.cos(a)); }
+function distTo(a, b) { return Math.hypot(b.x - a.x, b.y - a.y); }
+
+export const VOCAB = {
+    actions: {
+        reset: (s) => resetRun(s),
+        optimize: (s) => ({ ...s, opt: { t: 0, errors: [graphError(s.poses, s.edges)], prevPoses: s.poses, done: false } }),
+    },
+    conditions: {
+        loopClosed: (s) => s.closure !== null,
+        converged: (s) => s.opt !== null && s.opt.done,
+    },
+};
+
+export const SCRIPT = loadScript(SLAM_SCRIPT, VOCAB);
+
+// ---------- State ----------
+
+/**
+ * A fresh run: the agent at START, one pose node there, nothing driven yet.
+ */
+export function resetRun(state) {
+    return {
+        ...state,
+        agent: { ...START },
+        // Dead reckoning alone (never corrected), for the red trail
+        odo: { ...START },
+        wp: 0,
+        sinceNode: 0,
+        sinceTrail: 0,
+        trail: [{ x: START.x, y: START.y }],
+        odoTrail: [{ x: START.x, y: START.y }],
+        // Pose nodes: where the agent really was, what odometry said, and the graph's
+        // current estimate (starts as odometry, then optimised)
+        truthPoses: [{ ...START }],
+        odoPoses: [{ ...START }],
+        poses: [{ ...START }],
+        // { from, to, z (relative pose), info, kind: 'odometry' | 'loop' }
+        edges: [],
+        // The latest loop closure { from, to }, and the optimiser run
+        // { t, errors (chi² per iteration), prevPoses, done }
+        closure: null,
+        opt: null,
+    };
+}
+
+/**
+ * The scenario at its start. 'route' is the loop the agent drives, from START (it survives
+ * restarts).
+ */
+export function createState(rng, script = SCRIPT, route = ROUTE) {
+    return enterStep(resetRun({ time: 0, route }), script, VOCAB, rng);
+}
+
+export function restart(state, rng, script = SCRIPT) {
+    return enterStep(resetRun(state), script, VOCAB, rng);
+}
+
+/**
+ * Where the graph believes the agent is now: the last node's estimate plus the odometry
+ * driven since.
+ */
+export function believedPose(s, poses = s.poses) {
+    const last = poses.length - 1;
+    return composePose(poses[last], relativePose(s.odoPoses[last], s.odo));
+}
+
+/**
+ * Largest distance between a node's estimate and where the agent really was.
+ */
+export function trajectoryError(s, poses = s.poses) {
+    return Math.max(...poses.map((p, i) => distTo(p, s.truthPoses[i])));
+}
+
+// ---------- Pose graph ----------
+
+// Drop a node where the agent is, linked to the previous one by what odometry measured,
+// and close the loop if this is a place seen before
+function addNode(s, rng) {
+    const j = s.poses.length;
+    const z = relativePose(s.odoPoses[j - 1], s.odo);
+    s.truthPoses = [...s.truthPoses, { ...s.agent }];
+    s.odoPoses = [...s.odoPoses, { ...s.odo }];
+    s.poses = [...s.poses, composePose(s.poses[j - 1], z)];
+    s.edges = [...s.edges, { from: j - 1, to: j, z, info: ODO_INFO, kind: 'odometry' }];
+
+    // Place recognition (stands in for matching what the agent sees): the nearest earlier node
+    let best = -1;
+    for (let i = 0; i <= j - MIN_LOOP_GAP; i++) {
+        const d = distTo(s.truthPoses[i], s.agent);
+        const facing = Math.abs(wrapPi(s.truthPoses[i].theta - s.agent.theta)) < Math.PI / 3;
+        if (d < RECOGNISE_R && facing && (best < 0 || d < distTo(s.truthPoses[best], s.agent))) best = i;
+    }
+    if (best >= 0) {
+        const truth = relativePose(s.truthPoses[best], s.agent);
+        const zLoop = {
+            x: truth.x + rng.randn() * LOOP_SIGMA.xy,
+            y: truth.y + rng.randn() * LOOP_SIGMA.xy,
+            theta: wrapPi(truth.theta + rng.randn() * LOOP_SIGMA.theta),
+        };
+        s.edges = [...s.edges, { from: best, to: j, z: zLoop, info: LOOP_INFO, kind: 'loop' }];
+        s.closure = { from: best, to: j };
+    }
+}
+
+function stepOptimizer(s, dt) {
+    const opt = { ...s.opt, t: s.opt.t + dt };
+    if (opt.done || opt.t < OPT_DT) {
+        s.opt = opt;
+        return;
+    }
+    const it = gaussNewtonStep(s.poses, s.edges);
+    const errors = [...opt.errors, graphError(it.poses, s.edges)];
+    s.opt = {
+        t: 0,
+        errors,
+        prevPoses: s.poses,
+        done: it.step < CONVERGED_STEP || errors.length > MAX_ITERATIONS,
+    };
+    s.poses = it.poses;
+}
+
+// ---------- Step ----------
+
+function drive(s, dt, rng) {
+    const route = s.route ?? ROUTE; // (runs recorded before the route was part of the state)
+    if (distTo(s.agent, route[s.wp]) < WAYPOINT_R) s.wp = (s.wp + 1) % route.length;
+
+    const want = Math.atan2(route[s.wp].y - s.agent.y, route[s.wp].x - s.agent.x);
+    const turn = Math.max(-TURN_RATE * dt, Math.min(TURN_RATE * dt, wrapPi(want - s.agent.theta)));
+    const ds = SPEED * dt;
+    s.agent = integrate(s.agent, ds, turn);
+
+    const err = odometryError(ds, dt, SLAM_ODOMETRY, rng);
+    s.odo = integrate(s.odo, ds + err.ds, turn + err.dTheta);
+
+    s.sinceTrail += ds;
+    if (s.sinceTrail >= TRAIL_EVERY) {
+        s.sinceTrail = 0;
+        s.trail = [...s.trail, { x: s.agent.x, y: s.agent.y }];
+        s.odoTrail = [...s.odoTrail, { x: s.odo.x, y: s.odo.y }];
+    }
+
+    s.sinceNode += ds;
+    if (s.sinceNode >= NODE_SPACING) {
+        s.sinceNode = 0;
+        addNode(s, rng);
+    }
+}
+
+/**
+ * Advance the scenario by dt seconds. Deterministic for a given rng; does not mutate 'state'.
+ */
+export function step(state, dt, rng, script = SCRIPT) {
+    const s = { ...state, time: state.time + dt };
+    if (currentStep(s, script).set?.moving) drive(s, dt, rng);
+    if (s.opt) stepOptimizer(s, dt);
+    return advanceScript(s, script, VOCAB, dt, rng);
+}
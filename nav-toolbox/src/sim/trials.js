@@ -0,0 +1,105 @@
+// Monte Carlo trials of the Level 2 homing primitives: many outbound/return runs per mode,
+// stepped headless on the same core as the tab (sim/level2.js), so the results can be
+// compared as distributions instead of single runs.
+import { loadScript, currentStep } from './director.js';
+import { createRng } from '../utils/random.js';
+import { FIXED_DT } from '../utils/clock.js';
+import { HOME, VOCAB, DEFAULT_OBSTACLES, createState, step } from './level2.js';
+
+export const TRIAL_MODES = ['ODOMETRY', 'COMPASS', 'LANDMARK', 'SNAPSHOT'];
+
+const OUTBOUND_S = 7.0;
+const RETURN_CAP_S = 45.0; // a return that has not reached home by then is cut off
+
+const scripts = {};
+
+// One outbound leg, one return (until home is reached), then a terminal END step
+function trialScript(mode) {
+  if (!scripts[mode]) {
+    scripts[mode] = loadScript({
+      id: `trial-${mode}`,
+      steps: [
+        { id: 'OUT', duration: OUTBOUND_S, actions: [['reset']], set: { phase: 'OUTBOUND', mode } },
+        { id: 'RET', duration: RETURN_CAP_S, until: ['atHome'], set: { phase: 'RETURN', mode } },
+        { id: 'END', set: { phase: 'HOLD', mode } },
+      ],
+    }, VOCAB);
+  }
+  return scripts[mode];
+}
+
+/**
+ * One trial from 'seed'. Returns { mode, seed, missedBy, end, returnLength, searchTime, found }:
+ * missedBy and end ({ x, y } relative to HOME) are where the home vector ran out (the final
+ * position if it never did), returnLength is the path driven on the way back, search included.
+ */
+export function runTrial(mode, seed, odoParams, obstacles = DEFAULT_OBSTACLES) {
+  const rng = createRng(seed);
+  const script = trialScript(mode);
+  let s = createState(rng, script, odoParams, obstacles);
+  let end = null;
+  let returnLength = 0;
+
+  while (currentStep(s, script).id !== 'END') {
+    const next = step(s, FIXED_DT, rng, script);
+    if (currentStep(next, script).id === 'RET') {
+      returnLength += Math.hypot(next.agent.x - s.agent.x, next.agent.y - s.agent.y);
+    }
+    if (!s.search && next.search) end = { x: next.agent.x - HOME.x, y: next.agent.y - HOME.y };
+    s = next;
+  }
+
+  if (!end) end = { x: s.agent.x - HOME.x, y: s.agent.y - HOME.y };
+  return {
+    mode,
+    seed,
+    missedBy: Math.hypot(end.x, end.y),
+    end,
+    returnLength,
+    searchTime: s.search ? s.search.time : null,
+    found: !!(s.search && s.search.found),
+  };
+}
+
+/**
+ * A batch of n trials per mode. Trial i of every mode uses seed 'seed + i', so the modes
+ * face the same food placements.
+ */
+export function createBatch(n, seed, odoParams, obstacles = DEFAULT_OBSTACLES) {
+  return { n, seed, odoParams, obstacles, done: 0, results: Object.fromEntries(TRIAL_MODES.map(m => [m, []])) };
+}
+
+export function batchTotal(batch) {
+  return batch.n * TRIAL_MODES.length;
+}
+
+/**
+ * Run up to 'count' more trials (mode by mode, trial by trial). Returns the next batch.
+ */
+export function stepBatch(batch, count = 1) {
+  const results = { ...batch.results };
+  let done = batch.done;
+  const total = batchTotal(batch);
+  for (let k = 0; k < count && done < total; k++, done++) {
+    const mode = TRIAL_MODES[Math.floor(done / batch.n)];
+    const i = done % batch.n;
+    results[mode] = [...results[mode], runTrial(mode, batch.seed + i, batch.odoParams, batch.obstacles)];
+  }
+  return { ...batch, done, results };
+}
+
+/**
+ * All finished trials as CSV, one row per trial (for spreadsheets and lab reports).
+ */
+export function trialsToCsv(batch) {
+  const rows = ['mode,seed,missed_by_px,end_x_px,end_y_px,return_length_px,search_s,found'];
+  for (const mode of TRIAL_MODES) {
+    for (const r of batch.results[mode]) {
+      rows.push([
+        r.mode, r.seed, r.missedBy.toFixed(1), r.end.x.toFixed(1), r.end.y.toFixed(1),
+        r.returnLength.toFixed(1), r.searchTime === null ? '' : r.searchTime.toFixed(2), r.found,
+      ].join(','));
+    }
+  }
+  return rows.join('\n') + '\n';
+}
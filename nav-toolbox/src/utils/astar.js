@@ -1,64 +1,139 @@
-export function findPath(nodes, startId, endId) {
-    // nodes: { id: { x, y, neighbors: [id, dist] } }
-
-    // Heuristic: Euclidean distance
-    const h = (id) => {
-        const n = nodes[id];
-        const end = nodes[endId];
-        return Math.hypot(n.x - end.x, n.y - end.y);
-    };
+// Best-first graph search over { id: { x, y, neighbors: [id], costs? } }. One loop covers
+// BFS, Dijkstra, greedy best-first and (weighted) A*: they differ only in the key that picks
+// the next open node to expand. The open set is a binary heap and scores are kept only for
+// nodes the search reaches, so a call costs O(E log V) on the part of the graph it explores.
+//
+// An edge costs its Euclidean length unless the node lists it in 'costs' ({ [neighborId]:
+// cost }, per direction, so a->b and b->a may differ; Infinity closes the edge). A* with the
+// Euclidean heuristic is only guaranteed shortest when no edge costs less than its length;
+// use Dijkstra (or the zero heuristic) on maps with cheaper edges.
+
+import { createHeap } from './heap.js';
 
-    const openSet = [startId];
-    const cameFrom = {};
-    const gScore = {}; // Cost from start
-    const fScore = {}; // Estimated total cost
+export const ALGORITHMS = {
+    bfs: { label: 'BFS', key: (g, h, hops) => hops },
+    dijkstra: { label: 'Dijkstra', key: (g) => g },
+    greedy: { label: 'Greedy', key: (g, h) => h },
+    astar: { label: 'A*', key: (g, h, hops, w) => g + w * h },
+};
 
-    // Initialize scores
-    Object.keys(nodes).forEach(id => {
-        gScore[id] = Infinity;
-        fScore[id] = Infinity;
-    });
+// Estimates of the remaining distance. Euclidean never overestimates on this graph (so A*
+// stays optimal); Manhattan can, and zero turns A* into Dijkstra
+export const HEURISTICS = {
+    euclidean: { label: 'Euclidean', fn: (dx, dy) => Math.hypot(dx, dy) },
+    manhattan: { label: 'Manhattan', fn: (dx, dy) => Math.abs(dx) + Math.abs(dy) },
+    zero: { label: 'Zero', fn: () => 0 },
+};
 
-    gScore[startId] = 0;
-    fScore[startId] = h(startId);
+const DEFAULTS = { algorithm: 'astar', heuristic: 'euclidean', weight: 1 };
 
-    while (openSet.length > 0) {
-        // Get node with lowest fScore
-        let current = openSet.reduce((a, b) => fScore[a] < fScore[b] ? a : b);
+/**
+ * Cost of the directed edge a -> b: its entry in a.costs, else its length.
+ */
+export function edgeCost(nodes, a, b) {
+    const explicit = nodes[a].costs?.[b];
+    if (explicit !== undefined) return explicit;
+    return Math.hypot(nodes[a].x - nodes[b].x, nodes[a].y - nodes[b].y);
+}
+
+/**
+ * Total cost of a path (list of node ids), edge by edge.
+ */
+export function pathCost(nodes, path) {
+    let cost = 0;
+    for (let i = 1; i < path.length; i++) cost += edgeCost(nodes, path[i - 1], path[i]);
+    return cost;
+}
+
+function search(nodes, startId, endId, options, trace) {
+    const { algorithm, heuristic, weight } = { ...DEFAULTS, ...options };
+    const key = ALGORITHMS[algorithm].key;
+    const hFn = HEURISTICS[heuristic].fn;
+    const end = nodes[endId];
+    const h = (id) => hFn(end.x - nodes[id].x, end.y - nodes[id].y);
+
+    const open = createHeap();
+    const openIds = new Set([startId]);
+    const closed = new Set();
+    const cameFrom = new Map();
+    const gScore = new Map([[startId, 0]]); // Cost from start
+    const hops = new Map([[startId, 0]]);
+    const fScore = new Map([[startId, key(0, h(startId), 0, weight)]]); // Key the open set is ordered by
+    open.push(startId, fScore.get(startId));
+
+    while (open.size > 0) {
+        // Open node with the lowest key (the earliest opened on ties, so BFS is first-in first-out);
+        // entries left behind by a cheaper push of the same node are skipped
+        const { value: current } = open.pop();
+        if (closed.has(current)) continue;
 
         if (current === endId) {
+            trace?.push(snapshot(current, openIds, closed, gScore, fScore, cameFrom));
             // Reconstruct path
             const path = [current];
-            while (cameFrom[current]) {
-                current = cameFrom[current];
-                path.unshift(current);
+            for (let id = current; cameFrom.has(id);) {
+                id = cameFrom.get(id);
+                path.push(id);
             }
-            return path;
+            path.reverse();
+            return { path, cost: gScore.get(endId), expanded: closed.size + 1 };
         }
 
-        // Remove current from openSet
-        openSet.splice(openSet.indexOf(current), 1);
-
-        // Neighbors
-        const neighbors = nodes[current].neighbors;
-        for (let nextId of neighbors) {
-            // Assume neighbor list is locally stored or calculated. 
-            // Here assuming nodes[id].neighbors is array of IDs. 
-            // Dist is Euclidean
-            const dist = Math.hypot(nodes[current].x - nodes[nextId].x, nodes[current].y - nodes[nextId].y);
+        openIds.delete(current);
+        closed.add(current);
 
-            const tentativeG = gScore[current] + dist;
+        for (const nextId of nodes[current].neighbors) {
+            if (closed.has(nextId)) continue;
+            const tentativeG = gScore.get(current) + edgeCost(nodes, current, nextId);
+            if (tentativeG === Infinity) continue;
 
-            if (tentativeG < gScore[nextId]) {
-                cameFrom[nextId] = current;
-                gScore[nextId] = tentativeG;
-                fScore[nextId] = gScore[nextId] + h(nextId);
-
-                if (!openSet.includes(nextId)) {
-                    openSet.push(nextId);
-                }
+            // BFS keeps the first parent it finds; the others keep the cheapest
+            const known = gScore.get(nextId);
+            const better = known === undefined || (algorithm !== 'bfs' && tentativeG < known);
+            if (better) {
+                const tentativeHops = hops.get(current) + 1;
+                const f = key(tentativeG, h(nextId), tentativeHops, weight);
+                cameFrom.set(nextId, current);
+                gScore.set(nextId, tentativeG);
+                hops.set(nextId, tentativeHops);
+                fScore.set(nextId, f);
+                openIds.add(nextId);
+                open.push(nextId, f);
             }
         }
+        trace?.push(snapshot(current, openIds, closed, gScore, fScore, cameFrom));
     }
-    return null; // No path
+    return { path: null, cost: Infinity, expanded: closed.size }; // No path
+}
+
+function snapshot(current, openIds, closed, gScore, fScore, cameFrom) {
+    return {
+        current,
+        open: [...openIds],
+        closed: [...closed],
+        g: Object.fromEntries(gScore),
+        f: Object.fromEntries(fScore),
+        parent: Object.fromEntries(cameFrom),
+    };
+}
+
+/**
+ * Search from startId to endId. Returns { path, cost, expanded }: the list of node ids
+ * (null if the goal cannot be reached), its cost (Infinity then) and how many nodes were
+ * expanded. options: { algorithm: 'bfs' | 'dijkstra' | 'greedy' | 'astar', heuristic,
+ * weight } (A* with a Euclidean heuristic by default). Only Dijkstra, and A* with weight 1
+ * and an admissible heuristic, are guaranteed cheapest.
+ */
+export function findPath(nodes, startId, endId, options = {}) {
+    return search(nodes, startId, endId, options, null);
+}
+
+/**
+ * The same search, recorded: { path, cost, expanded, trace } with one trace entry per
+ * expansion, { current, open, closed, g, f, parent }, f being the key the open set is
+ * ordered by. The last entry expands the goal (or empties the open set if there is no path).
+ */
+export function searchTrace(nodes, startId, endId, options = {}) {
+    const trace = [];
+    return { ...search(nodes, startId, endId, options, trace), trace };
 }
@@ -0,0 +1,110 @@
+// Braitenberg vehicles: two photosensors wired directly to two wheels.
+// No map, no bearing to the light, no memory - only the wiring.
+
+import { lightIntensity } from './lightField.js';
+
+// Wiring matrices: [leftMotor, rightMotor] = bias + W * [leftSensor, rightSensor]
+// Positive weights excite, negative weights inhibit (motor runs at 'bias' in the dark).
+export const VEHICLES = {
+    '1': {
+        label: '1 (Alive)',
+        desc: 'Both sensors drive both wheels equally: speeds up in light, never turns.',
+        W: [[0.5, 0.5], [0.5, 0.5]],
+        bias: 0.15,
+    },
+    '2a': {
+        label: '2a (Fear)',
+        desc: 'Uncrossed excitatory: the wheel on the lit side spins faster, turning away.',
+        W: [[1, 0], [0, 1]],
+        bias: 0.15,
+    },
+    '2b': {
+        label: '2b (Aggression)',
+        desc: 'Crossed excitatory: turns toward the light and charges into it.',
+        W: [[0, 1], [1, 0]],
+        bias: 0.15,
+    },
+    '3a': {
+        label: '3a (Love)',
+        desc: 'Uncrossed inhibitory: turns toward the light and slows to a halt facing it.',
+        W: [[-1, 0], [0, -1]],
+        bias: 1.0,
+    },
+    '3b': {
+        label: '3b (Explorer)',
+        desc: 'Crossed inhibitory: slows near the light but turns away to look for another.',
+        W: [[0, -1], [-1, 0]],
+        bias: 1.0,
+    },
+};
+
+// Body geometry (px) and motor scale (px/s at motor output 1.0)
+export const BODY = {
+    axle: 14,          // distance between wheels
+    sensorOffset: 10,  // sensors sit this far ahead of the axle
+    sensorSpread: 0.5, // rad, each sensor points this far off the heading
+    maxWheelSpeed: 60,
+};
+
+/**
+ * Sensor poses in world frame. Screen y points down, so "left" is theta - spread.
+ */
+export function sensorPoses(v, body = BODY) {
+    const fx = v.x + Math.cos(v.theta) * body.sensorOffset;
+    const fy = v.y + Math.sin(v.theta) * body.sensorOffset;
+    const side = body.axle / 2;
+    const make = (sign) => ({
+        x: fx + Math.cos(v.theta + sign * Math.PI / 2) * side,
+        y: fy + Math.sin(v.theta + sign * Math.PI / 2) * side,
+        dir: v.theta + sign * body.sensorSpread,
+    });
+    return { left: make(-1), right: make(1) };
+}
+
+/**
+ * Directional photosensor reading: falloff intensity times a cosine acceptance lobe,
+ * summed over every source in the field.
+ */
+export function readSensor(sensor, lights) {
+    let sum = 0;
+    for (const light of lights) {
+        const toLight = Math.atan2(light.y - sensor.y, light.x - sensor.x);
+        const gain = Math.max(0, Math.cos(toLight - sensor.dir));
+        sum += lightIntensity(light, sensor) * gain;
+    }
+    return sum;
+}
+
+export function motorOutputs(wiring, sL, sR) {
+    const clamp01 = (v) => Math.max(0, Math.min(1, v));
+    return {
+        left: clamp01(wiring.bias + wiring.W[0][0] * sL + wiring.W[0][1] * sR),
+        right: clamp01(wiring.bias + wiring.W[1][0] * sL + wiring.W[1][1] * sR),
+    };
+}
+
+/**
+ * Advance a vehicle one step (dt in seconds). Returns the next pose plus
+ * sensor and motor readings for display.
+ */
+export function stepVehicle(v, wiring, lights, dt, body = BODY) {
+    const sensors = sensorPoses(v, body);
+    const sL = readSensor(sensors.left, lights);
+    const sR = readSensor(sensors.right, lights);
+    const m = motorOutputs(wiring, sL, sR);
+
+    // Differential drive (y down: faster left wheel turns clockwise = +theta)
+    const vL = m.left * body.maxWheelSpeed;
+    const vR = m.right * body.maxWheelSpeed;
+    const forward = (vL + vR) / 2;
+    const omega = (vL - vR) / body.axle;
+
+    const theta = v.theta + omega * dt;
+    return {
+        x: v.x + Math.cos(theta) * forward * dt,
+        y: v.y + Math.sin(theta) * forward * dt,
+        theta: Math.atan2(Math.sin(theta), Math.cos(theta)),
+        sL, sR,
+        mL: m.left, mR: m.right,
+    };
+}
@@ -0,0 +1,37 @@
+// Fixed-timestep simulation clock, independent of the display refresh rate.
+// useGameLoop feeds it wall-clock frame times; the simulation only ever sees FIXED_DT.
+
+export const FIXED_DT = 1 / 60; // s per simulation step
+
+// Longest frame gap we try to catch up on (a hidden tab or a breakpoint should not
+// replay seconds of physics at once)
+export const MAX_FRAME_DT = 0.25;
+
+// Hard cap on steps per frame, so 4x on a slow machine cannot spiral
+export const MAX_STEPS_PER_FRAME = 20;
+
+export const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+export const DEFAULT_CLOCK = {
+    paused: false,
+    speed: 1,
+    stepRequest: 0, // bumped by the transport bar; each bump is one single step
+};
+
+/**
+ * Consume one display frame of 'frameDt' seconds at 'speed'.
+ * Returns how many fixed steps to run and the leftover accumulator.
+ */
+export function consumeFrame(accumulator, frameDt, speed = 1) {
+    let acc = accumulator + Math.min(Math.max(frameDt, 0), MAX_FRAME_DT) * speed;
+    let steps = Math.floor(acc / FIXED_DT + 1e-9);
+
+    if (steps > MAX_STEPS_PER_FRAME) {
+        // Too far behind: drop the backlog rather than run it all
+        steps = MAX_STEPS_PER_FRAME;
+        acc = 0;
+    } else {
+        acc = Math.max(0, acc - steps * FIXED_DT);
+    }
+    return { steps, accumulator: acc };
+}
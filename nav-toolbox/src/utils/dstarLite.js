@@ -0,0 +1,167 @@
+// D* Lite (Koenig & Likhachev, 2002): A* run backwards from the goal that keeps its results
+// between calls. When edge costs change, only the nodes whose cost-to-goal the change
+// affects are expanded again, instead of searching from scratch.
+//
+// Graph format and edge costs are those of astar.js; the topology is fixed for the life of
+// a planner (build a new one if nodes or edges are added or removed), and a blocked edge is
+// one whose cost is Infinity. The heuristic is the straight-line distance, so edge costs
+// must not be below their length.
+//
+// A planner is plain JSON (it can sit in a sim state and be recorded):
+// { goalId, startId, lastId, km, g, rhs, queued, preds, expanded }. g and rhs are
+// cost-to-goal estimates (a missing entry is Infinity), 'queued' maps each node on the
+// open list to its key, and 'expanded' counts the expansions of the last call. Every call
+// returns a new planner; the one passed in is not changed.
+
+import { createHeap } from './heap.js';
+import { edgeCost } from './astar.js';
+
+// Keys [k1, k2] compare lexicographically
+const keyLess = (a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+
+// The open list of each planner as a heap (entries whose key no longer matches 'queued' are
+// stale and skipped). Kept beside the planner so that it stays plain JSON. A repair hands
+// the heap on to the planner it returns; a planner without one (it came back from JSON, or
+// was repaired before) gets it rebuilt from 'queued'.
+const heaps = new WeakMap();
+
+function takeHeap(planner) {
+    let heap = heaps.get(planner);
+    heaps.delete(planner);
+    if (!heap) {
+        heap = createHeap(keyLess);
+        for (const [id, key] of Object.entries(planner.queued)) heap.push(id, key);
+    }
+    return heap;
+}
+
+function predecessors(nodes) {
+    const preds = {};
+    for (const id of Object.keys(nodes)) preds[id] = [];
+    for (const [id, n] of Object.entries(nodes)) {
+        for (const nid of n.neighbors) preds[nid]?.push(id);
+    }
+    return preds;
+}
+
+// The search on a working copy of the planner 'from' over 'nodes': updateVertex and
+// computeShortestPath change the copy's tables, done() returns it
+function search(from, nodes) {
+    const planner = { ...from, g: { ...from.g }, rhs: { ...from.rhs }, queued: { ...from.queued }, expanded: 0 };
+    const heap = takeHeap(from);
+    const g = (id) => planner.g[id] ?? Infinity;
+    const rhs = (id) => planner.rhs[id] ?? Infinity;
+    const h = (id) => Math.hypot(nodes[id].x - nodes[planner.startId].x, nodes[id].y - nodes[planner.startId].y);
+    const calcKey = (id) => {
+        const m = Math.min(g(id), rhs(id));
+        return [m + h(id) + planner.km, m];
+    };
+    const setTable = (table, id, v) => {
+        if (v === Infinity) delete planner[table][id];
+        else planner[table][id] = v;
+    };
+
+    const updateVertex = (u) => {
+        if (u !== planner.goalId) {
+            let best = Infinity;
+            for (const v of nodes[u].neighbors) best = Math.min(best, edgeCost(nodes, u, v) + g(v));
+            setTable('rhs', u, best);
+        }
+        delete planner.queued[u];
+        if (g(u) !== rhs(u)) {
+            const key = calcKey(u);
+            planner.queued[u] = key;
+            heap.push(u, key);
+        }
+    };
+
+    const top = () => {
+        while (heap.size > 0) {
+            const entry = heap.peek();
+            if (planner.queued[entry.value] === entry.key) return entry;
+            heap.pop();
+        }
+        return null;
+    };
+
+    const computeShortestPath = () => {
+        for (let entry = top(); entry; entry = top()) {
+            const start = planner.startId;
+            if (!keyLess(entry.key, calcKey(start)) && rhs(start) === g(start)) break;
+            const u = entry.value;
+            const fresh = calcKey(u);
+            heap.pop();
+            if (keyLess(entry.key, fresh)) {
+                planner.queued[u] = fresh;
+                heap.push(u, fresh);
+            } else if (g(u) > rhs(u)) {
+                delete planner.queued[u];
+                setTable('g', u, rhs(u));
+                planner.expanded += 1;
+                for (const p of planner.preds[u]) updateVertex(p);
+            } else {
+                delete planner.queued[u];
+                setTable('g', u, Infinity);
+                planner.expanded += 1;
+                for (const p of [...planner.preds[u], u]) updateVertex(p);
+            }
+        }
+    };
+
+    const done = () => {
+        heaps.set(planner, heap);
+        return planner;
+    };
+
+    return { planner, updateVertex, computeShortestPath, done };
+}
+
+/**
+ * Plan from startId to goalId from scratch.
+ */
+export function createPlanner(nodes, startId, goalId) {
+    const { updateVertex, computeShortestPath, done } = search({
+        goalId, startId, lastId: startId, km: 0,
+        g: {}, rhs: { [goalId]: 0 }, queued: {}, preds: predecessors(nodes), expanded: 0,
+    }, nodes);
+    updateVertex(goalId);
+    computeShortestPath();
+    return done();
+}
+
+/**
+ * Repair the plan after the directed edges 'changed' ([[from, to], ...]) changed cost in
+ * 'nodes', with the agent now at startId. 'expanded' of the result counts this repair only.
+ */
+export function repairPlan(previous, nodes, startId, changed) {
+    const { planner, updateVertex, computeShortestPath, done } = search(previous, nodes);
+    // Moving the start shifts every heuristic; km keeps the keys already queued comparable
+    planner.km += Math.hypot(nodes[planner.lastId].x - nodes[startId].x, nodes[planner.lastId].y - nodes[startId].y);
+    planner.startId = startId;
+    planner.lastId = startId;
+    for (const u of new Set(changed.map(([from]) => from))) updateVertex(u);
+    computeShortestPath();
+    return done();
+}
+
+/**
+ * The planned path from the planner's start to the goal (node ids), or null if the goal
+ * cannot be reached: from each node, the edge that leaves the least cost to go.
+ */
+export function plannedPath(planner, nodes) {
+    const g = (id) => planner.g[id] ?? Infinity;
+    if (g(planner.startId) === Infinity) return null;
+    const path = [planner.startId];
+    for (let cur = planner.startId; cur !== planner.goalId;) {
+        let best = null;
+        let bestCost = Infinity;
+        for (const v of nodes[cur].neighbors) {
+            const c = edgeCost(nodes, cur, v) + g(v);
+            if (c < bestCost) { best = v; bestCost = c; }
+        }
+        if (best === null || path.length > Object.keys(nodes).length) return null;
+        path.push(best);
+        cur = best;
+    }
+    return path;
+}
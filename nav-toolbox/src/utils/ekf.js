@@ -0,0 +1,131 @@
+// Extended Kalman filter pieces for a planar pose [x, y, theta] driven by odometry
+// (distance ds along the midpoint heading, then a heading change dTheta).
+// Matrices are plain nested arrays; everything is small enough to do by hand.
+
+// ---------- Small matrix helpers ----------
+
+export function transpose(A) {
+    return A[0].map((_, j) => A.map(row => row[j]));
+}
+
+export function matMul(A, B) {
+    return A.map(row => B[0].map((_, j) => row.reduce((sum, a, k) => sum + a * B[k][j], 0)));
+}
+
+export function matAdd(A, B) {
+    return A.map((row, i) => row.map((a, j) => a + B[i][j]));
+}
+
+export function identity(n) {
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+/**
+ * Inverse by Gauss-Jordan elimination with partial pivoting. Throws on a singular matrix.
+ */
+export function inverse(A) {
+    const n = A.length;
+    const M = A.map((row, i) => [...row, ...identity(n)[i]]);
+    for (let c = 0; c < n; c++) {
+        let p = c;
+        for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+        if (Math.abs(M[p][c]) < 1e-12) throw new Error('Singular matrix');
+        [M[c], M[p]] = [M[p], M[c]];
+        const pivot = M[c][c];
+        for (let j = 0; j < 2 * n; j++) M[c][j] /= pivot;
+        for (let r = 0; r < n; r++) {
+            if (r === c) continue;
+            const f = M[r][c];
+            for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+        }
+    }
+    return M.map(row => row.slice(n));
+}
+
+// ---------- Prediction ----------
+
+/**
+ * Jacobians of the odometry motion model at the pose heading 'theta':
+ * F with respect to the pose, G with respect to the reading [ds, dTheta].
+ */
+export function motionJacobians(theta, ds, dTheta) {
+    const mid = theta + dTheta / 2;
+    const c = Math.cos(mid);
+    const s = Math.sin(mid);
+    return {
+        F: [
+            [1, 0, -ds * s],
+            [0, 1, ds * c],
+            [0, 0, 1],
+        ],
+        G: [
+            [c, -ds * s / 2],
+            [s, ds * c / 2],
+            [0, 1],
+        ],
+    };
+}
+
+/**
+ * P' = F P F^T + G Q G^T, with Q the 2x2 covariance of the reading [ds, dTheta].
+ */
+export function predictCovariance(P, theta, ds, dTheta, Q) {
+    const { F, G } = motionJacobians(theta, ds, dTheta);
+    return matAdd(matMul(matMul(F, P), transpose(F)), matMul(matMul(G, Q), transpose(G)));
+}
+
+/**
+ * Prediction for the pose augmented with odometry calibration [x, y, theta, scale, bias]:
+ * the reading is corrected to ds = readDs (1 - scale), dTheta = readDTheta - bias readDs
+ * before it is integrated, so the pose also depends on the two (constant) calibration
+ * terms. 'ds' and 'dTheta' are the corrected reading, Q the covariance of the raw one.
+ */
+export function predictCovarianceCalibrated(P, theta, ds, dTheta, readDs, Q) {
+    const { F, G } = motionJacobians(theta, ds, dTheta);
+    const F5 = [
+        ...F.map((row, i) => [...row, -readDs * G[i][0], -readDs * G[i][1]]),
+        [0, 0, 0, 1, 0],
+        [0, 0, 0, 0, 1],
+    ];
+    const G5 = [...G, [0, 0], [0, 0]];
+    return matAdd(matMul(matMul(F5, P), transpose(F5)), matMul(matMul(G5, Q), transpose(G5)));
+}
+
+// ---------- Update ----------
+
+/**
+ * Kalman update of state x (array) with covariance P from a measurement whose
+ * innovation (z - h(x)) is 'y', Jacobian H and noise R. Returns { x, P }.
+ */
+export function kalmanUpdate(x, P, y, H, R) {
+    const Ht = transpose(H);
+    const S = matAdd(matMul(matMul(H, P), Ht), R);
+    const K = matMul(matMul(P, Ht), inverse(S));
+    const dx = matMul(K, y.map(v => [v]));
+    const I = identity(P.length);
+    const IKH = matAdd(I, matMul(K, H).map(row => row.map(v => -v)));
+    return {
+        x: x.map((v, i) => v + dx[i][0]),
+        // Joseph form keeps P symmetric and positive
+        P: matAdd(matMul(matMul(IKH, P), transpose(IKH)), matMul(matMul(K, R), transpose(K))),
+    };
+}
+
+// ---------- Drawing ----------
+
+/**
+ * Axes of the position uncertainty ellipse at 'sigmas' standard deviations:
+ * { rx, ry, angle } (radians), from the top-left 2x2 block of P.
+ */
+export function covarianceEllipse(P, sigmas = 1) {
+    const a = P[0][0];
+    const b = P[0][1];
+    const c = P[1][1];
+    const mean = (a + c) / 2;
+    const r = Math.sqrt(((a - c) / 2) ** 2 + b * b);
+    return {
+        rx: sigmas * Math.sqrt(Math.max(0, mean + r)),
+        ry: sigmas * Math.sqrt(Math.max(0, mean - r)),
+        angle: 0.5 * Math.atan2(2 * b, a - c),
+    };
+}
@@ -0,0 +1,61 @@
+// Binary min-heap for priority queues (the open set of graph searches). Entries with equal
+// keys come out in the order they went in, so a search stays deterministic.
+
+/**
+ * Create an empty heap. 'less(a, b)' orders keys (numbers by default; pass a comparator for
+ * compound keys such as [k1, k2]). There is no decrease-key: push the value again with its
+ * new key and skip stale entries when they are popped.
+ */
+export function createHeap(less = (a, b) => a < b) {
+    const items = [];
+    let seq = 0;
+
+    const before = (i, j) => {
+        const a = items[i], b = items[j];
+        if (less(a.key, b.key)) return true;
+        if (less(b.key, a.key)) return false;
+        return a.seq < b.seq;
+    };
+    const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+
+    return {
+        get size() { return items.length; },
+
+        push(value, key) {
+            items.push({ value, key, seq: seq++ });
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!before(i, parent)) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+
+        // The entry { value, key } with the smallest key, without removing it
+        peek() {
+            return items.length > 0 ? { value: items[0].value, key: items[0].key } : undefined;
+        },
+
+        // Remove and return the entry { value, key } with the smallest key
+        pop() {
+            if (items.length === 0) return undefined;
+            const top = items[0];
+            const lastItem = items.pop();
+            if (items.length > 0) {
+                items[0] = lastItem;
+                let i = 0;
+                for (;;) {
+                    const l = 2 * i + 1, r = l + 1;
+                    let m = i;
+                    if (l < items.length && before(l, m)) m = l;
+                    if (r < items.length && before(r, m)) m = r;
+                    if (m === i) break;
+                    swap(i, m);
+                    i = m;
+                }
+            }
+            return { value: top.value, key: top.key };
+        },
+    };
+}
@@ -0,0 +1,53 @@
+// Combined light field from several point sources.
+// light: { x, y, intensity, falloff }
+
+export const DEFAULT_FALLOFF = 110;
+
+/**
+ * Intensity at point p from one source, with inverse-square-like falloff.
+ */
+export function lightIntensity(light, p) {
+    const d = Math.hypot(light.x - p.x, light.y - p.y);
+    const r = d / (light.falloff ?? DEFAULT_FALLOFF);
+    return (light.intensity ?? 1) / (1 + r * r);
+}
+
+/**
+ * Total intensity at p (sources simply add up).
+ */
+export function fieldIntensity(lights, p) {
+    let sum = 0;
+    for (const l of lights) sum += lightIntensity(l, p);
+    return sum;
+}
+
+/**
+ * Net "light vector" at p: each source pulls along its direction, weighted by
+ * the intensity it contributes. This is what a tropism or a tracker turns toward.
+ */
+export function lightVector(lights, p) {
+    let x = 0, y = 0;
+    for (const l of lights) {
+        const dx = l.x - p.x, dy = l.y - p.y;
+        const d = Math.hypot(dx, dy) || 1e-9;
+        const I = lightIntensity(l, p);
+        x += I * dx / d;
+        y += I * dy / d;
+    }
+    return { x, y, angle: Math.atan2(y, x), magnitude: Math.hypot(x, y) };
+}
+
+/**
+ * Sample the field on a regular grid (cell centres) for heatmap overlays.
+ * Returns [{ x, y, w, h, value }] with x/y at the cell's top-left corner.
+ */
+export function sampleField(lights, width, height, cell) {
+    const cells = [];
+    for (let y = 0; y < height; y += cell) {
+        for (let x = 0; x < width; x += cell) {
+            const value = fieldIntensity(lights, { x: x + cell / 2, y: y + cell / 2 });
+            cells.push({ x, y, w: cell, h: cell, value });
+        }
+    }
+    return cells;
+}
@@ -0,0 +1,116 @@
+// Log-odds occupancy grid built from a simulated range sensor (lidar).
+// A grid is described by a spec { width, height, cell, cols, rows } and its cells are a
+// plain array of log-odds (0 = unknown, > 0 occupied, < 0 free), so it can be stored in
+// sim state and recorded like any other array. Obstacles are rects { x, y, w, h }.
+
+export const L_FREE = -0.4;   // log-odds added per sweep to each cell a beam passes through
+export const L_OCC = 0.85;    // log-odds added per sweep to each cell a beam ends in
+export const L_CLAMP = 4;     // |log-odds| cap, so the map can still change its mind
+export const OCC_THRESHOLD = 1;   // log-odds above which a cell counts as occupied
+export const FREE_THRESHOLD = -1; // log-odds below which a cell counts as free
+
+export function gridSpec(width, height, cell) {
+    return { width, height, cell, cols: Math.ceil(width / cell), rows: Math.ceil(height / cell) };
+}
+
+export function emptyCells(spec) {
+    return new Array(spec.cols * spec.rows).fill(0);
+}
+
+export function cellIndex(spec, p) {
+    const c = Math.min(spec.cols - 1, Math.max(0, Math.floor(p.x / spec.cell)));
+    const r = Math.min(spec.rows - 1, Math.max(0, Math.floor(p.y / spec.cell)));
+    return r * spec.cols + c;
+}
+
+export function occupancyProbability(l) {
+    return 1 / (1 + Math.exp(-l));
+}
+
+// Distance along a unit ray to an axis-aligned rect (slab method), or Infinity
+function rayRect(o, dx, dy, r) {
+    let t0 = 0;
+    let t1 = Infinity;
+    for (const [p, d, lo, hi] of [[o.x, dx, r.x, r.x + r.w], [o.y, dy, r.y, r.y + r.h]]) {
+        if (Math.abs(d) < 1e-12) {
+            if (p < lo || p > hi) return Infinity;
+        } else {
+            let a = (lo - p) / d;
+            let b = (hi - p) / d;
+            if (a > b) [a, b] = [b, a];
+            t0 = Math.max(t0, a);
+            t1 = Math.min(t1, b);
+            if (t0 > t1) return Infinity;
+        }
+    }
+    return t0;
+}
+
+/**
+ * Cast one beam from o at 'angle'. Returns { range, hit }: the distance to the nearest
+ * obstacle or arena wall, capped at maxRange (hit false if nothing was in range).
+ */
+export function castRay(o, angle, maxRange, obstacles, spec) {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    let range = Infinity;
+    for (const r of obstacles) range = Math.min(range, rayRect(o, dx, dy, r));
+    // The arena walls
+    if (dx > 1e-12) range = Math.min(range, (spec.width - o.x) / dx);
+    if (dx < -1e-12) range = Math.min(range, -o.x / dx);
+    if (dy > 1e-12) range = Math.min(range, (spec.height - o.y) / dy);
+    if (dy < -1e-12) range = Math.min(range, -o.y / dy);
+    return range > maxRange ? { range: maxRange, hit: false } : { range, hit: true };
+}
+
+/**
+ * One lidar sweep of 'beams' evenly spread beams from pose, fused into the cells with the
+ * inverse sensor model: cells a beam passes through get more likely free, the cell it
+ * ends in more likely occupied (once per sweep, however many beams agree). Returns
+ * { cells (a new array), endpoints } with the beam endpoints { x, y, hit } for drawing.
+ */
+export function integrateScan(spec, cells, pose, obstacles, { beams, maxRange }) {
+    const free = new Set();
+    const occupied = new Set();
+    const endpoints = [];
+    const stepLen = spec.cell / 2;
+
+    for (let i = 0; i < beams; i++) {
+        const angle = pose.theta + i / beams * 2 * Math.PI;
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        const { range, hit } = castRay(pose, angle, maxRange, obstacles, spec);
+        const end = { x: pose.x + dx * range, y: pose.y + dy * range, hit };
+        endpoints.push(end);
+
+        // Nudged half a pixel on, so the end cell is the one inside the obstacle
+        const hitCell = hit ? cellIndex(spec, { x: end.x + dx * 0.5, y: end.y + dy * 0.5 }) : -1;
+        for (let t = 0; t < range; t += stepLen) {
+            const k = cellIndex(spec, { x: pose.x + dx * t, y: pose.y + dy * t });
+            if (k !== hitCell) free.add(k);
+        }
+        if (hit) occupied.add(hitCell);
+    }
+
+    const out = cells.slice();
+    const add = (k, l) => { out[k] = Math.max(-L_CLAMP, Math.min(L_CLAMP, out[k] + l)); };
+    for (const k of occupied) add(k, L_OCC);
+    for (const k of free) if (!occupied.has(k)) add(k, L_FREE);
+    return { cells: out, endpoints };
+}
+
+/**
+ * What the map says about driving straight from a to b: 'occupied' if any cell on the way
+ * is, 'free' if every cell is known free, 'unknown' otherwise.
+ */
+export function segmentState(spec, cells, a, b) {
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    const n = Math.max(1, Math.ceil(len / (spec.cell / 2)));
+    let known = true;
+    for (let i = 0; i <= n; i++) {
+        const l = cells[cellIndex(spec, { x: a.x + (b.x - a.x) * i / n, y: a.y + (b.y - a.y) * i / n })];
+        if (l > OCC_THRESHOLD) return 'occupied';
+        if (l > FREE_THRESHOLD) known = false;
+    }
+    return known ? 'free' : 'unknown';
+}
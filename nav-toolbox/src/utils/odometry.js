@@ -0,0 +1,111 @@
+// Odometry error model: the robot integrates what its wheel encoders report, and the
+// encoders are wrong in a few typical ways. Errors are drawn per step from the true
+// motion (distance driven ds, heading change dTheta) and added to the reading:
+//   - translational noise, growing with the square root of the distance driven
+//   - rotational noise, likewise
+//   - a scale error (wheel radius off by a few percent: every distance reads long or short)
+//   - a heading bias (unequal wheels: a steady turn per distance driven)
+//   - slip events (the wheels spin: extra distance counted plus a heading jolt)
+//
+// Units are per 100 px driven so the sliders read the same on every tab.
+
+const DEG = Math.PI / 180;
+
+function wrapPi(a) {
+    while (a > Math.PI) a -= 2 * Math.PI;
+    while (a < -Math.PI) a += 2 * Math.PI;
+    return a;
+}
+
+export const ODOMETRY_PARAMS = [
+    { key: 'transNoise', label: 'Distance noise', unit: 'px/√100px', min: 0, max: 6, step: 0.1 },
+    { key: 'rotNoise', label: 'Heading noise', unit: '°/√100px', min: 0, max: 4, step: 0.1 },
+    { key: 'scaleError', label: 'Wheel scale error', unit: '%', min: -10, max: 10, step: 0.5 },
+    { key: 'headingBias', label: 'Heading bias', unit: '°/100px', min: -3, max: 3, step: 0.05 },
+    { key: 'slipRate', label: 'Slip events', unit: '/s', min: 0, max: 1, step: 0.05 },
+    { key: 'slipDistance', label: 'Slip distance', unit: 'px', min: 0, max: 40, step: 1 },
+    { key: 'slipHeading', label: 'Slip heading jolt', unit: '°', min: 0, max: 20, step: 0.5 },
+];
+
+export const ODOMETRY_PRESETS = {
+    ideal: {
+        label: 'Ideal',
+        params: { transNoise: 0, rotNoise: 0, scaleError: 0, headingBias: 0, slipRate: 0, slipDistance: 0, slipHeading: 0 },
+    },
+    good: {
+        label: 'Good encoders',
+        params: { transNoise: 0.5, rotNoise: 0.3, scaleError: 0.5, headingBias: 0.1, slipRate: 0, slipDistance: 0, slipHeading: 0 },
+    },
+    cheap: {
+        label: 'Cheap encoders',
+        params: { transNoise: 2, rotNoise: 1.5, scaleError: 3, headingBias: 1, slipRate: 0.03, slipDistance: 6, slipHeading: 3 },
+    },
+    slippery: {
+        label: 'Slippery floor',
+        params: { transNoise: 1, rotNoise: 0.6, scaleError: 1, headingBias: 0.2, slipRate: 0.35, slipDistance: 18, slipHeading: 8 },
+    },
+    uneven: {
+        label: 'Uneven wheels',
+        params: { transNoise: 0.5, rotNoise: 0.3, scaleError: 0.5, headingBias: 1.5, slipRate: 0, slipDistance: 0, slipHeading: 0 },
+    },
+};
+
+export const DEFAULT_ODOMETRY = ODOMETRY_PRESETS.cheap.params;
+
+/**
+ * Key of the preset 'params' matches exactly, or null once a slider has been moved.
+ */
+export function presetOf(params) {
+    for (const [key, preset] of Object.entries(ODOMETRY_PRESETS)) {
+        if (ODOMETRY_PARAMS.every(p => preset.params[p.key] === params[p.key])) return key;
+    }
+    return null;
+}
+
+/**
+ * Reading error for one step of true motion. Returns { ds, dTheta, slipped }: what to add
+ * to the true distance and heading change. Always draws the same numbers from rng
+ * (plus two on a slip), so runs stay replayable whatever the settings.
+ */
+export function odometryError(ds, dt, params, rng) {
+    const k = Math.abs(ds) / 100;
+    const nTrans = rng.randn();
+    const nRot = rng.randn();
+    const slipRoll = rng.next();
+
+    let dsErr = ds * params.scaleError / 100 + nTrans * params.transNoise * Math.sqrt(k);
+    let thErr = (params.headingBias * k + nRot * params.rotNoise * Math.sqrt(k)) * DEG;
+
+    const slipped = ds > 0 && slipRoll < params.slipRate * dt;
+    if (slipped) {
+        dsErr += params.slipDistance * (0.5 + rng.next());
+        thErr += rng.randn() * params.slipHeading * DEG;
+    }
+    return { ds: dsErr, dTheta: thErr, slipped };
+}
+
+/**
+ * Covariance of one reading [ds, dTheta] as a filter would assume it: the noise terms,
+ * with the scale error and heading bias folded in as extra noise of the same size
+ * (a filter cannot know which way they point) and slips spread over time.
+ */
+export function odometryNoise(ds, dt, params) {
+    const k = Math.abs(ds) / 100;
+    const slip = ds > 0 ? params.slipRate * dt : 0;
+    return [
+        [(params.transNoise ** 2 + params.scaleError ** 2) * k + slip * params.slipDistance ** 2, 0],
+        [0, ((params.rotNoise ** 2 + params.headingBias ** 2) * k + slip * params.slipHeading ** 2) * DEG * DEG],
+    ];
+}
+
+/**
+ * Dead-reckon a pose { x, y, theta } by a distance and heading change (midpoint heading).
+ */
+export function integrate(pose, ds, dTheta) {
+    const mid = pose.theta + dTheta / 2;
+    return {
+        x: pose.x + Math.cos(mid) * ds,
+        y: pose.y + Math.sin(mid) * ds,
+        theta: wrapPi(pose.theta + dTheta),
+    };
+}
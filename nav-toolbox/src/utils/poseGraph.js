@@ -0,0 +1,151 @@
+// Pose-graph optimisation for planar poses { x, y, theta } (least squares, Gauss-Newton).
+// An edge { from, to, z, info } says: seen from pose 'from', pose 'to' is at the relative
+// pose z, with 'info' the 3x3 information matrix (inverse covariance) of that measurement.
+// The graph is small (tens of poses), so the normal equations are built dense and solved
+// directly.
+
+function wrapPi(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+/**
+ * Pose b expressed in the frame of pose a.
+ */
+export function relativePose(a, b) {
+    const c = Math.cos(a.theta);
+    const s = Math.sin(a.theta);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return { x: c * dx + s * dy, y: -s * dx + c * dy, theta: wrapPi(b.theta - a.theta) };
+}
+
+/**
+ * The pose reached by moving by d (in the frame of a) from a; inverse of relativePose.
+ */
+export function composePose(a, d) {
+    const c = Math.cos(a.theta);
+    const s = Math.sin(a.theta);
+    return { x: a.x + c * d.x - s * d.y, y: a.y + s * d.x + c * d.y, theta: wrapPi(a.theta + d.theta) };
+}
+
+/**
+ * Residual [ex, ey, etheta] of one edge, and its Jacobians A (wrt pose i) and B (wrt pose j).
+ */
+export function edgeResidual(xi, xj, z) {
+    const c = Math.cos(xi.theta);
+    const s = Math.sin(xi.theta);
+    const dx = xj.x - xi.x;
+    const dy = xj.y - xi.y;
+    const r = relativePose(xi, xj);
+    return {
+        e: [r.x - z.x, r.y - z.y, wrapPi(r.theta - z.theta)],
+        A: [
+            [-c, -s, -s * dx + c * dy],
+            [s, -c, -c * dx - s * dy],
+            [0, 0, -1],
+        ],
+        B: [
+            [c, s, 0],
+            [-s, c, 0],
+            [0, 0, 1],
+        ],
+    };
+}
+
+function quadForm(e, W) {
+    let sum = 0;
+    for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) sum += e[i] * W[i][j] * e[j];
+    return sum;
+}
+
+/**
+ * Total weighted squared error (chi²) of the graph.
+ */
+export function graphError(poses, edges) {
+    return edges.reduce((sum, ed) => sum + quadForm(edgeResidual(poses[ed.from], poses[ed.to], ed.z).e, ed.info), 0);
+}
+
+// Solve A x = b in place by Gaussian elimination with partial pivoting
+function solve(A, b) {
+    const n = b.length;
+    for (let c = 0; c < n; c++) {
+        let p = c;
+        for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+        if (Math.abs(A[p][c]) < 1e-12) throw new Error('Singular pose graph (is every pose connected?)');
+        [A[c], A[p]] = [A[p], A[c]];
+        [b[c], b[p]] = [b[p], b[c]];
+        for (let r = c + 1; r < n; r++) {
+            const f = A[r][c] / A[c][c];
+            if (f === 0) continue;
+            for (let k = c; k < n; k++) A[r][k] -= f * A[c][k];
+            b[r] -= f * b[c];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = b[r];
+        for (let k = r + 1; k < n; k++) sum -= A[r][k] * x[k];
+        x[r] = sum / A[r][r];
+    }
+    return x;
+}
+
+/**
+ * One Gauss-Newton iteration: linearise every edge, solve H dx = -b with pose 'anchor'
+ * held fixed (the graph only fixes poses relative to each other), and apply dx.
+ * Returns { poses, step } with step the largest change of any coordinate.
+ */
+export function gaussNewtonStep(poses, edges, anchor = 0) {
+    const n = poses.length * 3;
+    const H = Array.from({ length: n }, () => new Array(n).fill(0));
+    const b = new Array(n).fill(0);
+
+    for (const ed of edges) {
+        const { e, A, B } = edgeResidual(poses[ed.from], poses[ed.to], ed.z);
+        const blocks = [[ed.from * 3, A], [ed.to * 3, B]];
+        for (const [ri, Ji] of blocks) {
+            // Ji^T W
+            const JtW = [0, 1, 2].map(a => [0, 1, 2].map(k => Ji[0][a] * ed.info[0][k] + Ji[1][a] * ed.info[1][k] + Ji[2][a] * ed.info[2][k]));
+            for (let a = 0; a < 3; a++) {
+                b[ri + a] += JtW[a][0] * e[0] + JtW[a][1] * e[1] + JtW[a][2] * e[2];
+                for (const [rj, Jj] of blocks) {
+                    for (let c = 0; c < 3; c++) {
+                        H[ri + a][rj + c] += JtW[a][0] * Jj[0][c] + JtW[a][1] * Jj[1][c] + JtW[a][2] * Jj[2][c];
+                    }
+                }
+            }
+        }
+    }
+
+    // Hold the anchor: its rows become dx = 0
+    for (let a = 0; a < 3; a++) {
+        const r = anchor * 3 + a;
+        H[r].fill(0);
+        for (let k = 0; k < n; k++) H[k][r] = 0;
+        H[r][r] = 1;
+        b[r] = 0;
+    }
+
+    const dx = solve(H, b.map(v => -v));
+    let step = 0;
+    const next = poses.map((p, i) => {
+        step = Math.max(step, Math.abs(dx[i * 3]), Math.abs(dx[i * 3 + 1]), Math.abs(dx[i * 3 + 2]));
+        return { x: p.x + dx[i * 3], y: p.y + dx[i * 3 + 1], theta: wrapPi(p.theta + dx[i * 3 + 2]) };
+    });
+    return { poses: next, step };
+}
+
+/**
+ * Iterate Gauss-Newton until the step is below 'tolerance' or after maxIterations.
+ * Returns { poses, errors } with the chi² before each iteration and after the last.
+ */
+export function optimizePoseGraph(poses, edges, { anchor = 0, maxIterations = 10, tolerance = 1e-4 } = {}) {
+    const errors = [graphError(poses, edges)];
+    for (let i = 0; i < maxIterations; i++) {
+        const it = gaussNewtonStep(poses, edges, anchor);
+        poses = it.poses;
+        errors.push(graphError(poses, edges));
+        if (it.step < tolerance) break;
+    }
+    return { poses, errors };
+}
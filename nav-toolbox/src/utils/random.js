@@ -0,0 +1,63 @@
+// Seedable PRNG (mulberry32) shared by all simulations, so any run can be replayed from its seed.
+
+/**
+ * Create a generator. The whole internal state is the 32-bit 'state' field,
+ * so getState/setState are enough to snapshot and restore a stream.
+ */
+export function createRng(seed) {
+    const rng = {
+        seed: seed >>> 0,
+        state: seed >>> 0,
+
+        // Uniform in [0, 1)
+        next() {
+            rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+            let t = rng.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+
+        uniform(lo, hi) {
+            return lo + (hi - lo) * rng.next();
+        },
+
+        // Standard normal (Box–Muller)
+        randn() {
+            let u = 0, v = 0;
+            while (u === 0) u = rng.next();
+            while (v === 0) v = rng.next();
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        },
+
+        getState() {
+            return rng.state;
+        },
+
+        setState(s) {
+            rng.state = s >>> 0;
+        },
+    };
+    return rng;
+}
+
+/**
+ * Fresh seed for a new session (the only place Math.random is used).
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 1e9);
+}
+
+/**
+ * Parse a typed seed: integers are used as-is, any other text is hashed (FNV-1a).
+ */
+export function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+    let h = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        h ^= trimmed.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
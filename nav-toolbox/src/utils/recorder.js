@@ -0,0 +1,186 @@
+// Run recorder: a ring buffer of per-tick snapshots, plus a compact JSON format.
+// A frame is { t, sim, rng }: t in seconds since the recording started, the tab's
+// immutable sim state, and the rng state needed to resume from it (or null).
+
+export const RUN_FORMAT = 'nav-toolbox-run';
+export const RUN_VERSION = 2;
+
+export const DEFAULT_CAPACITY = 60 * 60; // one minute at the fixed 60 Hz step
+
+export function createRecorder(capacity = DEFAULT_CAPACITY) {
+    const buf = new Array(capacity);
+    let start = 0;
+    let size = 0;
+
+    const rec = {
+        capacity,
+        size: () => size,
+
+        push(frame) {
+            buf[(start + size) % capacity] = frame;
+            if (size < capacity) size++;
+            else start = (start + 1) % capacity; // overwrite the oldest
+        },
+
+        // i = 0 is the oldest frame still held
+        get(i) {
+            if (i < 0 || i >= size) return null;
+            return buf[(start + i) % capacity];
+        },
+
+        last() {
+            return rec.get(size - 1);
+        },
+
+        // Keep frames [0, n) and drop the rest (resuming live from a past frame)
+        truncate(n) {
+            for (let i = Math.max(0, n); i < size; i++) buf[(start + i) % capacity] = undefined;
+            size = Math.max(0, Math.min(size, n));
+        },
+
+        clear() {
+            buf.fill(undefined);
+            start = 0;
+            size = 0;
+        },
+
+        frames() {
+            const out = [];
+            for (let i = 0; i < size; i++) out.push(rec.get(i));
+            return out;
+        },
+
+        // Replace the contents (keeps the newest frames if there are too many)
+        load(frames) {
+            rec.clear();
+            frames.slice(-capacity).forEach(f => rec.push(f));
+        },
+    };
+    return rec;
+}
+
+// ---------- Packing ----------
+// Most of the sim state is the same object from one frame to the next (the maze, the
+// planner), and long arrays (trails) mostly grow by one element per sample and drop one
+// from the front once full. So each frame's state is stored as a delta against the
+// previous frame's: { $same: true } if it is unchanged, { $drop, $add } for an array, and
+// { $patch: { field: delta } } for an object, listing only the fields that changed. Runs
+// of format v1 hold only the first two, on the top-level fields of each state.
+
+function sameItems(a, b, offset) {
+    for (let i = 0; i < a.length - offset && i < b.length; i++) {
+        if (a[i + offset] !== b[i]) return false;
+    }
+    return true;
+}
+
+function packArray(prev, cur) {
+    if (!Array.isArray(prev)) return cur;
+    if (prev === cur) return { $same: true };
+
+    // Find how many items were dropped from the front; the rest must be a prefix of cur
+    for (let drop = 0; drop <= prev.length; drop++) {
+        const kept = prev.length - drop;
+        if (kept <= cur.length && sameItems(prev, cur, drop)) {
+            return { $drop: drop, $add: cur.slice(kept) };
+        }
+    }
+    return cur;
+}
+
+function unpackArray(prev, packed) {
+    if (Array.isArray(packed)) return packed;
+    if (packed.$same) return prev;
+    return prev.slice(packed.$drop).concat(packed.$add);
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isDelta = (v) => isObject(v) && ('$same' in v || '$drop' in v || '$patch' in v);
+
+function packValue(prev, cur) {
+    if (Array.isArray(cur)) return packArray(prev, cur);
+    if (!isObject(cur) || !isObject(prev)) return cur;
+    if (prev === cur) return { $same: true };
+    // A patch cannot remove fields
+    if (Object.keys(prev).some(k => !(k in cur))) return cur;
+
+    // Patch only if some field is saved: a small object that changed throughout (a pose)
+    // is smaller as it is
+    const fields = {};
+    let saved = false;
+    for (const [k, v] of Object.entries(cur)) {
+        if (k in prev && prev[k] === v) {
+            saved = true;
+            continue;
+        }
+        fields[k] = packValue(prev[k], v);
+        saved = saved || fields[k] !== v;
+    }
+    return saved ? { $patch: fields } : cur;
+}
+
+function unpackValue(prev, packed) {
+    if (!isDelta(packed)) return packed;
+    if ('$patch' in packed) {
+        const out = { ...prev };
+        for (const [k, v] of Object.entries(packed.$patch)) out[k] = unpackValue(prev[k], v);
+        return out;
+    }
+    return unpackArray(prev, packed);
+}
+
+export function packFrames(frames) {
+    let prevSim = null;
+    return frames.map(f => {
+        const sim = prevSim ? packValue(prevSim, f.sim) : f.sim;
+        prevSim = f.sim;
+        return { t: f.t, sim, rng: f.rng };
+    });
+}
+
+export function unpackFrames(packed) {
+    let prevSim = null;
+    return packed.map(f => {
+        let sim = f.sim;
+        if (isDelta(sim)) {
+            sim = unpackValue(prevSim, sim);
+        } else if (prevSim) {
+            // A whole state (or a v1 one, with deltas in its top-level fields)
+            sim = { ...sim };
+            for (const k of Object.keys(sim)) sim[k] = unpackValue(prevSim[k], sim[k]);
+        }
+        prevSim = sim;
+        return { t: f.t, sim, rng: f.rng };
+    });
+}
+
+// ---------- JSON ----------
+
+export function serializeRun({ tab, seed = null, frames }) {
+    return JSON.stringify({
+        format: RUN_FORMAT,
+        version: RUN_VERSION,
+        tab,
+        seed,
+        frames: packFrames(frames),
+    });
+}
+
+/**
+ * Parse an exported run. Throws an Error with a readable message if the file is
+ * not a run, is from a newer version, or belongs to another tab.
+ */
+export function parseRun(text, tab) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Not a JSON file');
+    }
+    if (!data || data.format !== RUN_FORMAT) throw new Error('Not a recorded run');
+    if (data.version > RUN_VERSION) throw new Error(`Run format v${data.version} is newer than this app`);
+    if (tab && data.tab !== tab) throw new Error(`This run was recorded on the ${data.tab} tab`);
+    if (!Array.isArray(data.frames) || data.frames.length === 0) throw new Error('The run has no frames');
+
+    return { tab: data.tab, seed: data.seed, frames: unpackFrames(data.frames) };
+}
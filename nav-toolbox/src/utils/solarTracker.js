@@ -0,0 +1,55 @@
+// Single-axis solar tracker: a proportional controller on a rate-limited actuator.
+// Power is what the panel actually collects given where it points.
+
+import { lightIntensity, lightVector } from './lightField.js';
+
+export const TRACKER = {
+    kp: 3.0,        // 1/s, proportional gain on the alignment error
+    maxRate: 1.2,   // rad/s, actuator slew limit
+    ratedPower: 100, // W at irradiance 1.0, perfectly aligned
+};
+
+function wrapPi(a) {
+    while (a > Math.PI) a -= 2 * Math.PI;
+    while (a < -Math.PI) a += 2 * Math.PI;
+    return a;
+}
+
+/**
+ * Power collected by a panel whose normal points along 'angle':
+ * sum over sources of irradiance * cos(alignment error), back side collects nothing.
+ */
+export function panelPower(lights, pos, angle, params = TRACKER) {
+    let sum = 0;
+    for (const l of lights) {
+        const toLight = Math.atan2(l.y - pos.y, l.x - pos.x);
+        const cosErr = Math.cos(wrapPi(toLight - angle));
+        if (cosErr > 0) sum += lightIntensity(l, pos) * cosErr;
+    }
+    return sum * params.ratedPower;
+}
+
+/**
+ * Advance a panel one step (dt in seconds).
+ * panel: { angle, harvested }; tracking=false keeps the panel fixed.
+ */
+export function stepPanel(panel, lights, pos, dt, tracking = true, params = TRACKER) {
+    let angle = panel.angle;
+    let error = 0;
+
+    if (tracking) {
+        // The controller aims at the net light vector (what a differential light sensor would null)
+        const v = lightVector(lights, pos);
+        if (v.magnitude > 1e-6) error = wrapPi(v.angle - angle);
+        const rate = Math.max(-params.maxRate, Math.min(params.maxRate, params.kp * error));
+        angle = wrapPi(angle + rate * dt);
+    }
+
+    const power = panelPower(lights, pos, angle, params);
+    return {
+        angle,
+        error,
+        power,
+        harvested: panel.harvested + power * dt, // J
+    };
+}
@@ -0,0 +1,45 @@
+// Summary statistics for batches of trial results (plain arrays of numbers).
+
+/**
+ * p-th percentile (0..100) by linear interpolation between order statistics.
+ */
+export function percentile(values, p) {
+    if (values.length === 0) return NaN;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * p / 100;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * { n, mean, sd, min, p10, p50, p90, max }; NaN fields for an empty list.
+ */
+export function summarize(values) {
+    const n = values.length;
+    const mean = n ? values.reduce((a, b) => a + b, 0) / n : NaN;
+    const sd = n > 1 ? Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1)) : 0;
+    return {
+        n,
+        mean,
+        sd,
+        min: n ? Math.min(...values) : NaN,
+        p10: percentile(values, 10),
+        p50: percentile(values, 50),
+        p90: percentile(values, 90),
+        max: n ? Math.max(...values) : NaN,
+    };
+}
+
+/**
+ * Counts of 'values' in 'bins' equal bins over [lo, hi]; values outside go to the end bins.
+ * Returns { lo, hi, width, counts }.
+ */
+export function histogram(values, bins, lo, hi) {
+    const width = (hi - lo) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    for (const v of values) {
+        counts[Math.max(0, Math.min(bins - 1, Math.floor((v - lo) / width)))] += 1;
+    }
+    return { lo, hi, width, counts };
+}
@@ -0,0 +1,224 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findPath, searchTrace, pathCost as pathCostOf, ALGORITHMS } from '../src/utils/astar.js';
+import { createRng } from '../src/utils/random.js';
+import { GRAPH_NODES } from '../src/sim/level3.js';
+
+const edgeLen = (nodes, a, b) => Math.hypot(nodes[a].x - nodes[b].x, nodes[a].y - nodes[b].y);
+
+function pathCost(nodes, path) {
+    let cost = 0;
+    for (let i = 1; i < path.length; i++) {
+        assert.ok(nodes[path[i - 1]].neighbors.includes(path[i]), `no edge ${path[i - 1]} -> ${path[i]}`);
+        cost += edgeLen(nodes, path[i - 1], path[i]);
+    }
+    return cost;
+}
+
+// Reference: plain O(n^2) Dijkstra over the same directed, Euclidean-weighted graph
+function dijkstra(nodes, start, goal) {
+    const dist = {};
+    const done = new Set();
+    Object.keys(nodes).forEach(id => { dist[id] = Infinity; });
+    dist[start] = 0;
+
+    for (;;) {
+        let u = null;
+        for (const id of Object.keys(nodes)) {
+            if (!done.has(id) && (u === null || dist[id] < dist[u])) u = id;
+        }
+        if (u === null || dist[u] === Infinity) break;
+        done.add(u);
+        for (const v of nodes[u].neighbors) {
+            const d = dist[u] + edgeLen(nodes, u, v);
+            if (d < dist[v]) dist[v] = d;
+        }
+    }
+    return dist[goal];
+}
+
+// Random directed graph: n points in a 400x300 box, each with 0..maxDeg outgoing edges
+function randomGraph(rng, n, maxDeg) {
+    const nodes = {};
+    for (let i = 0; i < n; i++) {
+        nodes[`v${i}`] = { x: rng.uniform(0, 400), y: rng.uniform(0, 300), neighbors: [] };
+    }
+    for (let i = 0; i < n; i++) {
+        const deg = Math.floor(rng.next() * (maxDeg + 1));
+        for (let k = 0; k < deg; k++) {
+            const j = Math.floor(rng.next() * n);
+            const id = `v${j}`;
+            if (j !== i && !nodes[`v${i}`].neighbors.includes(id)) nodes[`v${i}`].neighbors.push(id);
+        }
+    }
+    return nodes;
+}
+
+test('start equal to goal returns a single-node path', () => {
+    assert.deepEqual(findPath(GRAPH_NODES, 'center', 'center'), { path: ['center'], cost: 0, expanded: 1 });
+});
+
+test('disconnected goal returns null', () => {
+    const nodes = {
+        a: { x: 0, y: 0, neighbors: ['b'] },
+        b: { x: 10, y: 0, neighbors: ['a'] },
+        c: { x: 20, y: 0, neighbors: [] },
+    };
+    assert.deepEqual(findPath(nodes, 'a', 'c'), { path: null, cost: Infinity, expanded: 2 });
+    assert.equal(findPath(nodes, 'c', 'a').path, null);
+});
+
+test('one-directional edges are respected (GRAPH_NODES: center -> n5 only)', () => {
+    assert.ok(GRAPH_NODES.center.neighbors.includes('n5'));
+    assert.ok(!GRAPH_NODES.n5.neighbors.includes('center'));
+
+    const there = findPath(GRAPH_NODES, 'center', 'goal_A').path;
+    assert.deepEqual(there, ['center', 'n5', 'goal_A']);
+
+    // Coming back cannot use n5 -> center, so it must go round through n3
+    const back = findPath(GRAPH_NODES, 'goal_A', 'center').path;
+    assert.deepEqual(back, ['goal_A', 'n5', 'n3', 'center']);
+});
+
+test('Level3 demo plans match the shortest paths', () => {
+    for (const goal of ['goal_A', 'goal_B']) {
+        const { path, cost } = findPath(GRAPH_NODES, 'start', goal);
+        assert.equal(path[0], 'start');
+        assert.equal(path[path.length - 1], goal);
+        assert.ok(Math.abs(pathCost(GRAPH_NODES, path) - dijkstra(GRAPH_NODES, 'start', goal)) < 1e-9);
+        assert.ok(Math.abs(cost - pathCost(GRAPH_NODES, path)) < 1e-9);
+    }
+});
+
+test('findPath matches brute-force Dijkstra on random directed graphs', () => {
+    const rng = createRng(1234);
+    for (let trial = 0; trial < 200; trial++) {
+        const n = 2 + Math.floor(rng.next() * 30);
+        const nodes = randomGraph(rng, n, 4);
+        const start = `v${Math.floor(rng.next() * n)}`;
+        const goal = `v${Math.floor(rng.next() * n)}`;
+
+        const expected = dijkstra(nodes, start, goal);
+        const { path, cost } = findPath(nodes, start, goal);
+
+        if (expected === Infinity) {
+            assert.equal(path, null, `trial ${trial}: expected no path`);
+        } else {
+            assert.ok(path, `trial ${trial}: expected a path`);
+            assert.equal(path[0], start);
+            assert.equal(path[path.length - 1], goal);
+            assert.ok(Math.abs(pathCost(nodes, path) - expected) < 1e-6, `trial ${trial}: not shortest`);
+            assert.ok(Math.abs(cost - expected) < 1e-6, `trial ${trial}: wrong cost reported`);
+        }
+    }
+});
+
+// Fewest edges from start to goal, by plain breadth-first search
+function hopCount(nodes, start, goal) {
+    const depth = { [start]: 0 };
+    const queue = [start];
+    while (queue.length > 0) {
+        const u = queue.shift();
+        for (const v of nodes[u].neighbors) {
+            if (!(v in depth)) { depth[v] = depth[u] + 1; queue.push(v); }
+        }
+    }
+    return depth[goal] ?? Infinity;
+}
+
+test('searchTrace records one expansion per closed node and ends on the goal', () => {
+    const { path, trace } = searchTrace(GRAPH_NODES, 'start', 'goal_B');
+    assert.deepEqual(path, findPath(GRAPH_NODES, 'start', 'goal_B').path);
+    assert.equal(trace[0].current, 'start');
+    assert.equal(trace.at(-1).current, 'goal_B');
+    trace.forEach((s, i) => {
+        // The goal is expanded but not closed; every other expansion closes one node
+        assert.equal(s.closed.length, i === trace.length - 1 ? i : i + 1);
+        assert.ok(!s.open.some(id => s.closed.includes(id)));
+        for (const [id, pid] of Object.entries(s.parent)) assert.ok(GRAPH_NODES[pid].neighbors.includes(id));
+    });
+});
+
+test('each algorithm finds a path when there is one, and the right kind of path', () => {
+    const rng = createRng(99);
+    for (let trial = 0; trial < 100; trial++) {
+        const n = 2 + Math.floor(rng.next() * 25);
+        const nodes = randomGraph(rng, n, 4);
+        const start = `v${Math.floor(rng.next() * n)}`;
+        const goal = `v${Math.floor(rng.next() * n)}`;
+        const best = dijkstra(nodes, start, goal);
+
+        for (const algorithm of Object.keys(ALGORITHMS)) {
+            const { path, trace } = searchTrace(nodes, start, goal, { algorithm });
+            if (best === Infinity) {
+                assert.equal(path, null);
+                assert.equal(trace.at(-1).open.length, 0);
+                continue;
+            }
+            assert.ok(path, `trial ${trial}: ${algorithm} found no path`);
+            if (algorithm === 'dijkstra' || algorithm === 'astar') assert.ok(Math.abs(pathCost(nodes, path) - best) < 1e-6);
+            if (algorithm === 'bfs') assert.equal(path.length - 1, hopCount(nodes, start, goal));
+        }
+
+        // Weighted A* may miss the shortest path, but by no more than its weight
+        if (best !== Infinity) {
+            const { path } = findPath(nodes, start, goal, { weight: 2 });
+            assert.ok(pathCost(nodes, path) <= 2 * best + 1e-6);
+        }
+    }
+});
+
+test('on the demo maze A* expands fewer nodes than Dijkstra, and a zero heuristic makes them equal', () => {
+    const expanded = (opts) => searchTrace(GRAPH_NODES, 'start', 'goal_B', opts).trace.length;
+    assert.ok(expanded({ algorithm: 'astar' }) < expanded({ algorithm: 'dijkstra' }));
+    assert.equal(expanded({ algorithm: 'astar', heuristic: 'zero' }), expanded({ algorithm: 'dijkstra' }));
+});
+
+test('explicit edge costs are used per direction, and Infinity closes an edge', () => {
+    const nodes = {
+        a: { x: 0, y: 0, neighbors: ['b', 'c'], costs: { b: 50 } },
+        b: { x: 10, y: 0, neighbors: ['a', 'd'] },
+        c: { x: 0, y: 20, neighbors: ['a', 'd'] },
+        d: { x: 10, y: 20, neighbors: ['b', 'c'], costs: { c: Infinity } },
+    };
+    // a -> b is dear one way only
+    assert.deepEqual(findPath(nodes, 'a', 'd').path, ['a', 'c', 'd']);
+    assert.deepEqual(findPath(nodes, 'b', 'a'), { path: ['b', 'a'], cost: 10, expanded: 2 });
+    // d -> c is closed, so back from d goes round through b
+    const back = findPath(nodes, 'd', 'c', { algorithm: 'dijkstra' });
+    assert.deepEqual(back.path, ['d', 'b', 'a', 'c']);
+    assert.equal(back.cost, 50);
+    assert.equal(pathCostOf(nodes, back.path), 50);
+});
+
+test('expanded matches the length of the search trace', () => {
+    for (const algorithm of Object.keys(ALGORITHMS)) {
+        const { expanded, trace } = searchTrace(GRAPH_NODES, 'start', 'goal_B', { algorithm });
+        assert.equal(expanded, trace.length);
+    }
+});
+
+test('a 100k-node grid with a long wall is planned without exploring all of it', () => {
+    const N = 317;
+    const id = (r, c) => `${r},${c}`;
+    const nodes = {};
+    for (let r = 0; r < N; r++) {
+        for (let c = 0; c < N; c++) {
+            // A wall down column 150, open only in its last 5 rows
+            const nb = [[r, c - 1], [r, c + 1], [r - 1, c], [r + 1, c]]
+                .filter(([rr, cc]) => rr >= 0 && cc >= 0 && rr < N && cc < N && (cc !== 150 || rr >= N - 5) && (c !== 150 || r >= N - 5));
+            nodes[id(r, c)] = { x: c * 10, y: r * 10, neighbors: nb.map(([rr, cc]) => id(rr, cc)) };
+        }
+    }
+
+    const { path, cost, expanded } = findPath(nodes, id(0, 0), id(N - 1, N - 1));
+
+    assert.equal(cost, 2 * (N - 1) * 10);
+    assert.equal(path.length, 2 * (N - 1) + 1);
+    // The heuristic keeps A* out of the far corners that Dijkstra has to sweep
+    const dijkstra = findPath(nodes, id(0, 0), id(N - 1, N - 1), { algorithm: 'dijkstra' });
+    assert.equal(dijkstra.cost, cost);
+    assert.ok(expanded < N * N / 2, `expanded ${expanded}`);
+    assert.ok(expanded < dijkstra.expanded * 0.85, `A* ${expanded} vs Dijkstra ${dijkstra.expanded}`);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRng } from '../src/utils/random.js';
+import { ODOMETRY_PRESETS } from '../src/utils/odometry.js';
+import {
+    createState, step, currentStep, trueCalibration, setCalibrationLearning, forgetCalibration,
+} from '../src/sim/level2.js';
+
+const DT = 1 / 60;
+
+// Run the demo until 'loops' landmark runs have ended, recording the calibration at each
+function runLoops(loops, seed = 42) {
+    const rng = createRng(seed);
+    let s = createState(rng, undefined, ODOMETRY_PRESETS.cheap.params);
+    const atLmHold = [];
+    let prevId = currentStep(s).id;
+    while (atLmHold.length < loops) {
+        s = step(s, DT, rng);
+        const id = currentStep(s).id;
+        if (id === 'LM_HOLD' && prevId !== id) atLmHold.push({ ...s.calib, history: s.calibHistory });
+        prevId = id;
+    }
+    return { state: s, atLmHold };
+}
+
+test('landmark fixes learn the wheel scale and heading bias over repeated loops', () => {
+    const { atLmHold } = runLoops(3);
+    const truth = trueCalibration(ODOMETRY_PRESETS.cheap.params);
+    const [first, , last] = atLmHold;
+
+    // The estimate ends within 1σ-ish of the truth, and the uncertainty keeps shrinking
+    assert.ok(Math.abs(last.scale - truth.scale) < 2 * Math.sqrt(last.P[0][0]), `scale ${last.scale}`);
+    assert.ok(Math.abs(last.bias - truth.bias) < 2 * Math.sqrt(last.P[1][1]), `bias ${last.bias}`);
+    assert.ok(Math.abs(last.scale - truth.scale) < truth.scale / 2);
+    assert.ok(Math.abs(last.bias - truth.bias) < truth.bias / 2);
+    assert.ok(last.P[0][0] < first.P[0][0] && last.P[1][1] < first.P[1][1]);
+
+    // The chart has one point per second at most, in order
+    const t = last.history.map(h => h.t);
+    assert.ok(t.length > 10);
+    t.slice(1).forEach((v, i) => assert.ok(Math.floor(v) > Math.floor(t[i])));
+});
+
+test('without learning the belief is the plain 3-state one; forgetting resets the estimate', () => {
+    const { state } = runLoops(1);
+    assert.equal(state.odoCov.length, 5);
+    assert.notEqual(state.calib.scale, 0);
+
+    const off = setCalibrationLearning(state, false);
+    assert.equal(off.odoCov.length, 3);
+    assert.equal(off.calib.scale, state.calib.scale);
+
+    const on = setCalibrationLearning(off, true);
+    assert.equal(on.odoCov.length, 5);
+    assert.deepEqual(on.odoCov[3].slice(3), state.calib.P[0]);
+
+    const forgot = forgetCalibration(state);
+    assert.equal(forgot.calib.scale, 0);
+    assert.equal(forgot.calib.bias, 0);
+    assert.equal(forgot.calibHistory.length, 0);
+    assert.ok(forgot.calib.learning);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FIXED_DT, MAX_FRAME_DT, MAX_STEPS_PER_FRAME, consumeFrame } from '../src/utils/clock.js';
+
+// Feed 'seconds' of frames at 'hz' and count the fixed steps produced
+function stepsFor(seconds, hz, speed = 1) {
+    let acc = 0;
+    let total = 0;
+    for (let i = 0; i < Math.round(seconds * hz); i++) {
+        const r = consumeFrame(acc, 1 / hz, speed);
+        acc = r.accumulator;
+        total += r.steps;
+    }
+    return total;
+}
+
+test('the same wall time gives the same number of steps at 60 Hz and 144 Hz', () => {
+    assert.equal(stepsFor(10, 60), 600);
+    assert.ok(Math.abs(stepsFor(10, 144) - 600) <= 1);
+    assert.ok(Math.abs(stepsFor(10, 30) - 600) <= 1);
+});
+
+test('speed scales simulated time', () => {
+    assert.ok(Math.abs(stepsFor(4, 60, 0.25) - 60) <= 1);
+    assert.ok(Math.abs(stepsFor(4, 60, 4) - 960) <= 1);
+});
+
+test('fractional steps carry over in the accumulator', () => {
+    const a = consumeFrame(0, FIXED_DT * 0.6);
+    assert.equal(a.steps, 0);
+    const b = consumeFrame(a.accumulator, FIXED_DT * 0.6);
+    assert.equal(b.steps, 1);
+    assert.ok(Math.abs(b.accumulator - FIXED_DT * 0.2) < 1e-12);
+});
+
+test('long gaps are capped instead of replayed', () => {
+    const r = consumeFrame(0, 5);
+    assert.equal(r.steps, Math.floor(MAX_FRAME_DT / FIXED_DT + 1e-9));
+
+    const fast = consumeFrame(0, MAX_FRAME_DT, 4);
+    assert.equal(fast.steps, MAX_STEPS_PER_FRAME);
+    assert.equal(fast.accumulator, 0);
+});
+
+test('negative frame times produce no steps', () => {
+    assert.deepEqual(consumeFrame(0, -1), { steps: 0, accumulator: 0 });
+});
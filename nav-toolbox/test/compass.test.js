@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAGNETIC_ZONES, compassDeflection, observeCompass } from '../src/sim/level2.js';
+
+const cov = (pos, heading) => [[pos, 0, 0], [0, pos, 0], [0, 0, heading]];
+
+test('compassDeflection: full at a zone centre, none outside', () => {
+    const [zone] = MAGNETIC_ZONES;
+    assert.equal(compassDeflection(zone), zone.deflection);
+    assert.equal(compassDeflection({ x: zone.x + zone.r + 1, y: zone.y }), 0);
+    const half = compassDeflection({ x: zone.x + zone.r / 2, y: zone.y });
+    assert.ok(Math.abs(half) < Math.abs(zone.deflection) && Math.sign(half) === Math.sign(zone.deflection));
+});
+
+test('a compass reading corrects the heading, not the position', () => {
+    const odo = { x: 50, y: -20, theta: 0.3 };
+    const post = observeCompass(odo, cov(100, 0.05), 0);
+
+    assert.ok(Math.abs(post.odo.theta) < 0.05);
+    assert.ok(post.odoCov[2][2] < 0.05 / 10);
+    // No correlation between position and heading: the position is left alone
+    assert.equal(post.odo.x, odo.x);
+    assert.equal(post.odo.y, odo.y);
+    assert.ok(Math.abs(post.odoCov[0][0] - 100) < 1e-9);
+});
+
+test('a compass reading across the ±π seam takes the short way round', () => {
+    const post = observeCompass({ x: 0, y: 0, theta: Math.PI - 0.05 }, cov(1, 0.05), -Math.PI + 0.05);
+    assert.ok(Math.abs(Math.abs(post.odo.theta) - Math.PI) < 0.05);
+});
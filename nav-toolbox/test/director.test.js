@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadScript, enterStep, advanceScript, currentStep, chapterOf } from '../src/sim/director.js';
+import * as level2 from '../src/sim/level2.js';
+import * as level3 from '../src/sim/level3.js';
+import * as bidir from '../src/sim/bidirectionality.js';
+
+const DT = 1 / 60;
+
+// A counter "sim": actions bump it, the condition compares against it
+const VOCAB = {
+    actions: {
+        add: (s, [n]) => ({ ...s, n: s.n + n }),
+    },
+    conditions: {
+        atLeast: (s, [n]) => s.n >= n,
+    },
+};
+
+function runFor(sim, script, seconds) {
+    let s = sim;
+    for (let i = 0; i < Math.round(seconds / DT); i++) s = advanceScript(s, script, VOCAB, DT, null);
+    return s;
+}
+
+test('loadScript lists every problem in one error', () => {
+    const bad = {
+        id: 'bad',
+        steps: [
+            { id: 'A', actions: [['fly']] },
+            { id: 'A', until: ['never'], next: 'Z', duration: -1 },
+        ],
+    };
+    assert.throws(() => loadScript(bad, VOCAB), (e) => {
+        assert.match(e.message, /unknown action \["fly"\]/);
+        assert.match(e.message, /duplicate id/);
+        assert.match(e.message, /unknown condition \["never"\]/);
+        assert.match(e.message, /'next' names no step/);
+        assert.match(e.message, /'duration' must be a number/);
+        return true;
+    });
+    assert.throws(() => loadScript({ id: 'empty', steps: [] }, VOCAB), /non-empty array/);
+});
+
+test('duration steps advance in order and run their actions on entry', () => {
+    const script = loadScript({
+        id: 't',
+        steps: [
+            { id: 'A', duration: 1 },
+            { id: 'B', duration: 1, actions: [['add', 5]] },
+            { id: 'C' },
+        ],
+    }, VOCAB);
+
+    let s = enterStep({ n: 0 }, script, VOCAB, null);
+    assert.equal(s.director.id, 'A');
+    s = runFor(s, script, 1.1);
+    assert.equal(s.director.id, 'B');
+    assert.equal(s.n, 5);
+
+    // C is terminal: the script stays there
+    s = runFor(s, script, 5);
+    assert.equal(currentStep(s, script).id, 'C');
+    assert.equal(s.n, 5);
+});
+
+test('until waits for the condition, then its hold', () => {
+    const script = loadScript({
+        id: 't',
+        steps: [
+            { id: 'WAIT', until: ['atLeast', 3], hold: 0.5 },
+            { id: 'DONE' },
+        ],
+    }, VOCAB);
+
+    let s = enterStep({ n: 0 }, script, VOCAB, null);
+    s = runFor(s, script, 2);
+    assert.equal(s.director.id, 'WAIT');
+
+    s = runFor({ ...s, n: 3 }, script, 0.4);
+    assert.equal(s.director.id, 'WAIT');
+    s = runFor(s, script, 0.2);
+    assert.equal(s.director.id, 'DONE');
+});
+
+test('scripts loop, jump with next, or finish with done', () => {
+    const steps = [
+        { id: 'A', duration: 0.5, next: 'C' },
+        { id: 'B', duration: 0.5 },
+        { id: 'C', duration: 0.5 },
+    ];
+    const looping = loadScript({ id: 'l', loop: true, steps }, VOCAB);
+    const once = loadScript({ id: 'o', steps }, VOCAB);
+
+    let s = runFor(enterStep({ n: 0 }, looping, VOCAB, null), looping, 0.6);
+    assert.equal(s.director.id, 'C');
+    s = runFor(s, looping, 0.5);
+    assert.equal(s.director.id, 'A');
+
+    s = runFor(enterStep({ n: 0 }, once, VOCAB, null), once, 2);
+    assert.equal(s.director.id, 'C');
+    assert.equal(s.director.done, true);
+});
+
+test('chapterOf groups steps from each chapter start', () => {
+    const script = { steps: [{ id: 'a' }, { id: 'b', chapter: 'Two' }, { id: 'c' }, { id: 'd', chapter: 'Three' }] };
+    assert.deepEqual(chapterOf(script, 0), { start: 0, index: 0, count: 3 });
+    assert.deepEqual(chapterOf(script, 2), { start: 1, index: 1, count: 3 });
+    assert.deepEqual(chapterOf(script, 3), { start: 3, index: 2, count: 3 });
+});
+
+test('the shipped scenarios load against their tabs', () => {
+    // Loading happens at import; this pins the files that are expected to exist
+    assert.equal(level2.SCRIPT.id, 'level2');
+    assert.equal(level3.SCRIPT.id, 'level3');
+    assert.equal(bidir.SCRIPT.id, 'bidirectionality');
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPlanner, repairPlan, plannedPath } from '../src/utils/dstarLite.js';
+import { findPath, pathCost } from '../src/utils/astar.js';
+import { createRng } from '../src/utils/random.js';
+
+// Random directed graph: n points in a 400x300 box, each with up to 4 outgoing edges
+function randomGraph(rng, n) {
+    const nodes = {};
+    for (let i = 0; i < n; i++) nodes[`v${i}`] = { x: rng.uniform(0, 400), y: rng.uniform(0, 300), neighbors: [] };
+    for (let i = 0; i < n; i++) {
+        for (let k = 0; k < 4; k++) {
+            const id = `v${Math.floor(rng.next() * n)}`;
+            if (id !== `v${i}` && !nodes[`v${i}`].neighbors.includes(id)) nodes[`v${i}`].neighbors.push(id);
+        }
+    }
+    return nodes;
+}
+
+// Grid of n x n nodes 10 px apart, 4-connected
+function grid(n) {
+    const nodes = {};
+    for (let r = 0; r < n; r++) {
+        for (let c = 0; c < n; c++) {
+            const nb = [[r, c - 1], [r, c + 1], [r - 1, c], [r + 1, c]].filter(([a, b]) => a >= 0 && b >= 0 && a < n && b < n);
+            nodes[`${r},${c}`] = { x: c * 10, y: r * 10, neighbors: nb.map(([a, b]) => `${a},${b}`) };
+        }
+    }
+    return nodes;
+}
+
+// The same graph with some directed edges blocked (or made dearer)
+function withCosts(nodes, costs) {
+    const out = {};
+    for (const [id, n] of Object.entries(nodes)) out[id] = { ...n, costs: { ...n.costs, ...costs[id] } };
+    return out;
+}
+
+test('the first plan is a cheapest path', () => {
+    const rng = createRng(5);
+    for (let trial = 0; trial < 60; trial++) {
+        const nodes = randomGraph(rng, 3 + Math.floor(rng.next() * 25));
+        const ids = Object.keys(nodes);
+        const start = ids[Math.floor(rng.next() * ids.length)];
+        const goal = ids[Math.floor(rng.next() * ids.length)];
+
+        const path = plannedPath(createPlanner(nodes, start, goal), nodes);
+        const best = findPath(nodes, start, goal, { algorithm: 'dijkstra' });
+        if (!best.path) {
+            assert.equal(path, null);
+            continue;
+        }
+        assert.equal(path[0], start);
+        assert.equal(path.at(-1), goal);
+        assert.ok(Math.abs(pathCost(nodes, path) - best.cost) < 1e-6, `trial ${trial}`);
+    }
+});
+
+test('repairs match a fresh plan as edges close and reopen and the start moves', () => {
+    const rng = createRng(11);
+    for (let trial = 0; trial < 40; trial++) {
+        const base = randomGraph(rng, 8 + Math.floor(rng.next() * 20));
+        const ids = Object.keys(base);
+        const goal = ids[0];
+        let start = ids[1];
+        let costs = {};
+        let nodes = base;
+        let planner = createPlanner(nodes, start, goal);
+
+        for (let round = 0; round < 5; round++) {
+            // Toggle a few random edges between blocked and open
+            const changed = [];
+            for (let k = 0; k < 3; k++) {
+                const u = ids[Math.floor(rng.next() * ids.length)];
+                const v = base[u].neighbors[0];
+                if (v === undefined) continue;
+                const blocked = costs[u]?.[v] === Infinity;
+                costs = { ...costs, [u]: { ...costs[u], [v]: blocked ? undefined : Infinity } };
+                changed.push([u, v]);
+            }
+            nodes = withCosts(base, costs);
+            // Sometimes the agent has moved on along its plan
+            const path = plannedPath(planner, nodes);
+            if (path && path.length > 2 && rng.next() < 0.5) start = path[1];
+
+            planner = repairPlan(planner, nodes, start, changed);
+            const repaired = plannedPath(planner, nodes);
+            const best = findPath(nodes, start, goal, { algorithm: 'dijkstra' });
+            if (!best.path) {
+                assert.equal(repaired, null, `trial ${trial} round ${round}: expected no path`);
+            } else {
+                assert.ok(repaired, `trial ${trial} round ${round}: expected a path`);
+                assert.ok(Math.abs(pathCost(nodes, repaired) - best.cost) < 1e-6, `trial ${trial} round ${round}`);
+            }
+        }
+    }
+});
+
+test('a local blockage is repaired with far fewer expansions than a new search', () => {
+    const base = grid(30);
+    const goal = '29,29';
+    const planner = createPlanner(base, '0,0', goal);
+    const first = plannedPath(planner, base);
+
+    // Block the edge the plan takes halfway along, seen from the node just before it
+    const i = Math.floor(first.length / 2);
+    const [u, v] = [first[i], first[i + 1]];
+    const nodes = withCosts(base, { [u]: { [v]: Infinity } });
+    const repaired = repairPlan(planner, nodes, u, [[u, v]]);
+    const path = plannedPath(repaired, nodes);
+
+    assert.equal(path[0], u);
+    assert.notEqual(path[1], v);
+    const fresh = findPath(nodes, u, goal);
+    assert.ok(Math.abs(pathCost(nodes, path) - fresh.cost) < 1e-6);
+    assert.ok(repaired.expanded < fresh.expanded / 2, `repair ${repaired.expanded} vs A* ${fresh.expanded}`);
+});
+
+test('a repair leaves the planner passed in unchanged, and it can be repaired again', () => {
+    const base = grid(6);
+    const planner = createPlanner(base, '0,0', '5,5');
+    const before = structuredClone(planner);
+    const nodes = withCosts(base, { '0,0': { '0,1': Infinity } });
+    const once = repairPlan(planner, nodes, '0,0', [['0,0', '0,1']]);
+    assert.notEqual(once, planner);
+    assert.deepEqual(planner, before);
+
+    // As when a recorded state from before the repair is resumed
+    const again = repairPlan(planner, nodes, '0,0', [['0,0', '0,1']]);
+    assert.deepEqual(again, once);
+    assert.equal(plannedPath(again, nodes)[1], '1,0');
+});
+
+test('a planner survives a JSON round trip (it is recorded with the sim state)', () => {
+    const base = grid(6);
+    const planner = JSON.parse(JSON.stringify(createPlanner(base, '0,0', '5,5')));
+    const nodes = withCosts(base, { '0,0': { '0,1': Infinity } });
+    const path = plannedPath(repairPlan(planner, nodes, '0,0', [['0,0', '0,1']]), nodes);
+    assert.equal(path[1], '1,0');
+    assert.equal(pathCost(nodes, path), 100);
+});
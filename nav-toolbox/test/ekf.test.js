@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { matMul, inverse, identity, predictCovariance, predictCovarianceCalibrated, kalmanUpdate, covarianceEllipse } from '../src/utils/ekf.js';
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+const ZERO = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+
+test('inverse undoes a matrix and rejects singular ones', () => {
+    const A = [[4, 1, 0], [1, 3, 2], [0, 2, 5]];
+    const I = matMul(A, inverse(A));
+    I.forEach((row, i) => row.forEach((v, j) => assert.ok(close(v, i === j ? 1 : 0))));
+    assert.throws(() => inverse([[1, 2], [2, 4]]), /Singular/);
+});
+
+test('prediction: distance noise stretches along the heading, heading noise across it', () => {
+    // Drive 100 px east with only distance noise: uncertainty is along x
+    let P = predictCovariance(ZERO, 0, 100, 0, [[25, 0], [0, 0]]);
+    assert.ok(close(P[0][0], 25) && close(P[1][1], 0));
+
+    // Heading uncertainty first, then driving east: it turns into y uncertainty
+    P = predictCovariance([[0, 0, 0], [0, 0, 0], [0, 0, 0.01]], 0, 100, 0, [[0, 0], [0, 0]]);
+    assert.ok(close(P[1][1], 100) && close(P[0][0], 0));
+    assert.ok(close(P[1][2], 1));
+});
+
+test('calibrated prediction: an unsure wheel scale spreads the pose along the heading', () => {
+    // Drive 100 px east with a noiseless reading but a 2% sd on the scale: 2 px along x,
+    // fully correlated with the scale term
+    const P0 = [[0, 0, 0, 0, 0], [0, 0, 0, 0, 0], [0, 0, 0, 0, 0], [0, 0, 0, 0.02 ** 2, 0], [0, 0, 0, 0, 0]];
+    const P = predictCovarianceCalibrated(P0, 0, 100, 0, 100, [[0, 0], [0, 0]]);
+    assert.ok(close(P[0][0], 4) && close(P[1][1], 0));
+    assert.ok(close(P[0][3], -100 * 0.02 ** 2));
+    assert.ok(close(P[3][3], 0.02 ** 2));
+
+    // With a known calibration it is the plain prediction
+    const Q = [[25, 0], [0, 0.01]];
+    const plain = predictCovariance(ZERO, 0.4, 100, 0.1, Q);
+    const padded = predictCovarianceCalibrated(P0.map(row => row.map(() => 0)), 0.4, 100, 0.1, 100, Q);
+    plain.forEach((row, i) => row.forEach((v, j) => assert.ok(close(v, padded[i][j]))));
+});
+
+test('a Kalman update shrinks the covariance and moves toward the measurement', () => {
+    const P = [[100, 0, 0], [0, 100, 0], [0, 0, 0.04]];
+    const R = [[1, 0, 0], [0, 1, 0], [0, 0, 0.0001]];
+    const { x, P: post } = kalmanUpdate([0, 0, 0], P, [10, -10, 0.1], identity(3), R);
+    assert.ok(close(x[0], 10 * 100 / 101) && close(x[1], -10 * 100 / 101));
+    assert.ok(post[0][0] < 1 && post[1][1] < 1 && post[2][2] < 0.0001);
+});
+
+test('covarianceEllipse gives the principal axes', () => {
+    const e = covarianceEllipse([[9, 0], [0, 4]], 2);
+    assert.ok(close(e.rx, 6) && close(e.ry, 4) && close(e.angle, 0));
+
+    // Correlated x/y: major axis along the diagonal
+    const d = covarianceEllipse([[5, 4], [4, 5]]);
+    assert.ok(close(d.rx, 3) && close(d.ry, 1) && close(d.angle, Math.PI / 4));
+});
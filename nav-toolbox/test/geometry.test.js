@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { closestPointOnSegment, getLookaheadPoint, PATH } from '../src/sim/limitations.js';
+import { hitsCentralWall } from '../src/sim/level4.js';
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+test('closestPointOnSegment projects onto the interior', () => {
+    const cp = closestPointOnSegment({ x: 5, y: 7 }, { x: 0, y: 0 }, { x: 10, y: 0 });
+    assert.ok(close(cp.x, 5) && close(cp.y, 0) && close(cp.t, 0.5));
+});
+
+test('closestPointOnSegment clamps to the endpoints', () => {
+    const before = closestPointOnSegment({ x: -4, y: 3 }, { x: 0, y: 0 }, { x: 10, y: 0 });
+    assert.deepEqual(before, { x: 0, y: 0, t: 0 });
+
+    const after = closestPointOnSegment({ x: 25, y: -3 }, { x: 0, y: 0 }, { x: 10, y: 0 });
+    assert.deepEqual(after, { x: 10, y: 0, t: 1 });
+});
+
+test('closestPointOnSegment handles a zero-length segment', () => {
+    const cp = closestPointOnSegment({ x: 3, y: 4 }, { x: 1, y: 1 }, { x: 1, y: 1 });
+    assert.equal(cp.x, 1);
+    assert.equal(cp.y, 1);
+});
+
+test('getLookaheadPoint marches along the path from the projection', () => {
+    // On the first (horizontal) segment, 30px ahead stays on it
+    const p = getLookaheadPoint({ x: 20, y: 150 }, 30);
+    assert.ok(close(p.x, 50) && close(p.y, 150));
+
+    // Off the path: projects first, then marches
+    const q = getLookaheadPoint({ x: 40, y: 170 }, 10);
+    assert.ok(close(q.x, 50) && close(q.y, 150));
+});
+
+test('getLookaheadPoint wraps onto the next segment', () => {
+    // 20px before the first corner, 70px ahead -> 50px along segment (100,150)->(150,50)
+    const p = getLookaheadPoint({ x: 80, y: 150 }, 70);
+    const seg = Math.hypot(50, 100);
+    assert.ok(close(p.x, 100 + 50 * 50 / seg, 1e-6));
+    assert.ok(close(p.y, 150 - 100 * 50 / seg, 1e-6));
+});
+
+test('getLookaheadPoint returns the end of the path past the goal', () => {
+    const end = PATH[PATH.length - 1];
+    assert.deepEqual(getLookaheadPoint({ x: 370, y: 150 }, 500), end);
+});
+
+test('getLookaheadPoint accepts a custom path', () => {
+    const path = [{ x: 0, y: 0 }, { x: 0, y: 100 }];
+    const p = getLookaheadPoint({ x: 5, y: 10 }, 20, path);
+    assert.ok(close(p.x, 0) && close(p.y, 30));
+});
+
+test('hitsCentralWall is true strictly inside the wall only', () => {
+    assert.equal(hitsCentralWall(160, 150), true);
+    assert.equal(hitsCentralWall(151, 51), true);
+
+    // edges are not hits
+    assert.equal(hitsCentralWall(150, 150), false);
+    assert.equal(hitsCentralWall(170, 150), false);
+    assert.equal(hitsCentralWall(160, 50), false);
+    assert.equal(hitsCentralWall(160, 250), false);
+
+    // clearly outside (the map route corridors)
+    assert.equal(hitsCentralWall(120, 150), false);
+    assert.equal(hitsCentralWall(160, 30), false);
+});
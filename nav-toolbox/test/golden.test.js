@@ -0,0 +1,277 @@
+// Golden trajectories for the headless simulation cores.
+// Each core runs at a fixed 60 Hz step and is sampled once per simulated second;
+// the samples are compared against test/golden/*.json. After an intended behaviour
+// change, regenerate with:  UPDATE_GOLDEN=1 npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+
+import { createRng } from '../src/utils/random.js';
+import { VEHICLES, stepVehicle } from '../src/utils/braitenberg.js';
+import { stepPanel } from '../src/utils/solarTracker.js';
+import * as level2 from '../src/sim/level2.js';
+import * as level3 from '../src/sim/level3.js';
+import * as bidir from '../src/sim/bidirectionality.js';
+import * as limitations from '../src/sim/limitations.js';
+
+const DT = 1 / 60;
+const TOL = 1e-3;
+const UPDATE = !!process.env.UPDATE_GOLDEN;
+
+const round = (v) => Math.round(v * 1e4) / 1e4;
+
+// Run 'seconds' of simulation, calling sample(state) once per second (and at t=0).
+function run(state, seconds, advance, sample) {
+    const samples = [sample(state)];
+    const perSecond = Math.round(1 / DT);
+    for (let i = 1; i <= seconds * perSecond; i++) {
+        state = advance(state);
+        if (i % perSecond === 0) samples.push(sample(state));
+    }
+    return { state, samples };
+}
+
+function assertClose(actual, expected, path) {
+    if (typeof expected === 'number') {
+        assert.equal(typeof actual, 'number', `${path}: expected a number`);
+        assert.ok(Math.abs(actual - expected) <= TOL, `${path}: ${actual} !== ${expected}`);
+    } else if (expected && typeof expected === 'object') {
+        assert.equal(typeof actual, 'object', `${path}: expected an object`);
+        const keys = Object.keys(expected);
+        assert.deepEqual(Object.keys(actual).sort(), keys.slice().sort(), `${path}: keys or length differ`);
+        keys.forEach(k => assertClose(actual[k], expected[k], Array.isArray(expected) ? `${path}[${k}]` : `${path}.${k}`));
+    } else {
+        assert.equal(actual, expected, path);
+    }
+}
+
+function checkGolden(name, samples) {
+    const file = new URL(`./golden/${name}.json`, import.meta.url);
+    if (UPDATE) {
+        writeFileSync(file, JSON.stringify(samples, null, 1) + '\n');
+        return;
+    }
+    assert.ok(existsSync(file), `${name}: no golden file, run with UPDATE_GOLDEN=1`);
+    assertClose(samples, JSON.parse(readFileSync(file, 'utf8')), name);
+}
+
+test('Level1 Braitenberg vehicles match golden trajectories', () => {
+    const lamp = { x: 200, y: 60, intensity: 1.2 };
+    const start = { x: 200, y: 200, theta: -Math.PI / 2 + 0.3 };
+    const lampDist = (v) => Math.hypot(v.x - lamp.x, v.y - lamp.y);
+    const offBearing = (v) => Math.abs(Math.atan2(Math.sin(Math.atan2(lamp.y - v.y, lamp.x - v.x) - v.theta),
+        Math.cos(Math.atan2(lamp.y - v.y, lamp.x - v.x) - v.theta)));
+    const golden = {};
+    const end = {};
+
+    for (const wiring of ['2a', '2b']) {
+        const { state, samples } = run({ ...start }, 4, (v) => stepVehicle(v, VEHICLES[wiring], [lamp], DT), (v) => ({
+            x: round(v.x),
+            y: round(v.y),
+            theta: round(v.theta),
+        }));
+        golden[wiring] = samples;
+        end[wiring] = state;
+    }
+
+    checkGolden('level1-braitenberg', golden);
+
+    // 2b (crossed) turns toward the lamp and closes in; 2a (uncrossed) turns away
+    assert.ok(lampDist(end['2b']) < lampDist(start) / 10);
+    assert.ok(offBearing(end['2a']) > offBearing(start) + 0.5);
+});
+
+test('Level1 tracking panel out-harvests the fixed panel over one sun sweep', () => {
+    const pos = { x: 175, y: 150 };
+    const rest = { angle: -Math.PI / 2, error: 0, power: 0, harvested: 0 };
+    const sunAt = (t) => [{ x: 400 * t / 10, y: 40, intensity: 1.6 }];
+
+    let time = 0;
+    const { state, samples } = run({ tracker: rest, fixed: rest }, 10, (p) => {
+        time += DT;
+        const lights = sunAt(time);
+        return {
+            tracker: stepPanel(p.tracker, lights, pos, DT, true),
+            fixed: stepPanel(p.fixed, lights, pos, DT, false),
+        };
+    }, (p) => ({
+        angle: round(p.tracker.angle),
+        tracker: round(p.tracker.harvested),
+        fixed: round(p.fixed.harvested),
+    }));
+
+    checkGolden('level1-tracker', samples);
+
+    assert.ok(state.tracker.harvested > state.fixed.harvested * 1.1);
+});
+
+test('Level2 demo loop (seed 42) matches golden trajectory', () => {
+    const rng = createRng(42);
+    const homeDist = (s) => Math.hypot(s.agent.x - level2.HOME.x, s.agent.y - level2.HOME.y);
+    const beliefError = (s, odo) => Math.hypot(level2.HOME.x + odo.x - s.agent.x, level2.HOME.y + odo.y - s.agent.y);
+    const endOf = {};
+    const searchOf = {};
+    let odoErrors = null;
+    // Landmark run: on the way out, every drop in belief spread must come from a landmark
+    // sighting. On the way back the learned calibration can shrink it too: a wrong wheel
+    // scale misplaces the agent in proportion to how far from home it is, so heading home
+    // undoes that part (without learning it never does, see the next test)
+    let drops = 0;
+    const dropsOutOfView = { LM_OUT: 0, LM_RET: 0 };
+    let dropsHeadingAway = 0;
+    let lmLocked = false;
+
+    const { samples } = run(level2.createState(rng), 76, (s) => {
+        const next = level2.step(s, DT, rng);
+        const id = level2.currentStep(next).id;
+        if (id.endsWith('_HOLD')) {
+            endOf[id] = homeDist(next);
+            searchOf[id] = next.search;
+        }
+        if (id === 'ODO_HOLD') {
+            odoErrors = {
+                full: beliefError(next, next.odo),
+                headingOnly: beliefError(next, next.odoHeadingOnly),
+                distanceOnly: beliefError(next, next.odoDistanceOnly),
+            };
+        }
+        const landmarkRun = (id === 'LM_OUT' || id === 'LM_RET') && level2.currentStep(s).id === id;
+        if (landmarkRun && level2.beliefSpread(next.odoCov) < level2.beliefSpread(s.odoCov) - 1e-9) {
+            drops++;
+            if (next.inView.length === 0) dropsOutOfView[id]++;
+            if (next.inView.length === 0 && homeDist(next) >= homeDist(s)) dropsHeadingAway++;
+        }
+        if (id === 'LM_HOLD') endOf.lmError = beliefError(next, next.odo);
+        lmLocked = lmLocked || next.lmLocked;
+        return next;
+    }, (s) => ({
+        step: level2.currentStep(s).id,
+        x: round(s.agent.x),
+        y: round(s.agent.y),
+        theta: round(s.agent.theta),
+        odoX: round(s.odo.x),
+        odoY: round(s.odo.y),
+        odoTheta: round(s.odo.theta),
+    }));
+
+    checkGolden('level2-seed42', samples);
+
+    // Every run ends at home: blind odometry misses it and has to search, the compass
+    // run's home vector ends far closer, and the landmark run re-anchors on the way back.
+    for (const id of ['ODO_HOLD', 'COM_HOLD', 'LM_HOLD', 'SNAP_HOLD']) {
+        assert.ok(endOf[id] < level2.HOME_DETECT_R, id);
+        assert.ok(searchOf[id].found, id);
+    }
+    assert.ok(searchOf.ODO_HOLD.missedBy > level2.HOME_DETECT_R);
+    assert.ok(searchOf.ODO_HOLD.time > 0);
+    assert.ok(searchOf.COM_HOLD.missedBy < searchOf.ODO_HOLD.missedBy / 2);
+    assert.ok(lmLocked);
+
+    // Snapshot homing is matched by eye: it ends close to home whatever the odometry did
+    assert.ok(searchOf.SNAP_HOLD.missedBy < level2.HOME_DETECT_R / 2);
+
+    // With the default (cheap encoder) model the drift comes from heading, not distance
+    assert.ok(odoErrors.full > 30);
+    assert.ok(odoErrors.headingOnly > 5 * odoErrors.distanceOnly);
+
+    // On the landmark run the uncertainty only shrinks when landmarks are in view (or, on
+    // the way back, as the calibration's share of it unwinds), which leaves the landmark
+    // run with a better belief than blind odometry
+    assert.ok(drops > 5);
+    assert.equal(dropsOutOfView.LM_OUT, 0);
+    assert.ok(dropsOutOfView.LM_RET > 0);
+    assert.equal(dropsHeadingAway, 0);
+    assert.ok(endOf.lmError < odoErrors.full);
+});
+
+test('Level2 landmark run without calibration learning: the spread shrinks only in view of a landmark', () => {
+    const rng = createRng(42);
+    let s = level2.setCalibrationLearning(level2.createState(rng), false);
+    let drops = 0;
+    let dropsOutOfView = 0;
+    while (level2.currentStep(s).id !== 'LM_HOLD') {
+        const next = level2.step(s, DT, rng);
+        const id = level2.currentStep(next).id;
+        const landmarkRun = (id === 'LM_OUT' || id === 'LM_RET') && level2.currentStep(s).id === id;
+        if (landmarkRun && level2.beliefSpread(next.odoCov) < level2.beliefSpread(s.odoCov) - 1e-9) {
+            drops++;
+            if (next.inView.length === 0) dropsOutOfView++;
+        }
+        s = next;
+    }
+    assert.equal(s.odoCov.length, 3);
+    assert.ok(drops > 5);
+    assert.equal(dropsOutOfView, 0);
+});
+
+test('Level2 is reproducible for a given seed', () => {
+    const once = () => {
+        const rng = createRng(9001);
+        return run(level2.createState(rng), 20, (s) => level2.step(s, DT, rng), (s) => ({ ...s.agent })).samples;
+    };
+    assert.deepEqual(once(), once());
+});
+
+test('Level3 demo matches golden trajectory and finishes at goal_B', () => {
+    let repaired = null;
+    const { state, samples } = run(level3.startDemo(level3.createState()), 40, (s) => {
+        const next = level3.step(s, DT);
+        if (!repaired && next.repair) repaired = next;
+        return next;
+    }, (s) => ({
+        phase: s.phase,
+        mode: s.mode,
+        x: round(s.agent.x),
+        y: round(s.agent.y),
+    }));
+
+    checkGolden('level3-demo', samples);
+
+    const goalB = level3.GRAPH_NODES.goal_B;
+    assert.equal(state.phase, 'DEMO_COMPLETE');
+    assert.ok(Math.hypot(state.agent.x - goalB.x, state.agent.y - goalB.y) < 10);
+    // The door closed in the Replanning chapter was sensed and repaired around, with half
+    // the expansions of a new A* search
+    assert.equal(repaired.repair.changed, 2);
+    const scratch = level3.scratchExpanded(repaired);
+    assert.ok(repaired.repair.expanded * 2 <= scratch, `D* Lite ${repaired.repair.expanded} vs A* ${scratch}`);
+});
+
+test('Bidirectionality demo (seed 7) matches golden trajectory', () => {
+    const rng = createRng(7);
+    let reachedL1 = false;
+
+    const { samples } = run(bidir.createState(rng), 40, (s) => {
+        const next = bidir.step(s, DT, rng);
+        if (next.director.id === 'BIDIR_RESULT') {
+            reachedL1 = reachedL1 || Math.hypot(next.robot.x - bidir.L1.x, next.robot.y - bidir.L1.y) < 20;
+        }
+        return next;
+    }, (s) => ({
+        phase: s.director.id,
+        action: s.action,
+        x: round(s.robot.x),
+        y: round(s.robot.y),
+        w1: round(s.belief[0]),
+    }));
+
+    checkGolden('bidirectionality-seed7', samples);
+
+    // The bidirectional phase corrects the wrong prior and ends at L1
+    assert.ok(reachedL1);
+});
+
+test('Limitations race matches golden trajectory and both agents finish', () => {
+    const { state, samples } = run(limitations.createState(), 20, (s) => limitations.step(s, DT), (s) => ({
+        ax: round(s.agentA.x),
+        ay: round(s.agentA.y),
+        bx: round(s.agentB.x),
+        by: round(s.agentB.y),
+        finishedA: s.finishedA,
+        finishedB: s.finishedB,
+    }));
+
+    checkGolden('limitations', samples);
+
+    assert.ok(state.finishedA && state.finishedB);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHeap } from '../src/utils/heap.js';
+import { createRng } from '../src/utils/random.js';
+
+test('pops keys in ascending order', () => {
+    const rng = createRng(7);
+    const heap = createHeap();
+    const keys = Array.from({ length: 500 }, () => Math.floor(rng.next() * 100));
+    keys.forEach((k, i) => heap.push(i, k));
+    assert.equal(heap.size, 500);
+
+    const out = [];
+    while (heap.size > 0) out.push(heap.pop().key);
+    assert.deepEqual(out, [...keys].sort((a, b) => a - b));
+    assert.equal(heap.pop(), undefined);
+});
+
+test('equal keys come out in insertion order', () => {
+    const heap = createHeap();
+    ['a', 'b', 'c', 'd'].forEach(v => heap.push(v, 1));
+    heap.push('first', 0);
+    assert.deepEqual(heap.peek(), { value: 'first', key: 0 });
+    assert.deepEqual([1, 2, 3, 4, 5].map(() => heap.pop().value), ['first', 'a', 'b', 'c', 'd']);
+});
+
+test('a comparator orders compound keys', () => {
+    const heap = createHeap((a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]));
+    heap.push('x', [2, 0]);
+    heap.push('y', [1, 5]);
+    heap.push('z', [1, 3]);
+    assert.deepEqual([heap.pop().value, heap.pop().value, heap.pop().value], ['z', 'y', 'x']);
+});
+
+test('n pushes and pops take O(n log n) comparisons', () => {
+    const rng = createRng(3);
+    let comparisons = 0;
+    const heap = createHeap((a, b) => { comparisons++; return a < b; });
+    const n = 10000;
+    for (let i = 0; i < n; i++) heap.push(i, rng.next());
+    while (heap.size > 0) heap.pop();
+    // Scanning a plain list for the minimum would take about n²/2 = 50M
+    assert.ok(comparisons < 4 * n * Math.log2(n), `${comparisons} comparisons`);
+});
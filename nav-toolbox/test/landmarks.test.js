@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    HOME, LANDMARKS, predictObservation, observeLandmark, beliefSpread, snapshotDifference, snapshotHomingVector,
+} from '../src/sim/level2.js';
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+// Belief poses are relative to HOME; put the agent at world (x, y)
+const beliefAt = (x, y, theta = 0) => ({ x: x - HOME.x, y: y - HOME.y, theta });
+const cov = (pos, heading) => [[pos, 0, 0], [0, pos, 0], [0, 0, heading]];
+
+const [A, B] = LANDMARKS;
+
+test('predictObservation: range and bearing relative to the heading', () => {
+    const { z } = predictObservation({ x: A.x - 30, y: A.y - 40, theta: Math.PI / 2 }, A);
+    assert.ok(close(z[0], 50));
+    assert.ok(close(z[1], Math.atan2(40, 30) - Math.PI / 2));
+});
+
+test('an unsure belief moves toward the sighting more than a sure one', () => {
+    const truth = { x: A.x - 60, y: A.y, theta: 0 };
+    const { z } = predictObservation(truth, A);
+    const belief = beliefAt(truth.x + 20, truth.y); // believes it is 20 px closer
+
+    const unsure = observeLandmark(belief, cov(400, 0.01), A, z);
+    const sure = observeLandmark(belief, cov(4, 0.01), A, z);
+    const errOf = (b) => Math.hypot(HOME.x + b.x - truth.x, HOME.y + b.y - truth.y);
+
+    assert.ok(errOf(unsure.odo) < 5);
+    assert.ok(errOf(sure.odo) > 10);
+});
+
+test('one landmark is a partial fix; two at once pin the position down', () => {
+    // Midway between A and B, unsure position and heading
+    const truth = { x: (A.x + B.x) / 2, y: (A.y + B.y) / 2, theta: 0.3 };
+    const belief = beliefAt(truth.x, truth.y, truth.theta);
+    const P = cov(900, 0.04);
+
+    const one = observeLandmark(belief, P, A, predictObservation(truth, A).z);
+    const two = observeLandmark(one.odo, one.odoCov, B, predictObservation(truth, B).z);
+
+    assert.ok(beliefSpread(one.odoCov) < beliefSpread(P));
+    assert.ok(beliefSpread(two.odoCov) < beliefSpread(one.odoCov));
+
+    // After A alone the remaining uncertainty lies across the line of sight: the bearing
+    // is spent on the unknown heading, only the range constrains the position
+    const toA = Math.atan2(A.y - truth.y, A.x - truth.x);
+    const u = [Math.cos(toA), Math.sin(toA)];
+    const v = [-u[1], u[0]];
+    const varAlong = (d) => d[0] * (one.odoCov[0][0] * d[0] + one.odoCov[0][1] * d[1]) + d[1] * (one.odoCov[1][0] * d[0] + one.odoCov[1][1] * d[1]);
+    assert.ok(varAlong(v) > 3 * varAlong(u));
+});
+
+test('snapshot: the image difference is zero at HOME and the homing vectors point home', () => {
+    assert.equal(snapshotDifference(HOME), 0);
+
+    // Around home, the downhill direction of the difference leads back to it
+    for (let i = 0; i < 8; i++) {
+        const a = i * Math.PI / 4;
+        const p = { x: HOME.x + 80 * Math.cos(a), y: HOME.y + 80 * Math.sin(a) };
+        const v = snapshotHomingVector(p);
+        const toHome = Math.atan2(HOME.y - p.y, HOME.x - p.x);
+        const off = Math.abs(Math.atan2(Math.sin(Math.atan2(v.y, v.x) - toHome), Math.cos(Math.atan2(v.y, v.x) - toHome)));
+        assert.ok(off < Math.PI / 4, `at ${i * 45}°: ${off}`);
+        assert.ok(snapshotDifference(p) > 0);
+    }
+});
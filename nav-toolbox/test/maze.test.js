@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as level3 from '../src/sim/level3.js';
+
+const DT = 1 / 60;
+
+function runToEnd(s, seconds = 20) {
+    for (let i = 0; i < seconds * 60 && s.running; i++) s = level3.step(s, DT);
+    return s;
+}
+
+test('segmentHitsRect', () => {
+    const r = { x: 10, y: 10, w: 10, h: 10 };
+    assert.ok(level3.segmentHitsRect({ x: 0, y: 0 }, { x: 30, y: 30 }, r));
+    assert.ok(level3.segmentHitsRect({ x: 15, y: 0 }, { x: 15, y: 12 }, r));
+    assert.ok(!level3.segmentHitsRect({ x: 0, y: 0 }, { x: 30, y: 0 }, r));
+    assert.ok(!level3.segmentHitsRect({ x: 0, y: 0 }, { x: 9, y: 9 }, r));
+});
+
+test('toggleEdge connects both ways and removes either direction', () => {
+    let w = level3.DEFAULT_WORLD;
+    w = level3.toggleEdge(w, 'n1', 'n2');
+    assert.ok(w.nodes.n1.neighbors.includes('n2') && w.nodes.n2.neighbors.includes('n1'));
+    w = level3.toggleEdge(w, 'n2', 'n1');
+    assert.ok(!level3.hasEdge(w, 'n1', 'n2'));
+
+    // center -> n5 is one-way in the built-in maze; toggling removes it
+    w = level3.toggleEdge(level3.DEFAULT_WORLD, 'n5', 'center');
+    assert.ok(!level3.hasEdge(w, 'center', 'n5'));
+});
+
+test('addNode and removeNode keep neighbor lists consistent', () => {
+    const { world, id } = level3.addNode(level3.DEFAULT_WORLD, { x: 300, y: 250 });
+    assert.equal(id, 'n7');
+    const linked = level3.toggleEdge(world, id, 'n6');
+    const removed = level3.removeNode(linked, id);
+    assert.equal(removed.nodes[id], undefined);
+    assert.ok(!removed.nodes.n6.neighbors.includes(id));
+});
+
+test('planPath ignores edges that cross an obstacle', () => {
+    const open = level3.planPath(level3.DEFAULT_WORLD, 'start', 'goal_B');
+    assert.deepEqual(open, ['start', 'n2', 'n4', 'n6', 'goal_B']);
+
+    // Wall across n2 -> n4: the plan goes round through the top of the graph
+    const walled = level3.addObstacle(level3.DEFAULT_WORLD, { x: 30, y: 190, w: 40, h: 10 });
+    const around = level3.planPath(walled, 'start', 'goal_B');
+    assert.ok(!around.includes('n4'));
+    assert.equal(around.at(-1), 'goal_B');
+
+    // Cut the last edge too: no way through
+    const sealed = level3.addObstacle(walled, { x: 190, y: 260, w: 30, h: 10 });
+    assert.equal(level3.planPath(sealed, 'start', 'goal_B'), null);
+});
+
+test('free runs: after the goal moves, only Map mode gets there', () => {
+    let s = level3.createState();
+    const learned = runToEnd(level3.startRun(s, 'ROUTE'));
+    assert.equal(learned.phase, 'ARRIVED');
+
+    s = level3.setGoal({ ...s, route: learned.route }, 'goal_B');
+    assert.equal(runToEnd(level3.startRun(s, 'VECTOR')).phase, 'STUCK');
+    assert.equal(runToEnd(level3.startRun(s, 'ROUTE')).phase, 'WRONG_GOAL');
+    assert.equal(runToEnd(level3.startRun(s, 'MAP')).phase, 'ARRIVED');
+});
+
+test('Map mode re-plans when a wall appears mid-run', () => {
+    let s = level3.startRun(level3.setGoal(level3.createState(), 'goal_B'), 'MAP');
+    for (let i = 0; i < 30; i++) s = level3.step(s, DT);
+
+    s = level3.editWorld(s, level3.addObstacle(s.world, { x: 30, y: 190, w: 40, h: 10 }));
+    assert.ok(s.running);
+    s = runToEnd(s);
+    assert.equal(s.phase, 'ARRIVED');
+    assert.ok(!s.plannedPath.includes('n4'));
+});
+
+test('Map mode notices a closed door only within sensing range, and repairs with D* Lite', () => {
+    let s = level3.startRun(level3.createState(), 'MAP');
+    assert.deepEqual(s.plannedPath, ['start', 'n1', 'n3', 'n5', 'goal_A']);
+
+    // Closed while the agent is still at the start, far from the n3-n5 corridor
+    s = level3.editWorld(s, level3.addObstacle(s.world, level3.DOOR));
+    s = level3.step(s, DT);
+    assert.deepEqual(s.blocked, []);
+    assert.ok(s.plannedPath.includes('n5'));
+
+    let sensed = null;
+    for (let i = 0; i < 20 * 60 && s.running; i++) {
+        s = level3.step(s, DT);
+        if (!sensed && s.repair) sensed = s;
+    }
+    assert.equal(s.phase, 'ARRIVED');
+    assert.deepEqual([...sensed.blocked].sort(), ['n3>n5', 'n5>n3']);
+    // Sensed from the n1-n3 corridor, at about SENSE_R from the door's edge (which starts at
+    // n3, x = 250), and repaired from n3, the node the agent was heading for
+    assert.ok(Math.abs(250 - sensed.agent.x - level3.SENSE_R) < 5);
+    assert.deepEqual(sensed.plannedPath, ['n3', 'center', 'n5', 'goal_A']);
+    // Only the nodes the door cut off are expanded again: half what a new A* search needs
+    const scratch = level3.scratchExpanded(sensed);
+    assert.ok(sensed.repair.expanded * 2 <= scratch, `D* Lite ${sensed.repair.expanded} vs A* ${scratch}`);
+});
+
+test('a repair does not change the state before it, which can be resumed', () => {
+    let s = level3.startRun(level3.createState(), 'MAP');
+    s = level3.editWorld(s, level3.addObstacle(s.world, level3.DOOR));
+    let before = s;
+    while (!s.repair) {
+        before = s;
+        s = level3.step(s, DT);
+    }
+    assert.notEqual(before.planner, s.planner);
+    const copy = structuredClone(before);
+    // As the Timeline does when scrubbing back and resuming
+    const resumed = level3.step(before, DT);
+    assert.deepEqual(before, copy);
+    assert.deepEqual(resumed, s);
+});
+
+test('the demo reopens the door in a state loaded from JSON', () => {
+    let s = level3.startDemo(level3.createState());
+    while (s.phase !== 'DOOR_CLOSED') s = level3.step(s, DT);
+    assert.ok(s.world.obstacles.some(o => o.x === level3.DOOR.x && o.y === level3.DOOR.y));
+
+    // As the Timeline does after a Load or an Export round trip
+    s = JSON.parse(JSON.stringify(s));
+    while (s.phase !== 'RESET_FOR_MAPPING') s = level3.step(s, DT);
+    assert.deepEqual(s.world.obstacles, level3.OBSTACLES);
+});
+
+test('Explore mode maps its way to the goal and plans only over mapped edges', () => {
+    // With the n2 -> n4 edge walled off, it has to find that out with the lidar
+    const walled = level3.addObstacle(level3.DEFAULT_WORLD, { x: 30, y: 190, w: 40, h: 10 });
+    let s = level3.startRun(level3.setGoal(level3.createState(walled), 'goal_B'), 'EXPLORE');
+    // It starts from a single sweep at the start: most of the arena is still unknown
+    assert.ok(s.mapCells.filter(l => l === 0).length > s.mapCells.length / 2);
+
+    let mappedOnly = true;
+    for (let i = 0; i < 30 * 60 && s.running; i++) {
+        s = level3.step(s, DT);
+        const known = level3.mappedNodes(s.world, s.mapCells);
+        const way = s.plannedPath.slice(s.pathIndex);
+        mappedOnly = mappedOnly && way.every((id, k) => k === 0 || known[way[k - 1]].neighbors.includes(id));
+    }
+    assert.equal(s.phase, 'ARRIVED');
+    assert.ok(mappedOnly);
+    assert.ok(!level3.mappedNodes(s.world, s.mapCells).n2.neighbors.includes('n4'));
+});
+
+test('Explore mode gives up once everything reachable is mapped', () => {
+    const sealed = level3.addObstacle(level3.DEFAULT_WORLD, { x: 150, y: 260, w: 100, h: 10 });
+    const s = runToEnd(level3.startRun(level3.setGoal(level3.createState(sealed), 'goal_B'), 'EXPLORE'), 40);
+    assert.equal(s.phase, 'NO_PATH');
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRng } from '../src/utils/random.js';
+import { ODOMETRY_PRESETS } from '../src/utils/odometry.js';
+import * as level2 from '../src/sim/level2.js';
+
+const DT = 1 / 60;
+const rock = { x: 300, y: 300, r: 40 };
+
+test('avoidObstacles: clear headings pass, a blocked one turns to the nearer tangent', () => {
+    // Heading away from the rock, or passing well clear of it
+    assert.equal(level2.avoidObstacles({ x: 200, y: 300 }, Math.PI, [rock]), Math.PI);
+    assert.equal(level2.avoidObstacles({ x: 200, y: 150 }, 0, [rock]), 0);
+
+    // Straight at it from the left, slightly below centre: goes round the bottom (+y)
+    const h = level2.avoidObstacles({ x: 200, y: 305 }, 0, [rock]);
+    assert.ok(h > 0.3 && h < Math.PI / 2);
+    // From slightly above centre: round the top
+    assert.ok(level2.avoidObstacles({ x: 200, y: 295 }, 0, [rock]) < -0.3);
+});
+
+test('toggleObstacle adds a rock on empty ground and removes one when clicked', () => {
+    const added = level2.toggleObstacle([rock], { x: 100, y: 100 });
+    assert.equal(added.length, 2);
+    assert.deepEqual(level2.toggleObstacle(added, { x: 310, y: 290 }), [added[1]]);
+});
+
+test('the agent never walks into a rock and its detours are integrated', () => {
+    // Ideal encoders: whatever detours the rocks force, the home vector stays exact
+    const rng = createRng(11);
+    let s = level2.createState(rng, level2.SCRIPT, ODOMETRY_PRESETS.ideal.params);
+    let inside = 0;
+    while (level2.currentStep(s).id !== 'ODO_HOLD') {
+        s = level2.step(s, DT, rng);
+        if (level2.insideObstacle(s.obstacles, s.agent, level2.AGENT_R - 0.5)) inside++;
+    }
+    assert.equal(inside, 0);
+    assert.ok(s.search.missedBy < 15);
+    assert.ok(s.driven > 1000);
+});
+
+test('no food is placed under a rock', () => {
+    const big = [{ x: 200, y: 150, r: 120 }];
+    const s = level2.createState(createRng(5), level2.SCRIPT, undefined, big);
+    assert.ok(s.foods.every(f => !level2.insideObstacle(big, f, level2.AGENT_R)));
+});
+
+test('rocks covering the whole food area do not stall the start, and the walk skips the buried food', () => {
+    const rng = createRng(5);
+    const buried = [{ x: 240, y: 180, r: 400 }];
+    let s = level2.createState(rng, level2.SCRIPT, undefined, buried);
+    assert.equal(s.foods.length, 6);
+    assert.ok(s.foods.every(f => level2.insideObstacle(buried, f, level2.AGENT_R)));
+
+    for (let i = 0; i < 5 * 60; i++) s = level2.step(s, DT, rng);
+    assert.ok(!level2.insideObstacle(buried, s.agent));
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    gridSpec, emptyCells, cellIndex, castRay, integrateScan, segmentState, OCC_THRESHOLD, FREE_THRESHOLD,
+} from '../src/utils/occupancy.js';
+
+const SPEC = gridSpec(200, 100, 10);
+const WALL = { x: 120, y: 0, w: 10, h: 100 };
+const LIDAR = { beams: 180, maxRange: 150 };
+
+test('castRay stops at obstacles, the arena walls and its range', () => {
+    const o = { x: 20, y: 50 };
+    assert.deepEqual(castRay(o, 0, 150, [WALL], SPEC), { range: 100, hit: true });
+    assert.deepEqual(castRay(o, Math.PI, 150, [WALL], SPEC), { range: 20, hit: true });
+    assert.deepEqual(castRay(o, 0, 50, [WALL], SPEC), { range: 50, hit: false });
+    // Behind the ray's origin does not count
+    assert.deepEqual(castRay({ x: 140, y: 50 }, 0, 150, [WALL], SPEC), { range: 60, hit: true });
+});
+
+test('repeated sweeps map free space up to the wall and the wall as occupied', () => {
+    let cells = emptyCells(SPEC);
+    const pose = { x: 40, y: 50, theta: 0 };
+    for (let i = 0; i < 4; i++) cells = integrateScan(SPEC, cells, pose, [WALL], LIDAR).cells;
+
+    assert.ok(cells[cellIndex(SPEC, { x: 80, y: 50 })] < FREE_THRESHOLD);
+    assert.ok(cells[cellIndex(SPEC, { x: 125, y: 50 })] > OCC_THRESHOLD);
+    // Behind the wall stays unknown
+    assert.equal(cells[cellIndex(SPEC, { x: 160, y: 50 })], 0);
+
+    assert.equal(segmentState(SPEC, cells, { x: 40, y: 50 }, { x: 100, y: 30 }), 'free');
+    assert.equal(segmentState(SPEC, cells, { x: 40, y: 50 }, { x: 180, y: 50 }), 'occupied');
+    assert.equal(segmentState(SPEC, cells, { x: 150, y: 20 }, { x: 180, y: 80 }), 'unknown');
+});
+
+test('integrateScan returns a new array and one endpoint per beam', () => {
+    const cells = emptyCells(SPEC);
+    const scan = integrateScan(SPEC, cells, { x: 40, y: 50, theta: 0 }, [WALL], LIDAR);
+    assert.ok(cells.every(l => l === 0));
+    assert.equal(scan.endpoints.length, LIDAR.beams);
+    assert.ok(scan.endpoints.every(e => e.hit));
+});
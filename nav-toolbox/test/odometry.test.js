@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ODOMETRY_PARAMS, ODOMETRY_PRESETS, odometryError, integrate, presetOf } from '../src/utils/odometry.js';
+import { createRng } from '../src/utils/random.js';
+
+const IDEAL = ODOMETRY_PRESETS.ideal.params;
+
+// Drive a straight line of 'steps' x 'ds' px and return the believed pose
+function driveStraight(params, steps, ds, seed = 1) {
+    const rng = createRng(seed);
+    let pose = { x: 0, y: 0, theta: 0 };
+    for (let i = 0; i < steps; i++) {
+        const err = odometryError(ds, 1 / 60, params, rng);
+        pose = integrate(pose, ds + err.ds, err.dTheta);
+    }
+    return pose;
+}
+
+test('every preset sets every parameter within its slider range', () => {
+    for (const preset of Object.values(ODOMETRY_PRESETS)) {
+        for (const p of ODOMETRY_PARAMS) {
+            const v = preset.params[p.key];
+            assert.ok(v >= p.min && v <= p.max, `${preset.label}: ${p.key} = ${v}`);
+        }
+    }
+    assert.equal(presetOf(ODOMETRY_PRESETS.slippery.params), 'slippery');
+    assert.equal(presetOf({ ...IDEAL, scaleError: 1 }), null);
+});
+
+test('ideal odometry integrates the true motion exactly', () => {
+    const pose = driveStraight(IDEAL, 600, 1.5);
+    assert.ok(Math.abs(pose.x - 900) < 1e-9);
+    assert.equal(pose.y, 0);
+});
+
+test('a scale error stretches distance, a heading bias curves the path', () => {
+    const scaled = driveStraight({ ...IDEAL, scaleError: 5 }, 400, 1.5);
+    assert.ok(Math.abs(scaled.x - 630) < 1e-6);
+
+    // 1°/100px over 600 px: the belief turns 6° and bends off the straight line
+    const biased = driveStraight({ ...IDEAL, headingBias: 1 }, 400, 1.5);
+    assert.ok(Math.abs(biased.theta - 6 * Math.PI / 180) < 1e-9);
+    assert.ok(biased.y > 25 && biased.y < 40);
+});
+
+test('the rng stream does not depend on the settings (replays stay aligned)', () => {
+    const a = createRng(3);
+    const b = createRng(3);
+    odometryError(1.5, 1 / 60, IDEAL, a);
+    odometryError(1.5, 1 / 60, ODOMETRY_PRESETS.cheap.params, b);
+    assert.equal(a.getState(), b.getState());
+});
+
+test('slip events add distance and happen at about the configured rate', () => {
+    const rng = createRng(11);
+    const params = { ...IDEAL, slipRate: 0.5, slipDistance: 10 };
+    let slips = 0;
+    let extra = 0;
+    const seconds = 400;
+    for (let i = 0; i < seconds * 60; i++) {
+        const err = odometryError(1.5, 1 / 60, params, rng);
+        if (err.slipped) {
+            slips++;
+            extra += err.ds;
+        }
+    }
+    assert.ok(Math.abs(slips - 0.5 * seconds) < 40, `${slips} slips`);
+    assert.ok(Math.abs(extra / slips - 10) < 1);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { relativePose, composePose, graphError, gaussNewtonStep, optimizePoseGraph } from '../src/utils/poseGraph.js';
+import { createRng } from '../src/utils/random.js';
+import * as slam from '../src/sim/slam.js';
+
+const INFO = [[1, 0, 0], [0, 1, 0], [0, 0, 100]];
+
+// Square loop of 16 poses, side 100, driven counter-clockwise from the origin
+function squareLoop() {
+    const truth = [];
+    for (let side = 0; side < 4; side++) {
+        for (let k = 0; k < 4; k++) {
+            const theta = side * Math.PI / 2;
+            const corner = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }][side];
+            truth.push({ x: corner.x + Math.cos(theta) * 25 * k, y: corner.y + Math.sin(theta) * 25 * k, theta });
+        }
+    }
+    return truth;
+}
+
+test('composePose undoes relativePose', () => {
+    const a = { x: 10, y: -5, theta: 2.8 };
+    const b = { x: -30, y: 40, theta: -2.9 };
+    const back = composePose(a, relativePose(a, b));
+    assert.ok(Math.abs(back.x - b.x) < 1e-9 && Math.abs(back.y - b.y) < 1e-9);
+    assert.ok(Math.abs(back.theta - b.theta) < 1e-9);
+});
+
+test('a consistent graph has zero error and Gauss-Newton leaves it alone', () => {
+    const truth = squareLoop();
+    const edges = truth.map((p, i) => ({ from: i, to: (i + 1) % truth.length, z: relativePose(p, truth[(i + 1) % truth.length]), info: INFO }));
+    assert.ok(graphError(truth, edges) < 1e-12);
+    assert.ok(gaussNewtonStep(truth, edges).step < 1e-9);
+});
+
+test('a loop closure pulls drifted odometry back into shape, with the anchor held', () => {
+    const truth = squareLoop();
+    const n = truth.length;
+    // Odometry that over-turns by 3° per edge
+    const edges = [];
+    const poses = [truth[0]];
+    for (let i = 1; i < n; i++) {
+        const z = relativePose(truth[i - 1], truth[i]);
+        const zBiased = { ...z, theta: z.theta + 0.05 };
+        edges.push({ from: i - 1, to: i, z: zBiased, info: INFO });
+        poses.push(composePose(poses[i - 1], zBiased));
+    }
+    edges.push({ from: n - 1, to: 0, z: relativePose(truth[n - 1], truth[0]), info: INFO });
+
+    const worst = (ps) => Math.max(...ps.map((p, i) => Math.hypot(p.x - truth[i].x, p.y - truth[i].y)));
+    const result = optimizePoseGraph(poses, edges);
+
+    assert.ok(worst(poses) > 40);
+    assert.ok(worst(result.poses) < worst(poses) / 4);
+    assert.ok(result.errors.at(-1) < result.errors[0] / 100);
+    assert.deepEqual(result.poses[0], truth[0]);
+});
+
+test('without any edge a pose is unconstrained', () => {
+    assert.throws(() => gaussNewtonStep([{ x: 0, y: 0, theta: 0 }, { x: 1, y: 0, theta: 0 }], []), /Singular/);
+});
+
+test('SLAM scenario: the agent closes its loop and the optimised graph beats dead reckoning', () => {
+    const rng = createRng(42);
+    let s = slam.createState(rng);
+    let atClosure = null;
+    for (let i = 0; i < 60 * 40 && s.director.id !== 'SLAM_DONE'; i++) {
+        s = slam.step(s, 1 / 60, rng);
+        if (!atClosure && s.director.id === 'SLAM_RECOGNISED') atClosure = s;
+    }
+
+    assert.ok(atClosure, 'never recognised the start');
+    assert.equal(atClosure.closure.from, 0);
+    assert.equal(s.director.id, 'SLAM_DONE');
+    assert.ok(s.opt.done);
+
+    const before = slam.trajectoryError(s, s.odoPoses);
+    const after = slam.trajectoryError(s);
+    assert.ok(before > 30, `odometry drift too small to show: ${before}`);
+    assert.ok(after < before / 3, `optimised error ${after} vs odometry ${before}`);
+    assert.ok(s.opt.errors.at(-1) < s.opt.errors[0] / 10);
+});
+
+test('SLAM scenario: no loop edge while the agent only passes its old places the other way', () => {
+    // Out along two sides of the usual loop and back the same way, facing the other way,
+    // stopped before it would drive on from the start again
+    const rng = createRng(42);
+    let s = slam.createState(rng, slam.SCRIPT, [{ x: 330, y: 240 }, { x: 330, y: 60 }, { x: 330, y: 240 }, { x: 70, y: 240 }]);
+    let outbound = 0;
+    const home = () => s.wp === 3 && Math.hypot(s.agent.x - slam.START.x, s.agent.y - slam.START.y) < slam.RECOGNISE_R;
+    for (let i = 0; i < 60 * 30 && !home(); i++) {
+        s = slam.step(s, 1 / 60, rng);
+        if (s.wp < 2) outbound = s.poses.length;
+    }
+    assert.ok(home());
+
+    // Several nodes on the way back lie within recognition range of one on the way out
+    const near = s.truthPoses.slice(outbound).filter(p => s.truthPoses.slice(0, outbound).some(q => Math.hypot(p.x - q.x, p.y - q.y) < slam.RECOGNISE_R));
+    assert.ok(near.length > 3, `${near.length} candidate places`);
+    assert.deepEqual(s.edges.filter(e => e.kind === 'loop'), []);
+    assert.equal(s.closure, null);
+    assert.equal(s.director.id, 'SLAM_DRIVE');
+});
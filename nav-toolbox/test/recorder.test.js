@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRecorder, packFrames, unpackFrames, serializeRun, parseRun } from '../src/utils/recorder.js';
+import { createRng } from '../src/utils/random.js';
+import * as level2 from '../src/sim/level2.js';
+import * as level3 from '../src/sim/level3.js';
+
+const DT = 1 / 60;
+
+test('ring buffer keeps the newest frames in order', () => {
+    const rec = createRecorder(4);
+    for (let i = 0; i < 6; i++) rec.push({ t: i });
+    assert.equal(rec.size(), 4);
+    assert.deepEqual(rec.frames().map(f => f.t), [2, 3, 4, 5]);
+    assert.equal(rec.get(0).t, 2);
+    assert.equal(rec.last().t, 5);
+    assert.equal(rec.get(4), null);
+});
+
+test('truncate drops the frames after the playhead', () => {
+    const rec = createRecorder(4);
+    for (let i = 0; i < 6; i++) rec.push({ t: i });
+    rec.truncate(2);
+    assert.deepEqual(rec.frames().map(f => f.t), [2, 3]);
+    rec.push({ t: 10 });
+    assert.deepEqual(rec.frames().map(f => f.t), [2, 3, 10]);
+});
+
+test('load keeps the newest frames that fit', () => {
+    const rec = createRecorder(3);
+    rec.load([1, 2, 3, 4, 5].map(t => ({ t })));
+    assert.deepEqual(rec.frames().map(f => f.t), [3, 4, 5]);
+});
+
+function recordLevel2(seconds, seed) {
+    const rng = createRng(seed);
+    let s = level2.createState(rng);
+    const frames = [];
+    for (let i = 0; i < seconds * 60; i++) {
+        s = level2.step(s, DT, rng);
+        frames.push({ t: i * DT, sim: s, rng: rng.getState() });
+    }
+    return frames;
+}
+
+test('packed trails round-trip through JSON', () => {
+    const frames = recordLevel2(30, 42);
+    const back = unpackFrames(JSON.parse(JSON.stringify(packFrames(frames))));
+    assert.deepEqual(back, JSON.parse(JSON.stringify(frames)));
+});
+
+test('packing keeps a minute of Level2 small', () => {
+    const frames = recordLevel2(60, 42);
+    const packed = serializeRun({ tab: 'level2', seed: 42, frames });
+    const naive = JSON.stringify(frames);
+    assert.ok(packed.length < naive.length / 10, `${packed.length} vs ${naive.length}`);
+});
+
+test('a minute of the Level3 demo packs the unchanged maze and planner as deltas', () => {
+    let s = level3.startDemo(level3.createState());
+    const frames = [];
+    for (let i = 0; i < 60 * 60; i++) {
+        s = level3.step(s, DT);
+        frames.push({ t: i * DT, sim: s, rng: null });
+    }
+    const packed = serializeRun({ tab: 'level3', frames });
+    const naive = JSON.stringify(frames);
+    assert.ok(packed.length < naive.length / 10, `${packed.length} vs ${naive.length}`);
+    assert.deepEqual(parseRun(packed, 'level3').frames, JSON.parse(naive));
+});
+
+test('runs saved in format v1 (top-level deltas only) still load', () => {
+    const frames = [
+        { t: 0, sim: { time: 0, agent: { x: 1 }, trail: [1, 2] }, rng: null },
+        { t: 1, sim: { time: 1, agent: { $same: true }, trail: { $drop: 1, $add: [3] } }, rng: null },
+    ];
+    const text = JSON.stringify({ format: 'nav-toolbox-run', version: 1, tab: 'level2', seed: null, frames });
+    assert.deepEqual(parseRun(text, 'level2').frames[1].sim, { time: 1, agent: { x: 1 }, trail: [2, 3] });
+});
+
+test('a run resumes identically from any recorded frame', () => {
+    const frames = recordLevel2(20, 7);
+    const run = parseRun(serializeRun({ tab: 'level2', seed: 7, frames }), 'level2');
+    const k = 600;
+
+    const rng = createRng(run.seed);
+    rng.setState(run.frames[k].rng);
+    let s = run.frames[k].sim;
+    for (let i = k + 1; i < frames.length; i++) s = level2.step(s, DT, rng);
+
+    assert.deepEqual(s.agent, frames[frames.length - 1].sim.agent);
+    assert.deepEqual(s.odo, frames[frames.length - 1].sim.odo);
+});
+
+test('parseRun rejects files that are not runs for this tab', () => {
+    assert.throws(() => parseRun('not json', 'level2'), /Not a JSON file/);
+    assert.throws(() => parseRun('{"a":1}', 'level2'), /Not a recorded run/);
+
+    const other = serializeRun({ tab: 'level3', frames: [{ t: 0, sim: {}, rng: null }] });
+    assert.throws(() => parseRun(other, 'level2'), /level3 tab/);
+
+    const empty = serializeRun({ tab: 'level2', frames: [] });
+    assert.throws(() => parseRun(empty, 'level2'), /no frames/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRng } from '../src/utils/random.js';
+import { ODOMETRY_PRESETS } from '../src/utils/odometry.js';
+import * as level2 from '../src/sim/level2.js';
+
+const DT = 1 / 60;
+
+// Drive a loop of waypoints around the world, then go home with 'mode'
+function sandboxRun(mode, seed = 7, odoParams = ODOMETRY_PRESETS.cheap.params) {
+    const rng = createRng(seed);
+    let s = level2.startSandbox(level2.createState(rng, level2.SCRIPT, odoParams), mode);
+    for (const p of [{ x: 700, y: 200 }, { x: 200, y: 200 }, { x: 200, y: 550 }, { x: 600, y: 550 }, { x: 500, y: 350 }]) {
+        s = level2.addWaypoint(s, p);
+    }
+    let t = 0;
+    while (s.sandbox.waypoints.length > 0 && t < 60) {
+        s = level2.step(s, DT, rng);
+        t += DT;
+    }
+    s = level2.triggerHoming(s);
+    while (s.sandbox.phase !== 'DONE' && t < 120) {
+        s = level2.step(s, DT, rng);
+        t += DT;
+    }
+    return s;
+}
+
+test('sandbox: the director is frozen while the user drives', () => {
+    const rng = createRng(1);
+    let s = level2.startSandbox(level2.createState(rng));
+    const director = s.director;
+    s = level2.setDriveInput(s, 0.5, 1);
+    for (let i = 0; i < 120; i++) s = level2.step(s, DT, rng);
+
+    assert.equal(s.director, director);
+    assert.equal(s.sandbox.phase, 'DRIVE');
+    assert.ok(s.driven > 100);
+    assert.equal(level2.sceneOf(s).phase, 'OUTBOUND');
+});
+
+test('sandbox: keyboard input cancels the waypoints', () => {
+    const s = level2.addWaypoint(level2.startSandbox(level2.createState(createRng(1))), { x: 100, y: 100 });
+    assert.equal(s.sandbox.waypoints.length, 1);
+    assert.equal(level2.setDriveInput(s, 1, 0).sandbox.waypoints.length, 0);
+});
+
+test('sandbox: homing reports the miss of the home vector and the search it cost', () => {
+    const ideal = sandboxRun('ODOMETRY', 7, ODOMETRY_PRESETS.ideal.params);
+    assert.equal(ideal.sandbox.phase, 'DONE');
+    assert.ok(ideal.sandbox.result.error < 16);
+
+    const cheap = sandboxRun('ODOMETRY');
+    assert.equal(cheap.sandbox.phase, 'DONE');
+    assert.equal(cheap.sandbox.result.mode, 'ODOMETRY');
+    assert.ok(cheap.sandbox.result.driven > 1500);
+    assert.ok(cheap.sandbox.result.error > ideal.sandbox.result.error);
+
+    // Missing home by more than the detection range costs a search, which finds it
+    assert.ok(cheap.sandbox.result.error > level2.HOME_DETECT_R);
+    assert.ok(cheap.sandbox.result.found);
+    assert.ok(cheap.sandbox.result.searchTime > 0);
+    assert.equal(ideal.sandbox.result.searchTime, 0);
+
+    // Input after the run has ended is ignored
+    assert.equal(level2.addWaypoint(cheap, { x: 1, y: 1 }), cheap);
+});
+
+test('stopSandbox restarts the demo from its first step', () => {
+    const rng = createRng(3);
+    const s = level2.stopSandbox(level2.startSandbox(level2.createState(rng)), rng);
+    assert.equal(s.sandbox, null);
+    assert.equal(s.director.step, 0);
+});
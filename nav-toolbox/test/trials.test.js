@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { percentile, summarize, histogram } from '../src/utils/stats.js';
+import { TRIAL_MODES, runTrial, createBatch, stepBatch, batchTotal, trialsToCsv } from '../src/sim/trials.js';
+import { ODOMETRY_PRESETS, DEFAULT_ODOMETRY } from '../src/utils/odometry.js';
+
+test('percentile interpolates between order statistics', () => {
+    assert.equal(percentile([3, 1, 2], 50), 2);
+    assert.equal(percentile([0, 10], 25), 2.5);
+    assert.equal(percentile([5], 90), 5);
+    assert.ok(Number.isNaN(percentile([], 50)));
+});
+
+test('summarize and histogram', () => {
+    const st = summarize([1, 2, 3, 4]);
+    assert.equal(st.mean, 2.5);
+    assert.equal(st.min, 1);
+    assert.equal(st.max, 4);
+    assert.ok(Math.abs(st.sd - Math.sqrt(5 / 3)) < 1e-12);
+
+    const hg = histogram([0, 0.5, 1, 9.9, 10, 42, -3], 10, 0, 10);
+    assert.equal(hg.counts.reduce((a, b) => a + b, 0), 7);
+    assert.equal(hg.counts[0], 3); // 0, 0.5 and the clamped -3
+    assert.equal(hg.counts[9], 3); // 9.9, and the clamped 10 and 42
+});
+
+test('runTrial is reproducible and an ideal robot homes exactly', () => {
+    assert.deepEqual(runTrial('COMPASS', 5, DEFAULT_ODOMETRY), runTrial('COMPASS', 5, DEFAULT_ODOMETRY));
+
+    const ideal = runTrial('ODOMETRY', 5, ODOMETRY_PRESETS.ideal.params);
+    assert.ok(ideal.missedBy < 15);
+    assert.ok(ideal.found);
+    assert.ok(ideal.returnLength > 200);
+});
+
+test('a batch runs n trials per mode; on average the compass beats blind odometry', () => {
+    let batch = createBatch(6, 100, DEFAULT_ODOMETRY);
+    while (batch.done < batchTotal(batch)) batch = stepBatch(batch, 4);
+
+    for (const mode of TRIAL_MODES) {
+        assert.equal(batch.results[mode].length, 6);
+        assert.deepEqual(batch.results[mode].map(r => r.seed), [100, 101, 102, 103, 104, 105]);
+    }
+    const mean = (mode) => summarize(batch.results[mode].map(r => r.missedBy)).mean;
+    assert.ok(mean('COMPASS') < mean('ODOMETRY'));
+
+    const csv = trialsToCsv(batch).trim().split('\n');
+    assert.equal(csv.length, 1 + 6 * TRIAL_MODES.length);
+    assert.match(csv[1], /^ODOMETRY,100,/);
+});